@@ -51,6 +51,8 @@ export default RenderPixi;
             container: null,
             spriteContainer: null,
             pixiOptions: null,
+            highlighted: [],
+            capture: null,
             options: {
                 width: 800,
                 height: 600,
@@ -69,7 +71,9 @@ export default RenderPixi;
                 showPositions: false,
                 showAngleIndicator: false,
                 showIds: false,
-                showShadows: false
+                showShadows: false,
+                highlightStyle: '#ffd700',
+                highlightWidth: 3
             }
         };
 
@@ -301,7 +305,198 @@ export default RenderPixi;
         for (i = 0; i < constraints.length; i++)
             RenderPixi.constraint(render, constraints[i]);
 
+        RenderPixi.highlight(render);
+
         renderer.render(container);
+
+        // the frame is copied straight away, before the browser clears the drawing buffer
+        if (render.capture)
+            RenderPixi.captureFrame(render);
+    };
+
+    /**
+     * Starts recording what is rendered, e.g. to share how a creature moves
+     * @method startCapture
+     * @param {RenderPixi} render
+     * @param {object} options The size (`width` and `height`) and frame rate (`fps`) of the recording, its `format`
+     * ('webm' for video or 'frames' for a tar file of PNG images), which `overlays` to draw (`ruler`, `name` and
+     * `fitness`), the x-coordinate that the ruler measures from (`rulerOrigin`) and a function that gives the name and
+     * fitness to show (`getInfo`)
+     */
+    RenderPixi.startCapture = function (render, options) {
+        var defaults = {
+                width: render.options.width,
+                height: render.options.height,
+                fps: 30,
+                format: 'webm',
+                overlays: {
+                    ruler: true,
+                    name: true,
+                    fitness: true
+                },
+                rulerOrigin: 0,
+                getInfo: null
+            },
+            canvas = document.createElement('canvas'),
+            capture;
+
+        options = Common.extend(defaults, options);
+        canvas.width = options.width;
+        canvas.height = options.height;
+
+        capture = {
+            options: options,
+            canvas: canvas,
+            context: canvas.getContext('2d'),
+            recorder: null,
+            chunks: [],
+            frames: [],
+            lastFrameTime: -Infinity
+        };
+
+        if (options.format === 'webm') {
+            capture.recorder = new MediaRecorder(canvas.captureStream(options.fps), {mimeType: 'video/webm'});
+            capture.recorder.ondataavailable = function (event) {
+                capture.chunks.push(event.data);
+            };
+            capture.recorder.start();
+        }
+
+        // This is only set once the recorder has started so that a recorder that cannot be made leaves nothing behind.
+        render.capture = capture;
+    };
+
+    /**
+     * Stops recording
+     * @method stopCapture
+     * @param {RenderPixi} render
+     * @return {Promise<Blob>} The recording: a WebM video or a tar file of PNG images
+     */
+    RenderPixi.stopCapture = function (render) {
+        var capture = render.capture;
+
+        render.capture = null;
+
+        if (capture.options.format === 'webm') {
+            return new Promise(function (resolve) {
+                capture.recorder.onstop = function () {
+                    resolve(new Blob(capture.chunks, {type: 'video/webm'}));
+                };
+                capture.recorder.stop();
+            });
+        }
+
+        return Promise.all(capture.frames)
+            .then(function (blobs) {
+                return Promise.all(blobs.map(function (blob) {
+                    return blob.arrayBuffer();
+                }));
+            })
+            .then(function (buffers) {
+                return _createTar(buffers.map(function (buffer, i) {
+                    return {name: 'frame-' + String(i).padStart(5, '0') + '.png', data: new Uint8Array(buffer)};
+                }));
+            });
+    };
+
+    /**
+     * Copies the frame that was just rendered to the recording, scaled to the size of the recording and with the
+     * overlays drawn on top
+     * @method captureFrame
+     * @param {RenderPixi} render
+     */
+    RenderPixi.captureFrame = function (render) {
+        var capture = render.capture,
+            options = capture.options,
+            context = capture.context,
+            info = options.getInfo ? options.getInfo() : null,
+            lines = [],
+            now = Common.now(),
+            i;
+
+        context.drawImage(render.canvas, 0, 0, options.width, options.height);
+
+        if (options.overlays.ruler)
+            _drawRuler(render, capture);
+
+        if (info && options.overlays.name && info.name)
+            lines.push(info.name);
+
+        if (info && options.overlays.fitness && info.fitness !== null && info.fitness !== undefined)
+            lines.push('Fitness: ' + info.fitness.toFixed(1));
+
+        context.font = '16px sans-serif';
+        context.textAlign = 'left';
+        context.textBaseline = 'top';
+
+        for (i = 0; i < lines.length; i++) {
+            context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            context.fillRect(8, 8 + i * 22, context.measureText(lines[i]).width + 8, 20);
+            context.fillStyle = '#ffffff';
+            context.fillText(lines[i], 12, 10 + i * 22);
+        }
+
+        // video is sampled from the canvas by the recorder, but frames are taken at the chosen rate here
+        if (options.format === 'frames' && now - capture.lastFrameTime >= 1000 / options.fps) {
+            capture.lastFrameTime = now;
+            capture.frames.push(new Promise(function (resolve) {
+                capture.canvas.toBlob(resolve, 'image/png');
+            }));
+        }
+    };
+
+    /**
+     * Sets the bodies and constraints that are drawn highlighted, e.g. the parts of a selected creature
+     * @method setHighlighted
+     * @param {RenderPixi} render
+     * @param {object[]} parts The bodies and constraints to highlight, or an empty array to highlight nothing
+     */
+    RenderPixi.setHighlighted = function (render, parts) {
+        render.highlighted = parts;
+    };
+
+    /**
+     * Draws an outline around each highlighted body and over each highlighted constraint
+     * @method highlight
+     * @param {RenderPixi} render
+     */
+    RenderPixi.highlight = function (render) {
+        var container = render.container,
+            options = render.options,
+            primitive = render.primitives['highlight'],
+            part,
+            i,
+            j;
+
+        if (!primitive)
+            primitive = render.primitives['highlight'] = new PIXI.Graphics();
+
+        // add to scene graph if not already there, on top of everything else
+        if (Common.indexOf(container.children, primitive) === -1)
+            container.addChild(primitive);
+
+        primitive.clear();
+        primitive.beginFill(0, 0);
+        primitive.lineStyle(options.highlightWidth, Common.colorToNumber(options.highlightStyle), 1);
+
+        for (i = 0; i < render.highlighted.length; i++) {
+            part = render.highlighted[i];
+
+            if (part.type === 'body') {
+                primitive.moveTo(part.vertices[0].x, part.vertices[0].y);
+
+                for (j = 1; j < part.vertices.length; j++) {
+                    primitive.lineTo(part.vertices[j].x, part.vertices[j].y);
+                }
+
+                primitive.lineTo(part.vertices[0].x, part.vertices[0].y);
+            } else if (part.type === 'constraint' && part.bodyA && part.bodyB) {
+                primitive.moveTo(part.bodyA.position.x + part.pointA.x, part.bodyA.position.y + part.pointA.y);
+                primitive.lineTo(part.bodyB.position.x + part.pointB.x, part.bodyB.position.y + part.pointB.y);
+            }
+        }
+
+        primitive.endFill();
     };
 
 
@@ -498,6 +693,94 @@ export default RenderPixi;
         return primitive;
     };
 
+    /**
+     * Draws a ruler along the bottom of a recording with a mark every 100 pixels of the world, labelled with the
+     * distance from the ruler's origin
+     * @method _drawRuler
+     * @private
+     * @param {RenderPixi} render
+     * @param {object} capture
+     */
+    var _drawRuler = function (render, capture) {
+        var context = capture.context,
+            options = capture.options,
+            scale = options.width / (render.bounds.max.x - render.bounds.min.x),
+            spacing = 100,
+            y = options.height - 20,
+            distance = Math.ceil((render.bounds.min.x - options.rulerOrigin) / spacing) * spacing,
+            x;
+
+        context.strokeStyle = '#ffffff';
+        context.fillStyle = '#ffffff';
+        context.lineWidth = 1;
+        context.font = '12px sans-serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'top';
+
+        context.beginPath();
+        context.moveTo(0, y);
+        context.lineTo(options.width, y);
+
+        for (; (x = (options.rulerOrigin + distance - render.bounds.min.x) * scale) <= options.width;
+            distance += spacing) {
+            context.moveTo(x, y - 5);
+            context.lineTo(x, y + 5);
+            context.fillText(String(distance), x, y + 6);
+        }
+
+        context.stroke();
+    };
+
+    /**
+     * Packs files into an uncompressed tar archive
+     * @method _createTar
+     * @private
+     * @param {object[]} files The `name` and `data` (a Uint8Array) of each file
+     * @return {Blob} The archive
+     */
+    var _createTar = function (files) {
+        var encoder = new TextEncoder(),
+            mtime = Math.floor(Date.now() / 1000),
+            parts = [],
+            i;
+
+        files.forEach(function (file) {
+            var header = new Uint8Array(512),
+                size = file.data.length,
+                checksum = 0,
+                write = function (offset, value) {
+                    header.set(encoder.encode(value), offset);
+                },
+                octal = function (value, length) {
+                    return value.toString(8).padStart(length - 1, '0') + '\0';
+                };
+
+            write(0, file.name);
+            write(100, octal(420, 8)); // rw-r--r--
+            write(108, octal(0, 8));
+            write(116, octal(0, 8));
+            write(124, octal(size, 12));
+            write(136, octal(mtime, 12));
+            write(148, '        '); // the checksum is worked out with its own field filled with spaces
+            write(156, '0');
+            write(257, 'ustar\0');
+            write(263, '00');
+
+            for (i = 0; i < header.length; i++)
+                checksum += header[i];
+
+            write(148, octal(checksum, 7) + ' ');
+
+            // each file is padded to a whole number of 512 byte blocks
+            parts.push(header, file.data, new Uint8Array((512 - size % 512) % 512));
+        });
+
+        // the archive ends with two empty blocks
+        parts.push(new Uint8Array(1024));
+
+        return new Blob(parts, {type: 'application/x-tar'});
+    };
+
     /**
      * Gets the requested texture (a PIXI.Texture) via its path
      * @method _getTexture
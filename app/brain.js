@@ -0,0 +1,841 @@
+/** Neural networks that control the muscles of creatures, evolved with NEAT. */
+
+import {innovationTracker} from "./innovation";
+import {expectFields, expectUnique, FormatError} from "./serialization";
+import {random} from "./random";
+import {clippedRandomGaussian, randomChoice, randomInt} from "./utils";
+
+/**
+ * The activation functions that neurons can use, keyed by name.
+ * @type {Object<string, function(number): number>}
+ */
+export const activationFunctions = {
+    sigmoid: x => 1 / (1 + Math.exp(-4.9 * x)), // The steepened sigmoid from the NEAT paper.
+    tanh: x => Math.tanh(x),
+    relu: x => Math.max(0, x),
+    sine: x => Math.sin(x),
+    gaussian: x => Math.exp(-x * x),
+    identity: x => x
+};
+
+/** A genotype for a hidden neuron in a creature's brain. */
+export class NeuronGenotype {
+    /**
+     * Configuration for used for generating random NeuronGenotypes.
+     * @type {{bias: {sigma: number, min: number, max: number, mu: number}}}
+     */
+    static randomConfig = {
+        bias: {
+            mu: 0,
+            sigma: 1,
+            min: -5,
+            max: 5
+        }
+    };
+
+    /**
+     * The probability that a gene is mutated during mutation.
+     * @type {number}
+     */
+    static pMutate = 0.05;
+
+    /**
+     * Create a neuron gene.
+     * @param options {{id: number?, activation: string?, bias: number?}}
+     */
+    constructor(options = {}) {
+        const defaults = {
+            id: 'split-0',
+            activation: 'sigmoid',
+            bias: 0
+        };
+
+        options = Object.assign({}, defaults, options);
+
+        /**
+         * The ID of the neuron. This is the historical marking that identifies the neuron across genomes.
+         * Hidden neurons are named after the synapse that was split to create them, e.g. `split-12`.
+         * @type {string}
+         */
+        this.id = options.id;
+        /**
+         * The name of the activation function of the neuron.
+         * @type {string}
+         * @see activationFunctions
+         */
+        this.activation = options.activation;
+        /**
+         * The value that is added to the input of the neuron before the activation function is applied.
+         * @type {number}
+         */
+        this.bias = options.bias;
+    }
+
+    /**
+     * Generate a random neuron genotype.
+     * @param id The ID to give the neuron genotype.
+     * @param rng The random number generator to draw from.
+     * @returns {NeuronGenotype} The generated neuron genotype.
+     */
+    static createRandom(id = 'split-0', rng = random) {
+        return new NeuronGenotype({
+            id: id,
+            activation: randomChoice(Object.keys(activationFunctions), rng),
+            bias: clippedRandomGaussian(NeuronGenotype.randomConfig.bias, rng)
+        });
+    }
+
+    /**
+     * Create a shallow copy of the genotype.
+     * @returns {NeuronGenotype} A copy of the genotype.
+     */
+    copy() {
+        return new NeuronGenotype(this);
+    }
+
+    /**
+     * Convert the genotype to a plain object that can be serialized.
+     * @returns {{id: string, activation: string, bias: number}} The serialized genotype.
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            activation: this.activation,
+            bias: this.bias
+        };
+    }
+
+    /**
+     * Create a neuron genotype from a plain object made by `toJSON()`.
+     *
+     * @param json The serialized genotype.
+     * @param path Where the genotype is in the data being loaded, used in error messages.
+     * @returns {NeuronGenotype} The neuron genotype.
+     * @throws {FormatError} If `json` is not a valid serialized neuron genotype.
+     */
+    static fromJSON(json, path = 'neuronGenotype') {
+        expectFields(json, {id: 'string', activation: 'string', bias: 'number'}, path);
+
+        if (!activationFunctions.hasOwnProperty(json.activation)) {
+            throw new FormatError(`unknown activation function '${json.activation}'`, `${path}.activation`);
+        }
+
+        return new NeuronGenotype(json);
+    }
+
+    /**
+     * Mutate the genotype randomly.
+     * @param rng The random number generator to draw from.
+     */
+    mutate(rng = random) {
+        const p = rng.random();
+
+        if (p < NeuronGenotype.pMutate) {
+            switch (randomInt(0, 2, rng)) {
+                case 0:
+                    this.bias = clippedRandomGaussian(Object.assign({}, NeuronGenotype.randomConfig.bias,
+                        {mu: this.bias, sigma: 0.5}), rng);
+                    break;
+                case 1:
+                    this.activation = randomChoice(Object.keys(activationFunctions), rng);
+                    break;
+            }
+        }
+    }
+}
+
+/** A genotype for a synapse in a creature's brain. These carry signals from one neuron to another. */
+export class SynapseGenotype {
+    /**
+     * Configuration for used for generating random SynapseGenotypes.
+     * @type {{weight: {sigma: number, min: number, max: number, mu: number}}}
+     */
+    static randomConfig = {
+        weight: {
+            mu: 0,
+            sigma: 1,
+            min: -5,
+            max: 5
+        }
+    };
+
+    /**
+     * The probability that a gene is mutated during mutation.
+     * @type {number}
+     */
+    static pMutate = 0.1;
+
+    /**
+     * The probability that a mutated weight is replaced with a new random weight rather than being perturbed.
+     * @type {number}
+     */
+    static pResetWeight = 0.1;
+
+    /**
+     * Create a synapse gene.
+     *
+     * @param options {{from: number?, to: number?, innovation: number?, weight: number?, isExpressed: boolean?}}
+     *     If `innovation` is not given, it is looked up from the shared innovation tracker.
+     */
+    constructor(options = {}) {
+        const defaults = {
+            from: 'bias',
+            to: 'actuator-0',
+            weight: 1,
+            isExpressed: true
+        };
+
+        options = Object.assign({}, defaults, options);
+
+        /**
+         * The ID of the neuron that the synapse carries signals from.
+         * @type {string}
+         */
+        this.from = options.from;
+        /**
+         * The ID of the neuron that the synapse carries signals to.
+         * @type {string}
+         */
+        this.to = options.to;
+        /**
+         * The innovation number of the synapse. This is the historical marking that identifies the synapse across
+         * genomes and is used to line up genes during crossover.
+         * @type {number}
+         */
+        this.innovation = options.innovation !== undefined ? options.innovation :
+            innovationTracker.getSynapseInnovation(this.from, this.to);
+        /**
+         * How much the signal is scaled by as it travels along the synapse.
+         * @type {number}
+         */
+        this.weight = options.weight;
+        /**
+         * Whether or not the synapse genotype is expressed. This is the 'enable bit' from NEAT.
+         * @type {boolean}
+         */
+        this.isExpressed = options.isExpressed;
+    }
+
+    /**
+     * Create a random genotype.
+     * @param from The ID of the neuron the synapse carries signals from.
+     * @param to The ID of the neuron the synapse carries signals to.
+     * @param rng The random number generator to draw from.
+     * @returns {SynapseGenotype} The generated genotype.
+     */
+    static createRandom(from, to, rng = random) {
+        return new SynapseGenotype({
+            from: from,
+            to: to,
+            weight: clippedRandomGaussian(SynapseGenotype.randomConfig.weight, rng)
+        });
+    }
+
+    /**
+     * Measure how different the parameters of two synapse genotypes are.
+     *
+     * @param synapseGenotype1 The first synapse genotype.
+     * @param synapseGenotype2 The second synapse genotype.
+     * @returns {number} The absolute difference between the weights of the two synapses.
+     */
+    static parameterDistance(synapseGenotype1, synapseGenotype2) {
+        return Math.abs(synapseGenotype1.weight - synapseGenotype2.weight);
+    }
+
+    /**
+     * Create a shallow copy of the genotype.
+     * @returns {SynapseGenotype} A copy of the genotype.
+     */
+    copy() {
+        return new SynapseGenotype(this);
+    }
+
+    /**
+     * Convert the genotype to a plain object that can be serialized.
+     * @returns {{innovation: number, from: string, to: string, weight: number, isExpressed: boolean}}
+     *     The serialized genotype.
+     */
+    toJSON() {
+        return {
+            innovation: this.innovation,
+            from: this.from,
+            to: this.to,
+            weight: this.weight,
+            isExpressed: this.isExpressed
+        };
+    }
+
+    /**
+     * Create a synapse genotype from a plain object made by `toJSON()`.
+     *
+     * @param json The serialized genotype.
+     * @param path Where the genotype is in the data being loaded, used in error messages.
+     * @returns {SynapseGenotype} The synapse genotype.
+     * @throws {FormatError} If `json` is not a valid serialized synapse genotype.
+     */
+    static fromJSON(json, path = 'synapseGenotype') {
+        expectFields(json, {
+            innovation: 'integer',
+            from: 'string',
+            to: 'string',
+            weight: 'number',
+            isExpressed: 'boolean'
+        }, path);
+
+        return new SynapseGenotype(json);
+    }
+
+    /**
+     * Mutate the genotype randomly.
+     * @param rng The random number generator to draw from.
+     */
+    mutate(rng = random) {
+        const p = rng.random();
+
+        if (p < SynapseGenotype.pMutate) {
+            if (rng.random() < SynapseGenotype.pResetWeight) {
+                this.weight = clippedRandomGaussian(SynapseGenotype.randomConfig.weight, rng);
+            } else {
+                this.weight = clippedRandomGaussian(Object.assign({}, SynapseGenotype.randomConfig.weight,
+                    {mu: this.weight, sigma: 0.5}), rng);
+            }
+        }
+    }
+
+    /**
+     * Switch the expression of the synapse on or off.
+     * @param isExpressed Whether the synapse should be expressed.
+     */
+    setExpressed(isExpressed) {
+        this.isExpressed = isExpressed;
+    }
+}
+
+/**
+ * A collection of genotypes that make up a creature's brain.
+ *
+ * Only the hidden neurons are stored in the genome. The input (sensor) and output (actuator) neurons are derived from
+ * the nodes and muscles of the creature, so they keep up with the body as it grows.
+ * Neuron IDs are strings that describe how the neuron came to be (e.g. `contact-3` for the sensor that detects
+ * whether node 3 is touching the ground), so a genome means the same thing wherever it is loaded.
+ *
+ * @see Brain.getInputIds
+ * @see Brain.getOutputIds
+ */
+export class BrainGenome {
+    /**
+     * Configuration for used for generating random BrainGenomes.
+     * @type {{clockPeriod: {sigma: number, min: number, max: *, mu: number}}}
+     */
+    static randomConfig = {
+        clockPeriod: {
+            mu: 1000,
+            sigma: 100,
+            min: 100,
+            max: Infinity
+        }
+    };
+
+    /**
+     * The probability that the clock period is mutated during mutation.
+     * @type {number}
+     */
+    static pMutate = 0.05;
+
+    /**
+     * The probability that a matching gene is inherited from the first parent during crossover.
+     * @type {number}
+     */
+    static pInheritFirst = 0.5;
+
+    /**
+     * The probability that a disjoint or excess gene is inherited during crossover when both parents are equally fit.
+     * @type {number}
+     */
+    static pInheritUnmatched = 0.5;
+
+    /**
+     * The probability that a matching synapse genotype is not expressed in the child if it is not expressed in either
+     * parent.
+     * @type {number}
+     */
+    static pInheritUnexpressed = 0.75;
+
+    /**
+     * The probability that a new neuron is added by splitting a synapse during mutation.
+     * @type {number}
+     */
+    static pAddNeuron = 0.03;
+
+    /**
+     * The probability that a new synapse is added between two unconnected neurons during mutation.
+     * @type {number}
+     */
+    static pAddSynapse = 0.05;
+
+    /**
+     * The probability that a synapse is switched off (or back on) during mutation.
+     * @type {number}
+     */
+    static pToggleSynapse = 0.01;
+
+    /**
+     * Create a brain genome.
+     *
+     * @param neuronGenotypes The list of hidden neuron genotypes.
+     * @param synapseGenotypes The list of synapse genotypes.
+     * @param clockPeriod How long one cycle of the clock signal takes in milliseconds.
+     */
+    constructor(neuronGenotypes = [], synapseGenotypes = [], clockPeriod = 1000) {
+        this.neuronGenotypes = neuronGenotypes;
+        this.synapseGenotypes = synapseGenotypes;
+        this.clockPeriod = clockPeriod;
+    }
+
+    /**
+     * Create a random brain genome where every input is connected to every output, as in the initial population in
+     * NEAT.
+     *
+     * @param creatureGenome The genome of the body that the brain will control.
+     * @param rng The random number generator to draw from.
+     * @returns {BrainGenome} The created brain genome.
+     */
+    static createRandom(creatureGenome, rng = random) {
+        let synapseGenotypes = [];
+
+        for (const from of Brain.getInputIds(creatureGenome)) {
+            for (const to of Brain.getOutputIds(creatureGenome)) {
+                synapseGenotypes.push(SynapseGenotype.createRandom(from, to, rng));
+            }
+        }
+
+        return new BrainGenome([], synapseGenotypes, clippedRandomGaussian(BrainGenome.randomConfig.clockPeriod, rng));
+    }
+
+    /**
+     * Create a copy of the genome.
+     * @returns {BrainGenome} A copy of the genome.
+     */
+    copy() {
+        return new BrainGenome(
+            this.neuronGenotypes.map(neuronGenotype => neuronGenotype.copy()),
+            this.synapseGenotypes.map(synapseGenotype => synapseGenotype.copy()),
+            this.clockPeriod
+        );
+    }
+
+    /**
+     * Convert the genome to a plain object that can be serialized.
+     * @returns {{clockPeriod: number, neuronGenotypes: [Object], synapseGenotypes: [Object]}} The serialized genome.
+     */
+    toJSON() {
+        return {
+            clockPeriod: this.clockPeriod,
+            neuronGenotypes: this.neuronGenotypes.map(neuronGenotype => neuronGenotype.toJSON()),
+            synapseGenotypes: this.synapseGenotypes.map(synapseGenotype => synapseGenotype.toJSON())
+        };
+    }
+
+    /**
+     * Create a brain genome from a plain object made by `toJSON()`.
+     *
+     * @param json The serialized genome.
+     * @param path Where the genome is in the data being loaded, used in error messages.
+     * @returns {BrainGenome} The brain genome.
+     * @throws {FormatError} If `json` is not a valid serialized brain genome.
+     */
+    static fromJSON(json, path = 'brainGenome') {
+        expectFields(json, {clockPeriod: 'number', neuronGenotypes: 'array', synapseGenotypes: 'array'}, path);
+
+        const neuronGenotypes = json.neuronGenotypes.map((neuronGenotype, i) =>
+            NeuronGenotype.fromJSON(neuronGenotype, `${path}.neuronGenotypes[${i}]`));
+        const synapseGenotypes = json.synapseGenotypes.map((synapseGenotype, i) =>
+            SynapseGenotype.fromJSON(synapseGenotype, `${path}.synapseGenotypes[${i}]`));
+
+        expectUnique(neuronGenotypes, 'id', `${path}.neuronGenotypes`);
+        expectUnique(synapseGenotypes, 'innovation', `${path}.synapseGenotypes`);
+
+        return new BrainGenome(neuronGenotypes, synapseGenotypes, json.clockPeriod);
+    }
+
+    /**
+     * The hidden neuron genotypes in the genome keyed by their ID.
+     * @returns {Map<string, NeuronGenotype>}
+     */
+    get neuronGenotypesById() {
+        return new Map(this.neuronGenotypes.map(neuronGenotype => [neuronGenotype.id, neuronGenotype]));
+    }
+
+    /**
+     * The synapse genotypes in the genome keyed by their innovation number.
+     * @returns {Map<number, SynapseGenotype>}
+     */
+    get synapseGenotypesByInnovation() {
+        return new Map(this.synapseGenotypes.map(synapseGenotype => [synapseGenotype.innovation, synapseGenotype]));
+    }
+
+    /**
+     * Perform crossover between two brain genomes.
+     *
+     * This works the same way as `CreatureGenome.crossover`: synapse genotypes are lined up by their innovation numbers
+     * and hidden neuron genotypes by their IDs.
+     *
+     * @param otherBrainGenome The other genome to crossover with.
+     * @param isEquallyFit Whether the two genomes are equally fit. If false, this genome is assumed to be the fitter.
+     * @param rng The random number generator to draw from.
+     * @returns {BrainGenome} The new brain genome that results from the crossover operation.
+     * @see CreatureGenome.crossover
+     */
+    crossover(otherBrainGenome, isEquallyFit = false, rng = random) {
+        const otherSynapseGenotypes = otherBrainGenome.synapseGenotypesByInnovation;
+        let synapseGenotypes = [];
+
+        for (const synapseGenotype of this.synapseGenotypes) {
+            const matchingGenotype = otherSynapseGenotypes.get(synapseGenotype.innovation);
+
+            if (matchingGenotype !== undefined) {
+                const childGenotype = BrainGenome._pickMatching(synapseGenotype, matchingGenotype, rng).copy();
+
+                if (!synapseGenotype.isExpressed || !matchingGenotype.isExpressed) {
+                    childGenotype.setExpressed(rng.random() >= BrainGenome.pInheritUnexpressed);
+                }
+
+                synapseGenotypes.push(childGenotype);
+            } else if (!isEquallyFit || rng.random() < BrainGenome.pInheritUnmatched) {
+                synapseGenotypes.push(synapseGenotype.copy());
+            }
+        }
+
+        if (isEquallyFit) {
+            const innovations = new Set(this.synapseGenotypes.map(synapseGenotype => synapseGenotype.innovation));
+
+            for (const synapseGenotype of otherBrainGenome.synapseGenotypes) {
+                if (!innovations.has(synapseGenotype.innovation) &&
+                    rng.random() < BrainGenome.pInheritUnmatched) {
+                    synapseGenotypes.push(synapseGenotype.copy());
+                }
+            }
+        }
+
+        synapseGenotypes.sort((a, b) => a.innovation - b.innovation);
+
+        // The child needs every hidden neuron that its synapses connect, even those that only the less fit parent has.
+        const neuronGenotypes = this.neuronGenotypesById;
+        const otherNeuronGenotypes = otherBrainGenome.neuronGenotypesById;
+        let neuronIds = new Set(neuronGenotypes.keys());
+
+        for (const synapseGenotype of synapseGenotypes) {
+            for (const id of [synapseGenotype.from, synapseGenotype.to]) {
+                if (otherNeuronGenotypes.has(id)) {
+                    neuronIds.add(id);
+                }
+            }
+        }
+
+        const childNeuronGenotypes = [...neuronIds].sort().map(id => {
+            const neuronGenotype = neuronGenotypes.get(id);
+            const otherNeuronGenotype = otherNeuronGenotypes.get(id);
+
+            if (neuronGenotype !== undefined && otherNeuronGenotype !== undefined) {
+                return BrainGenome._pickMatching(neuronGenotype, otherNeuronGenotype, rng).copy();
+            }
+
+            return (neuronGenotype || otherNeuronGenotype).copy();
+        });
+
+        const clockPeriod = BrainGenome._pickMatching(this, otherBrainGenome, rng).clockPeriod;
+
+        return new BrainGenome(childNeuronGenotypes, synapseGenotypes, clockPeriod);
+    }
+
+    /**
+     * Pick one of two matching genes at random.
+     * @param genotype The gene from the first parent.
+     * @param otherGenotype The gene from the second parent.
+     * @param rng The random number generator to draw from.
+     * @returns {*} One of the two genes.
+     * @private
+     */
+    static _pickMatching(genotype, otherGenotype, rng) {
+        return rng.random() < BrainGenome.pInheritFirst ? genotype : otherGenotype;
+    }
+
+    /**
+     * Mutate the genome randomly.
+     * This mutates the parameters of the existing genotypes and may also change the structure of the genome.
+     * Actuators for muscles that have no synapses leading to them (e.g. muscles that were just added to the body) are
+     * connected to a random input so that new muscles do not just hang limp.
+     *
+     * Note: This is done in place.
+     *
+     * @param creatureGenome The genome of the body that the brain controls.
+     * @param rng The random number generator to draw from.
+     */
+    mutate(creatureGenome, rng = random) {
+        if (rng.random() < BrainGenome.pMutate) {
+            this.clockPeriod = clippedRandomGaussian(Object.assign({}, BrainGenome.randomConfig.clockPeriod,
+                {mu: this.clockPeriod}), rng);
+        }
+
+        for (const neuronGenotype of this.neuronGenotypes) {
+            neuronGenotype.mutate(rng);
+        }
+
+        for (const synapseGenotype of this.synapseGenotypes) {
+            synapseGenotype.mutate(rng);
+        }
+
+        if (rng.random() < BrainGenome.pAddNeuron) {
+            this.addNeuron(rng);
+        }
+
+        if (rng.random() < BrainGenome.pAddSynapse) {
+            this.addSynapse(creatureGenome, rng);
+        }
+
+        if (rng.random() < BrainGenome.pToggleSynapse) {
+            this.toggleSynapse(rng);
+        }
+
+        const inputIds = Brain.getInputIds(creatureGenome);
+        const connected = new Set(this.synapseGenotypes.map(synapseGenotype => synapseGenotype.to));
+
+        for (const to of Brain.getOutputIds(creatureGenome)) {
+            if (!connected.has(to)) {
+                this.synapseGenotypes.push(SynapseGenotype.createRandom(randomChoice(inputIds, rng), to, rng));
+            }
+        }
+    }
+
+    /**
+     * Split a random synapse in two by inserting a new hidden neuron in the middle of it.
+     * As in NEAT, the synapse is switched off, the synapse leading into the new neuron gets a weight of one and the
+     * synapse leading out of it gets the weight of the old synapse.
+     *
+     * Note: This is done in place.
+     *
+     * @param rng The random number generator to draw from.
+     * @returns {boolean} True if a neuron was added, false if there was no synapse that could be split.
+     */
+    addNeuron(rng = random) {
+        const synapseGenotype = randomChoice(this.synapseGenotypes.filter(genotype => genotype.isExpressed), rng);
+
+        if (synapseGenotype === undefined) {
+            return false;
+        }
+
+        const id = `split-${synapseGenotype.innovation}`;
+
+        // The synapse has already been split before and switched back on.
+        if (this.neuronGenotypesById.has(id)) {
+            return false;
+        }
+
+        synapseGenotype.setExpressed(false);
+        this.neuronGenotypes.push(new NeuronGenotype({id: id, activation: 'sigmoid'}));
+        this.synapseGenotypes.push(new SynapseGenotype({from: synapseGenotype.from, to: id, weight: 1}));
+        this.synapseGenotypes.push(new SynapseGenotype({from: id, to: synapseGenotype.to,
+            weight: synapseGenotype.weight}));
+
+        return true;
+    }
+
+    /**
+     * Connect two random neurons that are not already connected with a new random synapse.
+     * Synapses can lead from inputs or hidden neurons to hidden neurons or outputs, so recurrent connections are
+     * allowed.
+     *
+     * Note: This is done in place.
+     *
+     * @param creatureGenome The genome of the body that the brain controls.
+     * @param rng The random number generator to draw from.
+     * @returns {boolean} True if a synapse was added, false if every possible pair of neurons is already connected.
+     */
+    addSynapse(creatureGenome, rng = random) {
+        const hiddenIds = this.neuronGenotypes.map(neuronGenotype => neuronGenotype.id);
+        const sources = Brain.getInputIds(creatureGenome).concat(hiddenIds);
+        const targets = hiddenIds.concat(Brain.getOutputIds(creatureGenome));
+        const linked = new Set(this.synapseGenotypes.map(genotype => `${genotype.from}>${genotype.to}`));
+        let unlinked = [];
+
+        for (const from of sources) {
+            for (const to of targets) {
+                if (!linked.has(`${from}>${to}`)) {
+                    unlinked.push([from, to]);
+                }
+            }
+        }
+
+        const pair = randomChoice(unlinked, rng);
+
+        if (pair === undefined) {
+            return false;
+        }
+
+        this.synapseGenotypes.push(SynapseGenotype.createRandom(...pair, rng));
+
+        return true;
+    }
+
+    /**
+     * Switch a random synapse off, or back on if it is already off.
+     *
+     * Note: This is done in place.
+     *
+     * @param rng The random number generator to draw from.
+     * @returns {boolean} True if a synapse was toggled, false if there are no synapses.
+     */
+    toggleSynapse(rng = random) {
+        const synapseGenotype = randomChoice(this.synapseGenotypes, rng);
+
+        if (synapseGenotype === undefined) {
+            return false;
+        }
+
+        synapseGenotype.setExpressed(!synapseGenotype.isExpressed);
+
+        return true;
+    }
+}
+
+/**
+ * The neural network that is the physical manifestation of a BrainGenome.
+ *
+ * Signals travel one synapse per update: every neuron's new value is calculated from the values its inputs had in
+ * the previous update. This means that recurrent connections need no special treatment.
+ */
+export class Brain {
+    /**
+     * How much node velocities are divided by before being fed into the brain, to keep the inputs near [-1, 1].
+     * @type {number}
+     */
+    static velocityScale = 10;
+
+    /**
+     * Create a new brain.
+     *
+     * @param brainGenome The genome to base the brain off.
+     * @param creatureGenome The genome of the body that the brain controls.
+     */
+    constructor(brainGenome, creatureGenome) {
+        /**
+         * The IDs of the input neurons, in the order that the sensor readings are given to `activate`.
+         * @type {[string]}
+         */
+        this.inputIds = Brain.getInputIds(creatureGenome);
+        /**
+         * The IDs of the output neurons, in the order that `activate` returns their values.
+         * @type {[string]}
+         */
+        this.outputIds = Brain.getOutputIds(creatureGenome);
+        /**
+         * How long one cycle of the clock signal takes in milliseconds.
+         * @type {number}
+         */
+        this.clockPeriod = brainGenome.clockPeriod;
+        /**
+         * The hidden and output neurons keyed by their ID.
+         * @type {Map<string, {activate: function(number): number, bias: number, incoming: [{from: string, weight: number}]}>}
+         */
+        this.neurons = new Map();
+        /**
+         * The current value of every neuron keyed by their ID.
+         * @type {Map<string, number>}
+         */
+        this.values = new Map();
+
+        for (const neuronGenotype of brainGenome.neuronGenotypes) {
+            this.neurons.set(neuronGenotype.id, {
+                activate: activationFunctions[neuronGenotype.activation],
+                bias: neuronGenotype.bias,
+                incoming: []
+            });
+        }
+
+        for (const id of this.outputIds) {
+            this.neurons.set(id, {activate: activationFunctions.sigmoid, bias: 0, incoming: []});
+        }
+
+        for (const id of this.inputIds.concat([...this.neurons.keys()])) {
+            this.values.set(id, 0);
+        }
+
+        // Synapses that lead from or to neurons that the body does not have (e.g. the sensors of a disabled node) are
+        // left out.
+        for (const synapseGenotype of brainGenome.synapseGenotypes) {
+            if (synapseGenotype.isExpressed && this.values.has(synapseGenotype.from) &&
+                this.neurons.has(synapseGenotype.to)) {
+                this.neurons.get(synapseGenotype.to).incoming.push({
+                    from: synapseGenotype.from,
+                    weight: synapseGenotype.weight
+                });
+            }
+        }
+    }
+
+    /**
+     * Get the IDs of the input (sensor) neurons of a creature, in the order that their readings are given to the brain.
+     * For each enabled node there is a ground contact sensor and sensors for the velocity along the x and y axes.
+     * For each enabled muscle there is a sensor for its length. Lastly, there are two clock signals (sine and cosine)
+     * and a bias input that is always one.
+     *
+     * @param creatureGenome The genome of the body.
+     * @returns {[string]} The IDs of the input neurons.
+     */
+    static getInputIds(creatureGenome) {
+        let ids = [];
+
+        for (const nodeGenotype of creatureGenome.nodeGenotypes.filter(genotype => genotype.isEnabled)) {
+            ids.push(`contact-${nodeGenotype.id}`, `velocityX-${nodeGenotype.id}`, `velocityY-${nodeGenotype.id}`);
+        }
+
+        for (const muscleGenotype of creatureGenome.muscleGenotypes.filter(genotype => genotype.isEnabled)) {
+            ids.push(`length-${muscleGenotype.innovation}`);
+        }
+
+        ids.push('clockSine', 'clockCosine', 'bias');
+
+        return ids;
+    }
+
+    /**
+     * Get the IDs of the output (actuator) neurons of a creature. There is one output for each enabled muscle.
+     * @param creatureGenome The genome of the body.
+     * @returns {[string]} The IDs of the output neurons, in the same order as the enabled muscles.
+     */
+    static getOutputIds(creatureGenome) {
+        return creatureGenome.muscleGenotypes
+            .filter(genotype => genotype.isEnabled)
+            .map(muscleGenotype => `actuator-${muscleGenotype.innovation}`);
+    }
+
+    /**
+     * Feed sensor readings into the brain and advance the signals by one step.
+     *
+     * @param inputs The sensor readings, in the same order as `inputIds`.
+     * @returns {[number]} The values of the output neurons in the range [0, 1], in the same order as `outputIds`.
+     */
+    activate(inputs) {
+        for (let i = 0; i < this.inputIds.length; i++) {
+            this.values.set(this.inputIds[i], inputs[i]);
+        }
+
+        let nextValues = new Map();
+
+        for (const [id, neuron] of this.neurons) {
+            let sum = neuron.bias;
+
+            for (const synapse of neuron.incoming) {
+                sum += synapse.weight * this.values.get(synapse.from);
+            }
+
+            nextValues.set(id, neuron.activate(sum));
+        }
+
+        for (const [id, value] of nextValues) {
+            this.values.set(id, value);
+        }
+
+        return this.outputIds.map(id => this.values.get(id));
+    }
+}
@@ -1,6 +1,11 @@
 import {Bounds, Events, Mouse, Vector} from "matter-js";
 
-/** This class manages the camera view in response to mouse input including zooming and panning. */
+/**
+ * This class manages the camera view in response to mouse input including zooming and panning.
+ *
+ * The camera can also follow a creature: the leader, the median or worst creature (by displacement), or one that has
+ * been selected. Panning with the mouse switches back to manual control.
+ */
 export class CameraManager {
     /**
      * Create a new camera manager.
@@ -14,8 +19,12 @@ export class CameraManager {
      *                              This should be a value in the range (0, 1]. As the value approaches zero the camera
      *                              maintains more of its velocity and takes longer to come to a stop; setting this
      *                              value to one causes the camera to stop as soon as the mouse button is released.
+     * @param followRate How much of the distance to the followed creature the camera covers each tick. This should be a
+     *                   value in the range (0, 1]. Setting this to one snaps the camera to the creature; smaller values
+     *                   give smoother but more delayed following.
      */
-    constructor(mouseConstraint, zoomSpeed = 0.1, zoomSmoothingRate = 0.8, panSpeed = 0.5, panVelocityDecayRate = 0.95) {
+    constructor(mouseConstraint, zoomSpeed = 0.1, zoomSmoothingRate = 0.8, panSpeed = 0.5, panVelocityDecayRate = 0.95,
+                followRate = 0.1) {
         this.zoomSpeed = zoomSpeed;
         this.zoomSmoothingRate = Math.max(0, 1 - zoomSmoothingRate);
 
@@ -23,6 +32,18 @@ export class CameraManager {
         this.panVelocityDecayRate = Math.max(0, Math.min(panVelocityDecayRate, 1));
         this.panSpeed = panSpeed;
 
+        this.followRate = Math.max(0, Math.min(followRate, 1));
+        /**
+         * Which creature the camera follows: one of `CameraManager.followModes`.
+         * @type {string}
+         */
+        this.followMode = 'manual';
+        /**
+         * The creature that the camera follows in the 'selected' follow mode, or null if none has been selected.
+         * @type {Creature|null}
+         */
+        this.selectedCreature = null;
+
         // TODO: Refactor mouse related stuff so that the mouse instance isn't mutated (want to avoid side effects).
         mouseConstraint.mouse.prevPos = {x: 0, y: 0};
 
@@ -49,6 +70,68 @@ export class CameraManager {
         Events.on(mouseConstraint, 'enddrag', () => this.isDraggingBody = false);
     }
 
+    /**
+     * The ways the camera can follow the creatures. In 'manual' mode the camera is only moved with the mouse.
+     * @returns {[string]}
+     */
+    static get followModes() {
+        return ['manual', 'leader', 'median', 'worst', 'selected'];
+    }
+
+    /**
+     * Change which creature the camera follows.
+     * @param mode One of `CameraManager.followModes`.
+     * @throws {Error} If `mode` is not recognised.
+     */
+    setFollowMode(mode) {
+        if (!CameraManager.followModes.includes(mode)) {
+            throw new Error(`unknown follow mode '${mode}' (expected one of ${CameraManager.followModes.join(', ')})`);
+        }
+
+        this.followMode = mode;
+        this.panVelocity = {x: 0, y: 0};
+    }
+
+    /**
+     * Choose the creature to follow in the 'selected' follow mode and start following it.
+     * @param creature The creature, or null to stop following the selected creature.
+     */
+    select(creature) {
+        this.selectedCreature = creature;
+
+        if (creature !== null) {
+            this.setFollowMode('selected');
+        } else if (this.followMode === 'selected') {
+            this.setFollowMode('manual');
+        }
+    }
+
+    /**
+     * Find the creature that the camera should follow.
+     * @param creatures The creatures being shown.
+     * @returns {Creature|null} The creature, or null if there is none to follow.
+     */
+    getFollowedCreature(creatures) {
+        if (this.followMode === 'selected') {
+            return creatures.includes(this.selectedCreature) ? this.selectedCreature : null;
+        }
+
+        if (this.followMode === 'manual' || creatures.length === 0) {
+            return null;
+        }
+
+        const ranked = [...creatures].sort((a, b) => b.getDisplacement() - a.getDisplacement());
+
+        switch (this.followMode) {
+            case 'leader':
+                return ranked[0];
+            case 'median':
+                return ranked[Math.floor(ranked.length / 2)];
+            case 'worst':
+                return ranked[ranked.length - 1];
+        }
+    }
+
     /**
      * Clip a translation such that the resulting view does not go out of bounds.
      * @param translation The translation to clip.
@@ -80,13 +163,15 @@ export class CameraManager {
      * @param engine The engine that is being used.
      * @param render The renderer that is being used.
      * @param mouseConstraint The mouse constraint that is being used.
+     * @param creatures The creatures that the camera can follow.
      */
-    onBeforeUpdate(engine, render, mouseConstraint) {
+    onBeforeUpdate(engine, render, mouseConstraint, creatures = []) {
         let world = engine.world,
             mouse = mouseConstraint.mouse;
 
         this.updateZoom(mouse, render, world);
         this.updatePan(mouse, render, world);
+        this.updateFollow(mouse, render, world, creatures);
     }
 
     /**
@@ -160,6 +245,11 @@ export class CameraManager {
                 direction = Vector.normalise(deltaPos),
                 speed = Vector.magnitude(deltaPos) * this.panSpeed;
 
+            // Panning by hand takes the camera back from following a creature.
+            if (speed > 0) {
+                this.followMode = 'manual';
+            }
+
             translation = Vector.mult(direction, speed);
 
             this.panVelocity = translation;
@@ -180,4 +270,32 @@ export class CameraManager {
             Mouse.setOffset(mouse, render.bounds.min);
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * Move the camera towards the creature being followed, if any.
+     *
+     * @param mouse The mouse object.
+     * @param render The renderer being used.
+     * @param world The world object.
+     * @param creatures The creatures that the camera can follow.
+     */
+    updateFollow(mouse, render, world, creatures) {
+        const creature = this.getFollowedCreature(creatures);
+
+        if (creature === null || creature.nodes.length === 0) {
+            return;
+        }
+
+        const centre = Vector.div(creature.nodes.reduce((sum, node) => Vector.add(sum, node.position), {x: 0, y: 0}),
+            creature.nodes.length);
+        const viewCentre = Vector.mult(Vector.add(render.bounds.min, render.bounds.max), 0.5);
+        let translation = Vector.mult(Vector.sub(centre, viewCentre), this.followRate);
+
+        if (Vector.magnitude(translation) > 0.01) {
+            translation = CameraManager.clipToBounds(translation, render, world);
+
+            Bounds.translate(render.bounds, translation);
+            Mouse.setOffset(mouse, render.bounds.min);
+        }
+    }
+}
@@ -0,0 +1,443 @@
+import {addButton, downloadBlob} from "./utils";
+
+/**
+ * This class charts how the population changes over the generations: the min., median and max. fitness, the spread of
+ * fitness scores in each generation as a box plot, and how many nodes and muscles the creatures have.
+ *
+ * Spinning the mouse wheel over a chart zooms in or out on the generations under the mouse, dragging pans along them
+ * and double clicking shows every generation again.
+ */
+export class FitnessCharts {
+    /**
+     * Create a new set of charts.
+     * @param options {{width: number?, height: number?}} The size of each chart in pixels.
+     */
+    constructor(options = {}) {
+        const defaults = {
+            width: 400,
+            height: 190
+        };
+
+        options = Object.assign({}, defaults, options);
+
+        /**
+         * A summary of each generation that has finished, in order.
+         * @type {[{generation: number, minFitness: number, lowerQuartile: number, medianFitness: number,
+         *     upperQuartile: number, maxFitness: number, meanFitness: number, meanNodes: number,
+         *     meanMuscles: number}]}
+         */
+        this.history = [];
+        /**
+         * What the fitness charts show: fitness, or the score in the first objective in multi-objective mode, where
+         * fitness only ranks the creatures within each generation.
+         * @type {string}
+         */
+        this.statistic = 'Fitness';
+        /**
+         * The range of indices into `history` that is shown, or null to show every generation.
+         * @type {{start: number, end: number}|null}
+         */
+        this.view = null;
+
+        this.createControls(options.width, options.height);
+    }
+
+    /**
+     * The colours that the charts are drawn in.
+     * @returns {Object<string, string>}
+     */
+    static get colours() {
+        return {
+            minFitness: '#c0392b',
+            medianFitness: '#2980b9',
+            maxFitness: '#27ae60',
+            meanNodes: '#8e44ad',
+            meanMuscles: '#d35400',
+            box: '#7f8c8d',
+            axes: '#333333'
+        };
+    }
+
+    /**
+     * The space in pixels around the plotting area of each chart for the title and axis labels.
+     * @returns {{left: number, right: number, top: number, bottom: number}}
+     */
+    static get margin() {
+        return {left: 50, right: 10, top: 20, bottom: 20};
+    }
+
+    /**
+     * The columns of the exported CSV file, which are the fields of each entry in `history`.
+     * @returns {[string]}
+     */
+    static get columns() {
+        return ['generation', 'minFitness', 'lowerQuartile', 'medianFitness', 'upperQuartile', 'maxFitness',
+            'meanFitness', 'meanNodes', 'meanMuscles'];
+    }
+
+    /**
+     * Create the panel with the charts and the buttons for exporting them.
+     * @param width The width of each chart in pixels.
+     * @param height The height of each chart in pixels.
+     */
+    createControls(width, height) {
+        const element = document.createElement('div');
+        const createCanvas = () => {
+            const canvas = document.createElement('canvas');
+
+            canvas.width = width;
+            canvas.height = height;
+            canvas.style.display = 'block';
+            this.addZoomControls(canvas);
+            element.append(canvas);
+
+            return canvas;
+        };
+
+        this.fitnessCanvas = createCanvas();
+        this.boxPlotCanvas = createCanvas();
+        this.complexityCanvas = createCanvas();
+
+        addButton(element, 'Export image', () => this.downloadImage());
+        addButton(element, 'Export CSV', () => this.downloadCSV());
+
+        element.style.display = 'inline-block';
+        element.style.verticalAlign = 'top';
+
+        /**
+         * The panel. This should be added to the page, e.g. next to the canvas of the renderer.
+         * @type {HTMLDivElement}
+         */
+        this.element = element;
+        this.draw();
+    }
+
+    /**
+     * Zoom with the mouse wheel, pan by dragging and reset the zoom by double clicking on a chart.
+     * @param canvas The canvas of the chart.
+     */
+    addZoomControls(canvas) {
+        // Where along the generations axis the mouse is, from zero at the left to one at the right.
+        const getFraction = event => {
+            const {left, right} = FitnessCharts.margin;
+
+            return Math.max(0, Math.min((event.offsetX - left) / (canvas.width - left - right), 1));
+        };
+        let dragStart = null;
+
+        canvas.onwheel = event => {
+            event.preventDefault();
+            this.zoom(event.deltaY > 0 ? 1.25 : 0.8, getFraction(event));
+        };
+
+        canvas.onmousedown = event => dragStart = {fraction: getFraction(event), view: this.getView()};
+        canvas.onmouseup = canvas.onmouseleave = () => dragStart = null;
+        canvas.onmousemove = event => {
+            if (dragStart === null || this.view === null) {
+                return;
+            }
+
+            const {start, end} = dragStart.view;
+            const shift = Math.round((dragStart.fraction - getFraction(event)) * (end - start));
+
+            this.setView(start + shift, end + shift);
+        };
+
+        canvas.ondblclick = () => {
+            this.view = null;
+            this.draw();
+        };
+    }
+
+    /**
+     * Get the range of indices into `history` that is shown.
+     * @returns {{start: number, end: number}}
+     */
+    getView() {
+        return this.view !== null ? this.view : {start: 0, end: Math.max(0, this.history.length - 1)};
+    }
+
+    /**
+     * Show a range of generations, keeping it within the generations there are.
+     * @param start The index into `history` of the first generation to show.
+     * @param end The index into `history` of the last generation to show.
+     */
+    setView(start, end) {
+        const length = end - start;
+
+        start = Math.max(0, Math.min(start, this.history.length - 1 - length));
+        this.view = {start: start, end: start + length};
+        this.draw();
+    }
+
+    /**
+     * Zoom in or out on the generations.
+     * @param factor How many times more generations to show, e.g. 0.5 to zoom in on half as many generations.
+     * @param fraction Which point to zoom on, from zero at the left of the charts to one at the right.
+     */
+    zoom(factor, fraction) {
+        if (this.history.length < 2) {
+            return;
+        }
+
+        const {start, end} = this.getView();
+        const centre = start + fraction * (end - start);
+        const length = Math.round(Math.max(1, Math.min((end - start) * factor, this.history.length - 1)));
+
+        if (length === this.history.length - 1) {
+            this.view = null;
+            this.draw();
+        } else {
+            const newStart = Math.round(centre - fraction * length);
+
+            this.setView(newStart, newStart + length);
+        }
+    }
+
+    /**
+     * Add a generation that has just finished to the charts.
+     * If a run is restored from an earlier snapshot, the generations after the snapshot are forgotten.
+     *
+     * @param generation The generation number.
+     * @param results The results of the generation from `GeneticAlgorithm.evaluate()`.
+     * @param population The genomes that were evaluated.
+     */
+    addGeneration(generation, results, population) {
+        this.history = this.history.filter(entry => entry.generation < generation);
+
+        const isMultiObjective = results.objectives.length > 0;
+        const sorted = (isMultiObjective ? results.objectives.map(scores => scores[0]) : [...results.fitness])
+            .sort((a, b) => a - b);
+        const countEnabled = genotypes => genotypes.filter(genotype => genotype.isEnabled).length;
+        const mean = values => values.reduce((sum, x) => sum + x, 0) / Math.max(1, values.length);
+
+        this.statistic = isMultiObjective ? 'First objective' : 'Fitness';
+        this.history.push({
+            generation: generation,
+            minFitness: sorted[0],
+            lowerQuartile: FitnessCharts.quantile(sorted, 0.25),
+            medianFitness: FitnessCharts.quantile(sorted, 0.5),
+            upperQuartile: FitnessCharts.quantile(sorted, 0.75),
+            maxFitness: sorted[sorted.length - 1],
+            meanFitness: results.meanFitness,
+            meanNodes: mean(population.map(genome => countEnabled(genome.nodeGenotypes))),
+            meanMuscles: mean(population.map(genome => countEnabled(genome.muscleGenotypes)))
+        });
+
+        if (this.view !== null && this.view.end >= this.history.length) {
+            this.view = null;
+        }
+
+        this.draw();
+    }
+
+    /**
+     * Find a quantile of some sorted values, interpolating between the closest two values.
+     * @param sorted The values in ascending order.
+     * @param q Which quantile to find, in the range [0, 1].
+     * @returns {number} The quantile.
+     */
+    static quantile(sorted, q) {
+        const position = q * (sorted.length - 1);
+        const i = Math.floor(position);
+
+        return i + 1 < sorted.length ? sorted[i] + (position - i) * (sorted[i + 1] - sorted[i]) : sorted[i];
+    }
+
+    /**
+     * Redraw all of the charts.
+     */
+    draw() {
+        const {start, end} = this.getView();
+        const entries = this.history.slice(start, end + 1);
+
+        this.drawLines(this.fitnessCanvas, this.statistic, entries, ['minFitness', 'medianFitness', 'maxFitness']);
+        this.drawBoxPlot(this.boxPlotCanvas, entries);
+        this.drawLines(this.complexityCanvas, 'Mean nodes and muscles', entries, ['meanNodes', 'meanMuscles']);
+    }
+
+    /**
+     * Clear a chart and draw its title and axes.
+     * @param canvas The canvas of the chart.
+     * @param title The title of the chart.
+     * @param entries The generations that are shown.
+     * @param yMin The lowest value on the y-axis.
+     * @param yMax The highest value on the y-axis.
+     * @returns {{context: CanvasRenderingContext2D, x: function(number): number, y: function(number): number}|null}
+     *     The context to draw the data with and functions that give the position on the canvas of the ith entry and
+     *     of a value, or null if there is nothing to show.
+     */
+    static drawAxes(canvas, title, entries, yMin, yMax) {
+        const context = canvas.getContext('2d');
+        const {left, right, top, bottom} = FitnessCharts.margin;
+        const width = canvas.width - left - right;
+        const height = canvas.height - top - bottom;
+
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = FitnessCharts.colours.axes;
+        context.strokeStyle = FitnessCharts.colours.axes;
+        context.lineWidth = 1;
+        context.font = '12px sans-serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'top';
+        context.fillText(title, canvas.width / 2, 2);
+
+        if (entries.length === 0) {
+            context.textBaseline = 'middle';
+            context.fillText('No generations have finished yet.', canvas.width / 2, canvas.height / 2);
+            return null;
+        }
+
+        // Flat lines are drawn in the middle of the chart.
+        if (yMax - yMin < 1e-9) {
+            yMin -= 1;
+            yMax += 1;
+        }
+
+        const x = i => left + (entries.length > 1 ? i / (entries.length - 1) : 0.5) * width;
+        const y = value => top + (1 - (value - yMin) / (yMax - yMin)) * height;
+
+        context.beginPath();
+        context.moveTo(left, top);
+        context.lineTo(left, top + height);
+        context.lineTo(left + width, top + height);
+        context.stroke();
+
+        context.textBaseline = 'top';
+        context.fillText(entries[0].generation, x(0), top + height + 4);
+        context.fillText(entries[entries.length - 1].generation, x(entries.length - 1), top + height + 4);
+
+        context.textAlign = 'right';
+        context.textBaseline = 'middle';
+        context.fillText(yMax.toFixed(1), left - 4, top);
+        context.fillText(yMin.toFixed(1), left - 4, top + height);
+
+        return {context: context, x: x, y: y};
+    }
+
+    /**
+     * Draw a line chart with a line for each of some fields of the entries, and a legend.
+     * @param canvas The canvas of the chart.
+     * @param title The title of the chart.
+     * @param entries The generations that are shown.
+     * @param fields The fields of the entries to plot. These are also the labels in the legend.
+     */
+    drawLines(canvas, title, entries, fields) {
+        const values = [].concat(...fields.map(field => entries.map(entry => entry[field])));
+        const axes = FitnessCharts.drawAxes(canvas, title, entries, Math.min(...values), Math.max(...values));
+
+        if (axes === null) {
+            return;
+        }
+
+        const {context, x, y} = axes;
+        let legendX = FitnessCharts.margin.left + 8;
+
+        context.textAlign = 'left';
+        context.lineWidth = 2;
+
+        for (const field of fields) {
+            context.strokeStyle = FitnessCharts.colours[field];
+            context.beginPath();
+            entries.forEach((entry, i) => i === 0 ? context.moveTo(x(i), y(entry[field])) :
+                context.lineTo(x(i), y(entry[field])));
+
+            // A single generation is shown as a short line so that it can be seen.
+            if (entries.length === 1) {
+                context.moveTo(x(0) - 4, y(entries[0][field]));
+                context.lineTo(x(0) + 4, y(entries[0][field]));
+            }
+
+            context.stroke();
+
+            context.fillStyle = FitnessCharts.colours[field];
+            context.fillText(field, legendX, FitnessCharts.margin.top + 8);
+            legendX += context.measureText(field).width + 12;
+        }
+    }
+
+    /**
+     * Draw a box plot of the fitness scores of each generation. The whiskers go from the min. to the max. fitness and
+     * the box from the lower to the upper quartile, with a line across it at the median.
+     * @param canvas The canvas of the chart.
+     * @param entries The generations that are shown.
+     */
+    drawBoxPlot(canvas, entries) {
+        const axes = FitnessCharts.drawAxes(canvas, `${this.statistic} distribution`, entries,
+            Math.min(...entries.map(entry => entry.minFitness)), Math.max(...entries.map(entry => entry.maxFitness)));
+
+        if (axes === null) {
+            return;
+        }
+
+        const {context, x, y} = axes;
+        const plotWidth = canvas.width - FitnessCharts.margin.left - FitnessCharts.margin.right;
+        const boxWidth = Math.max(1, Math.min(20, 0.6 * plotWidth / entries.length));
+
+        context.strokeStyle = FitnessCharts.colours.box;
+        context.fillStyle = FitnessCharts.colours.box;
+
+        entries.forEach((entry, i) => {
+            const centre = x(i);
+
+            context.beginPath();
+            context.moveTo(centre, y(entry.minFitness));
+            context.lineTo(centre, y(entry.maxFitness));
+            context.stroke();
+
+            context.globalAlpha = 0.5;
+            context.fillRect(centre - boxWidth / 2, y(entry.upperQuartile), boxWidth,
+                y(entry.lowerQuartile) - y(entry.upperQuartile));
+            context.globalAlpha = 1;
+
+            context.strokeStyle = FitnessCharts.colours.medianFitness;
+            context.beginPath();
+            context.moveTo(centre - boxWidth / 2, y(entry.medianFitness));
+            context.lineTo(centre + boxWidth / 2, y(entry.medianFitness));
+            context.stroke();
+            context.strokeStyle = FitnessCharts.colours.box;
+        });
+    }
+
+    /**
+     * Convert the history of the generations to CSV.
+     * @returns {string} The CSV, with a header row.
+     */
+    toCSV() {
+        const rows = this.history.map(entry => FitnessCharts.columns.map(column => entry[column]).join(','));
+
+        return [FitnessCharts.columns.join(','), ...rows].join('\n') + '\n';
+    }
+
+    /**
+     * Let the user download the history of the generations as a CSV file.
+     */
+    downloadCSV() {
+        downloadBlob(new Blob([this.toCSV()], {type: 'text/csv'}), 'fitness.csv');
+    }
+
+    /**
+     * Let the user download the charts, one above another, as a PNG image.
+     */
+    downloadImage() {
+        const canvases = [this.fitnessCanvas, this.boxPlotCanvas, this.complexityCanvas];
+        const image = document.createElement('canvas');
+
+        image.width = Math.max(...canvases.map(canvas => canvas.width));
+        image.height = canvases.reduce((sum, canvas) => sum + canvas.height, 0);
+
+        const context = image.getContext('2d');
+        let y = 0;
+
+        // The charts are transparent, so they are put on a white background.
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, image.width, image.height);
+
+        for (const canvas of canvases) {
+            context.drawImage(canvas, 0, y);
+            y += canvas.height;
+        }
+
+        image.toBlob(blob => downloadBlob(blob, 'fitness.png'));
+    }
+}
@@ -0,0 +1,411 @@
+/**
+ * A command line interface for running the genetic algorithm without a browser.
+ *
+ * This runs the same world as the web worker, but steps the physics engine as fast as possible instead of in real
+ * time. A summary of each generation is appended to `stats.csv` in the output directory and snapshots of the genetic
+ * algorithm are saved there as checkpoints that can be resumed from, either here or in the browser.
+ * With `--workers`, the creatures are evaluated in parallel on a pool of worker threads.
+ */
+
+import fs from "fs";
+import path from "path";
+import {Worker} from "worker_threads";
+
+import {Engine} from "matter-js";
+
+import {getFitnessWeights} from "./fitness";
+import {GeneticAlgorithm} from "./ga";
+import {WorkerPool} from "./pool";
+import {loadStage, standardStages} from "./stage";
+import {createWorld, defaultStage, geneticAlgorithmDefaults} from "./world";
+
+const usage = `Usage: node evolve.js [options]
+
+Options:
+  -g, --generations <n>          How many generations to run for (default: 100).
+  -p, --population-size <n>      How many creatures are in each generation (default: 100).
+  -t, --evaluation-time <ms>     How long to evaluate each generation for in simulated milliseconds
+                                 (default: ${geneticAlgorithmDefaults.evaluationTime}).
+  -s, --seed <n>                 The seed for the random number generator (default: random).
+  -f, --fitness <spec>           What to score creatures on: the name of a fitness function, or a comma separated
+                                 list of names with weights, e.g. centreOfMass:1,flipped:100 (default: displacement).
+  -m, --objectives <specs>       Evolve for several objectives at once with NSGA-II. The objectives are fitness specs
+                                 separated by slashes, e.g. centreOfMass/efficiency. The Pareto front of each
+                                 generation is appended to pareto.csv.
+  -e, --energy-budget <n>        How much energy each creature's muscles can use before it stops moving
+                                 (default: no limit).
+      --stage <name|file>        The stage to evaluate creatures on: one of the standard stages
+                                 (${Object.keys(standardStages).join(', ')}) or a stage file (default: flat).
+  -o, --out <dir>                The directory to write stats and checkpoints to (default: out).
+  -c, --checkpoint-every <n>     Save a checkpoint every n generations (default: 10). A checkpoint is always saved at
+                                 the end of the run.
+  -w, --workers <n>              How many worker threads to evaluate creatures with (default: 1). With one worker
+                                 creatures are evaluated on the main thread.
+  -r, --resume <file>            Resume from a checkpoint. The population size, evaluation time, seed, fitness,
+                                 objectives, energy budget and stage of the checkpoint are used instead of those
+                                 given on the command line.
+  -v, --verbose                  Print the log messages of the genetic algorithm.
+  -h, --help                     Show this message.`;
+
+/**
+ * The command line options, keyed by their long name. Each option can have a short name and has a function that
+ * parses its value, or no parser if the option is a flag.
+ */
+const optionSpecs = {
+    'generations': {short: 'g', parse: parsePositiveInteger},
+    'population-size': {short: 'p', parse: parsePositiveInteger},
+    'evaluation-time': {short: 't', parse: parsePositiveNumber},
+    'seed': {short: 's', parse: parseInteger},
+    'fitness': {short: 'f', parse: parseFitness},
+    'objectives': {short: 'm', parse: value => value.split('/').map(parseFitness)},
+    'energy-budget': {short: 'e', parse: parsePositiveNumber},
+    'stage': {parse: parseStage},
+    'out': {short: 'o', parse: value => value},
+    'checkpoint-every': {short: 'c', parse: parsePositiveInteger},
+    'workers': {short: 'w', parse: parsePositiveInteger},
+    'resume': {short: 'r', parse: value => value},
+    'verbose': {short: 'v'},
+    'help': {short: 'h'}
+};
+
+/** An error in the command line arguments. */
+export class UsageError extends Error {
+    /**
+     * Create a new usage error.
+     * @param message What is wrong with the arguments.
+     */
+    constructor(message) {
+        super(message);
+
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Parse an integer option.
+ * @param value The value given on the command line.
+ * @returns {number} The integer.
+ * @throws {Error} If the value is not an integer.
+ */
+function parseInteger(value) {
+    if (!/^-?\d+$/.test(value)) {
+        throw new Error(`expected an integer but got '${value}'`);
+    }
+
+    return Number(value);
+}
+
+/**
+ * Parse an integer option that must be greater than zero.
+ * @param value The value given on the command line.
+ * @returns {number} The integer.
+ * @throws {Error} If the value is not a positive integer.
+ */
+function parsePositiveInteger(value) {
+    const n = parseInteger(value);
+
+    if (n <= 0) {
+        throw new Error(`expected a positive integer but got '${value}'`);
+    }
+
+    return n;
+}
+
+/**
+ * Parse a number option that must be greater than zero.
+ * @param value The value given on the command line.
+ * @returns {number} The number.
+ * @throws {Error} If the value is not a positive number.
+ */
+function parsePositiveNumber(value) {
+    const x = Number(value);
+
+    if (value.trim() === '' || !Number.isFinite(x) || x <= 0) {
+        throw new Error(`expected a positive number but got '${value}'`);
+    }
+
+    return x;
+}
+
+/**
+ * Parse a fitness specification, e.g. `centreOfMass` or `centreOfMass:1,flipped:100`.
+ * @param value The value given on the command line.
+ * @returns {Object<string, number>} The weight of each fitness function keyed by its name.
+ * @throws {Error} If the value names a fitness function that does not exist or has an invalid weight.
+ */
+function parseFitness(value) {
+    let weights = {};
+
+    for (const term of value.split(',')) {
+        const [name, weight = '1'] = term.split(':');
+
+        weights[name.trim()] = weight.trim() === '' ? NaN : Number(weight);
+    }
+
+    return getFitnessWeights(weights);
+}
+
+/**
+ * Parse a stage option, which is either the name of a standard stage or the path to a stage file.
+ * @param value The value given on the command line.
+ * @returns {Object} The stage.
+ * @throws {Error} If the file cannot be read or is not a valid stage.
+ */
+function parseStage(value) {
+    if (standardStages.hasOwnProperty(value)) {
+        return standardStages[value];
+    }
+
+    if (!fs.existsSync(value)) {
+        throw new Error(`no standard stage or file called '${value}' (the standard stages are ` +
+            `${Object.keys(standardStages).join(', ')})`);
+    }
+
+    return loadStage(JSON.parse(fs.readFileSync(value, 'utf8')), value);
+}
+
+/**
+ * Parse the command line arguments.
+ *
+ * @param args The arguments, not including the path to node and the script.
+ * @returns {{generations: number, populationSize: number, evaluationTime: number, seed: number?,
+ *     fitness: Object<string, number>, objectives: [Object<string, number>]?, energyBudget: number?, stage: Object,
+ *     out: string, checkpointEvery: number, workers: number, resume: string?, verbose: boolean, help: boolean}}
+ *     The options.
+ * @throws {UsageError} If an argument is not recognised or an option is missing its value or has an invalid value.
+ */
+export function parseArgs(args) {
+    let options = {
+        generations: 100,
+        populationSize: 100,
+        evaluationTime: geneticAlgorithmDefaults.evaluationTime,
+        seed: null,
+        fitness: {displacement: 1},
+        objectives: null,
+        energyBudget: null,
+        stage: defaultStage,
+        out: 'out',
+        checkpointEvery: 10,
+        workers: 1,
+        resume: null,
+        verbose: false,
+        help: false
+    };
+
+    const camelCase = name => name.replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        let name;
+        let value = null;
+
+        if (arg.startsWith('--')) {
+            // Both `--name value` and `--name=value` are accepted.
+            [name, value = null] = arg.slice(2).split(/=(.*)/);
+        } else if (arg.startsWith('-') && arg.length === 2) {
+            name = Object.keys(optionSpecs).find(long => optionSpecs[long].short === arg[1]);
+        }
+
+        if (!optionSpecs.hasOwnProperty(name)) {
+            throw new UsageError(`unrecognised argument '${arg}'`);
+        }
+
+        const spec = optionSpecs[name];
+
+        if (spec.parse === undefined) {
+            options[camelCase(name)] = true;
+            continue;
+        }
+
+        if (value === null) {
+            if (i + 1 >= args.length) {
+                throw new UsageError(`missing value for --${name}`);
+            }
+
+            value = args[++i];
+        }
+
+        try {
+            options[camelCase(name)] = spec.parse(value);
+        } catch (error) {
+            throw new UsageError(`invalid value for --${name}: ${error.message}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Create a pool of worker threads that evaluate creatures.
+ * @param numWorkers How many threads to create.
+ * @returns {WorkerPool} The pool.
+ */
+function createThreadPool(numWorkers) {
+    // Each thread has to compile the app with Babel, just like evolve.js does for the main thread.
+    const babelRegister = JSON.stringify(require.resolve('@babel/register'));
+    const source = `
+        require(${babelRegister})({cwd: ${JSON.stringify(path.join(__dirname, '..'))}});
+        const {parentPort} = require('worker_threads');
+        const {handleEvaluationMessage} = require(${JSON.stringify(path.join(__dirname, 'evaluation'))});
+        parentPort.on('message', data => parentPort.postMessage(handleEvaluationMessage(data)));
+    `;
+
+    let workers = [];
+
+    for (let i = 0; i < numWorkers; i++) {
+        workers.push(new Worker(source, {eval: true}));
+    }
+
+    return new WorkerPool(workers, (worker, onMessage, onError) => {
+        worker.on('message', onMessage);
+        worker.on('error', onError);
+    });
+}
+
+/**
+ * Run the genetic algorithm.
+ *
+ * @param args The command line arguments, not including the path to node and the script.
+ * @returns {number|Promise<number>} The exit code, which is only known once the run finishes when running on worker
+ *     threads.
+ */
+export function main(args) {
+    let options;
+
+    try {
+        options = parseArgs(args);
+    } catch (error) {
+        if (!(error instanceof UsageError)) {
+            throw error;
+        }
+
+        console.error(`Error: ${error.message}\n\n${usage}`);
+        return 2;
+    }
+
+    if (options.help) {
+        console.log(usage);
+        return 0;
+    }
+
+    // The genetic algorithm logs a lot, which slows things down and buries the progress messages.
+    const log = console.log;
+
+    if (!options.verbose) {
+        console.log = () => {};
+        console.info = () => {};
+    }
+
+    fs.mkdirSync(options.out, {recursive: true});
+
+    const statsPath = path.join(options.out, 'stats.csv');
+    const paretoPath = path.join(options.out, 'pareto.csv');
+
+    let generationStartTime = Date.now();
+    let generationsRun = 0;
+    let GA;
+
+    const saveCheckpoint = () => {
+        const checkpointPath = path.join(options.out, `checkpoint-${GA.generation}.json`);
+        fs.writeFileSync(checkpointPath, JSON.stringify(GA));
+        log(`Saved checkpoint to ${checkpointPath}`);
+    };
+
+    const onGenerationEnd = () => {
+        const results = GA.generationResults;
+        const seconds = (Date.now() - generationStartTime) / 1000;
+        // In multi-objective mode fitness only ranks the genomes within a generation, so the first objective is
+        // reported instead. The objectives of a resumed run come from the checkpoint, so this is only known now.
+        const statistic = GA.objectives !== null ? 'FirstObjective' : 'Fitness';
+        const label = GA.objectives !== null ? 'first objective' : 'fitness';
+
+        if (!fs.existsSync(statsPath)) {
+            const columns = ['min', 'median', 'mean', 'max'].map(name => name + statistic);
+
+            fs.writeFileSync(statsPath, ['generation', ...columns, 'species', 'seconds'].join(',') + '\n');
+        }
+
+        fs.appendFileSync(statsPath, [GA.generation, results.minFitness, results.medianFitness, results.meanFitness,
+            results.maxFitness, GA.species.length, seconds].join(',') + '\n');
+        log(`Generation ${GA.generation}: max. ${label} ${results.maxFitness.toFixed(1)}, median ${label}`,
+            `${results.medianFitness.toFixed(1)}, ${GA.species.length} species (${seconds.toFixed(1)}s)`);
+
+        if (GA.objectives !== null) {
+            if (!fs.existsSync(paretoPath)) {
+                // Name each objective after its fitness functions, e.g. `centreOfMass+100*flipped`.
+                const objectiveNames = GA.objectives.map(weights => Object.entries(weights)
+                    .map(([name, weight]) => weight === 1 ? name : `${weight}*${name}`).join('+'));
+                fs.writeFileSync(paretoPath, ['generation', 'index', ...objectiveNames].join(',') + '\n');
+            }
+
+            fs.appendFileSync(paretoPath, results.paretoFront
+                .map(i => [GA.generation, i, ...results.objectives[i]].join(',') + '\n').join(''));
+        }
+
+        generationsRun++;
+        generationStartTime = Date.now();
+    };
+
+    const onGenerationStart = () => {
+        // Checkpoints are saved at the start of a generation since that is what snapshots capture.
+        if (generationsRun % options.checkpointEvery === 0 || generationsRun === options.generations) {
+            saveCheckpoint();
+        }
+    };
+
+    const callbacks = {
+        onGenerationStart: onGenerationStart,
+        onGenerationEnd: onGenerationEnd
+    };
+
+    if (options.resume !== null) {
+        try {
+            GA = GeneticAlgorithm.fromJSON(null, JSON.parse(fs.readFileSync(options.resume, 'utf8')),
+                callbacks);
+        } catch (error) {
+            console.error(`Error: could not resume from ${options.resume}: ${error.message}`);
+            return 1;
+        }
+
+        log(`Resumed from ${options.resume} at generation ${GA.generation} (seed ${GA.rng.seed})`);
+    } else {
+        GA = new GeneticAlgorithm(null, Object.assign({}, geneticAlgorithmDefaults, callbacks, {
+            populationSize: options.populationSize,
+            evaluationTime: options.evaluationTime,
+            seed: options.seed,
+            fitness: options.fitness,
+            objectives: options.objectives,
+            energyBudget: options.energyBudget,
+            stage: options.stage
+        }));
+
+        GA.reset();
+        log(`Started on stage '${GA.stage.name}' with seed ${GA.rng.seed}`);
+    }
+
+    if (options.workers > 1) {
+        const pool = createThreadPool(options.workers);
+        const runGenerations = () => generationsRun < options.generations ?
+            GA.evaluateWith(pool).then(runGenerations) : Promise.resolve();
+
+        log(`Evaluating creatures with ${options.workers} worker threads`);
+
+        return runGenerations()
+            .then(() => 0, error => {
+                console.error(`Error: could not evaluate generation ${GA.generation}: ${error.message}`);
+                return 1;
+            })
+            .finally(() => pool.terminate());
+    }
+
+    // The world is built once the stage is known, which may come from the checkpoint.
+    const {engine} = createWorld(GA.stage);
+    GA.setWorld(engine.world);
+
+    while (generationsRun < options.generations) {
+        GA.update();
+        Engine.update(engine, GA.stepSize);
+    }
+
+    return 0;
+}
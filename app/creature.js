@@ -1,6 +1,11 @@
-import {Bodies, Constraint} from "matter-js";
+import {Bodies, Constraint, Vector} from "matter-js";
+import {Brain, BrainGenome} from "./brain";
 import {MuscleConstraint} from "./muscle";
-import {clippedRandomGaussian, randomInt} from "./utils";
+import {innovationTracker} from "./innovation";
+import {CreatureName, getScientificName, nameRegistry} from "./names";
+import {random} from "./random";
+import {expectFields, expectUnique, FormatError, GENOME_FORMAT_VERSION, migrateGenome} from "./serialization";
+import {clippedRandomGaussian, randomChoice, randomInt} from "./utils";
 
 /** A genotype for a 'node' in a creature'. These sort of act like a mixture between joints and limbs. */
 export class NodeGenotype {
@@ -48,10 +53,11 @@ export class NodeGenotype {
 
     /**
      * Create a node gene.
-     * @param options {{size: number?, friction: number?, staticFriction: number?}}
+     * @param options {{id: number?, size: number?, friction: number?, staticFriction: number?}}
      */
     constructor(options = {}) {
         const defaults = {
+            id: 0,
             size: 20,
             friction: 0.9,
             frictionStatic: 0.5
@@ -59,6 +65,13 @@ export class NodeGenotype {
 
         options = Object.assign({}, defaults, options);
 
+        /**
+         * The ID of the node. This is the historical marking that identifies the node across genomes.
+         * @type {number}
+         * @see InnovationTracker.getNodeId
+         */
+        this.id = options.id;
+
         /**
          * The radius of the node.
          */
@@ -87,13 +100,16 @@ export class NodeGenotype {
 
     /**
      * Generate a random node genotype.
+     * @param id The ID to give the node genotype.
+     * @param rng The random number generator to draw from.
      * @returns {NodeGenotype} The generated node genotype.
      */
-    static createRandom() {
+    static createRandom(id = 0, rng = random) {
         return new NodeGenotype({
-            size: clippedRandomGaussian(NodeGenotype.randomConfig.size),
-            friction: clippedRandomGaussian(NodeGenotype.randomConfig.friction),
-            frictionStatic: clippedRandomGaussian(NodeGenotype.randomConfig.frictionStatic)
+            id: id,
+            size: clippedRandomGaussian(NodeGenotype.randomConfig.size, rng),
+            friction: clippedRandomGaussian(NodeGenotype.randomConfig.friction, rng),
+            frictionStatic: clippedRandomGaussian(NodeGenotype.randomConfig.frictionStatic, rng)
         });
     }
 
@@ -105,6 +121,33 @@ export class NodeGenotype {
         return new NodeGenotype(this);
     }
 
+    /**
+     * Convert the genotype to a plain object that can be serialized.
+     * @returns {{id: number, size: number, friction: number, frictionStatic: number}} The serialized genotype.
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            size: this.size,
+            friction: this.friction,
+            frictionStatic: this.frictionStatic
+        };
+    }
+
+    /**
+     * Create a node genotype from a plain object made by `toJSON()`.
+     *
+     * @param json The serialized genotype.
+     * @param path Where the genotype is in the data being loaded, used in error messages.
+     * @returns {NodeGenotype} The node genotype.
+     * @throws {FormatError} If `json` is not a valid serialized node genotype.
+     */
+    static fromJSON(json, path = 'nodeGenotype') {
+        expectFields(json, {id: 'integer', size: 'number', friction: 'number', frictionStatic: 'number'}, path);
+
+        return new NodeGenotype(json);
+    }
+
     /**
      * Get the physical manifestation of a genotype.
      *
@@ -117,29 +160,31 @@ export class NodeGenotype {
         return Bodies.circle(x, y, nodeGenotype.size, {
             friction: nodeGenotype.friction,
             inertia: Infinity, // This stops the body from rotating like a wheel.
-            collisionFilter: NodeGenotype.collisionFilter
+            collisionFilter: NodeGenotype.collisionFilter,
+            contactCount: 0 // This is kept up to date by engines made with `createEngine()`.
         });
     }
 
     /**
      * Mutate the genotype randomly.
+     * @param rng The random number generator to draw from.
      */
-    mutate() {
-        const p = Math.random();
+    mutate(rng = random) {
+        const p = rng.random();
 
         if (p < NodeGenotype.pMutate) {
-            switch (randomInt(0, 3)) {
+            switch (randomInt(0, 3, rng)) {
                 case 0:
                     this.size = clippedRandomGaussian(Object.assign({}, NodeGenotype.randomConfig.size,
-                        {mu: this.size, sigma: 1}));
+                        {mu: this.size, sigma: 1}), rng);
                     break;
                 case 1:
                     this.friction = clippedRandomGaussian(Object.assign({}, NodeGenotype.randomConfig.friction,
-                        {mu: this.friction}));
+                        {mu: this.friction}), rng);
                     break;
                 case 2:
                     this.frictionStatic = clippedRandomGaussian(Object.assign({}, NodeGenotype.randomConfig.frictionStatic,
-                        {mu: this.frictionStatic}));
+                        {mu: this.frictionStatic}), rng);
                     break;
             }
         }
@@ -198,8 +243,10 @@ export class MuscleGenotype {
     /**
      * Create a new muscle genotype.
      *
-     * @param options {{bodyA: number?, bodyB: number?, stiffness: number?, contractedLength: number?,
-     *     extendedLength: number?, contractDelay: number?, extendDelay: number?}}
+     * @param options {{bodyA: number?, bodyB: number?, innovation: number?, stiffness: number?,
+     *     contractedLength: number?, extendedLength: number?, contractDelay: number?, extendDelay: number?,
+     *     isExpressed: boolean?}}
+     *     If `innovation` is not given, it is looked up from the shared innovation tracker.
      *
      * @see Constraint.create
      * @see MuscleConstraint.create
@@ -212,23 +259,33 @@ export class MuscleGenotype {
             contractedLength: 60,
             extendedLength: 80,
             contractDelay: 1000,
-            extendDelay: 1000
+            extendDelay: 1000,
+            isExpressed: true
         };
 
         options = Object.assign({}, defaults, options);
 
         /**
-         * The ID (index) of the first body (node) connected to by the muscle.
+         * The ID of the first body (node) connected to by the muscle.
          * In the constructor this is set to be the lowest of `bodyA` and `bodyB` so that these values are sorted.
          * @type {number}
+         * @see NodeGenotype.id
          */
         this.bodyA = Math.min(options.bodyA, options.bodyB);
         /**
-         * The ID (index) of the second body (node) connected to by the muscle.
+         * The ID of the second body (node) connected to by the muscle.
          * In the constructor this is set to be the highest of `bodyA` and `bodyB` so that these values are sorted.
          * @type {number}
+         * @see NodeGenotype.id
          */
         this.bodyB = Math.max(options.bodyB, options.bodyA);
+        /**
+         * The innovation number of the muscle. This is the historical marking that identifies the muscle across
+         * genomes and is used to line up genes during crossover.
+         * @type {number}
+         */
+        this.innovation = options.innovation !== undefined ? options.innovation :
+            innovationTracker.getMuscleInnovation(this.bodyA, this.bodyB);
         /**
          * How fast the muscle moves between its contracted and extended states.
          */
@@ -250,35 +307,44 @@ export class MuscleGenotype {
          * How long the muscle waits after contracting to extend again.
          */
         this.extendDelay = options.extendDelay;
+        /**
+         * Whether or not the muscle genotype is expressed.
+         * This is the 'enable bit' from NEAT: it is switched off when the muscle is split by a new node and can be
+         * toggled by mutation. Unlike `isEnabled`, this is inherited by copies and offspring.
+         * @type {boolean}
+         */
+        this.isExpressed = options.isExpressed;
         /**
          * Whether or not the muscle genotype is enabled.
-         * A muscle genotype should be enabled as long as it connects two distinct nodes.
+         * A muscle genotype should be enabled as long as it is expressed and connects two distinct nodes.
          * Enabled genotypes should not manifest physically (i.e. they should not have phenotypes).
          *
          * @returns {boolean} True if the muscle genotype is enabled, false otherwise.
          */
-        this.isEnabled = this.bodyA !== this.bodyB;
+        this.isEnabled = this.isExpressed && this.bodyA !== this.bodyB;
     }
 
     /**
      * Create a random genotype.
      *
-     * @param nNodes How many nodes that are in the creature that this muscle genotype will be added to.
-     *               This allows the generation of indices that reference the nodes.
+     * @param nodeIds The IDs of the nodes that are in the creature that this muscle genotype will be added to.
+     * @param bodyA The ID of the first node to connect. If null, this is picked at random from `nodeIds`.
+     * @param bodyB The ID of the second node to connect. If null, this is picked at random from `nodeIds`.
+     * @param rng The random number generator to draw from.
      * @returns {MuscleGenotype} The generated genotype.
      */
-    static createRandom(nNodes) {
-        let bodyA = randomInt(0, nNodes);
-        let bodyB = randomInt(0, nNodes);
+    static createRandom(nodeIds, bodyA = null, bodyB = null, rng = random) {
+        bodyA = bodyA !== null ? bodyA : randomChoice(nodeIds, rng);
+        bodyB = bodyB !== null ? bodyB : randomChoice(nodeIds, rng);
 
         return new MuscleGenotype({
             bodyA: bodyA,
             bodyB: bodyB,
-            stiffness: clippedRandomGaussian(MuscleGenotype.randomConfig.stiffness),
-            contractedLength: clippedRandomGaussian(MuscleGenotype.randomConfig.contractedLength),
-            extendedLength: clippedRandomGaussian(MuscleGenotype.randomConfig.extendedLength),
-            contractDelay: clippedRandomGaussian(MuscleGenotype.randomConfig.contractDelay),
-            extendDelay: clippedRandomGaussian(MuscleGenotype.randomConfig.extendDelay),
+            stiffness: clippedRandomGaussian(MuscleGenotype.randomConfig.stiffness, rng),
+            contractedLength: clippedRandomGaussian(MuscleGenotype.randomConfig.contractedLength, rng),
+            extendedLength: clippedRandomGaussian(MuscleGenotype.randomConfig.extendedLength, rng),
+            contractDelay: clippedRandomGaussian(MuscleGenotype.randomConfig.contractDelay, rng),
+            extendDelay: clippedRandomGaussian(MuscleGenotype.randomConfig.extendDelay, rng),
         });
     }
 
@@ -290,6 +356,70 @@ export class MuscleGenotype {
         return new MuscleGenotype(this);
     }
 
+    /**
+     * Convert the genotype to a plain object that can be serialized.
+     * @returns {{innovation: number, bodyA: number, bodyB: number, stiffness: number, contractedLength: number,
+     *     extendedLength: number, contractDelay: number, extendDelay: number, isExpressed: boolean}}
+     *     The serialized genotype.
+     */
+    toJSON() {
+        return {
+            innovation: this.innovation,
+            bodyA: this.bodyA,
+            bodyB: this.bodyB,
+            stiffness: this.stiffness,
+            contractedLength: this.contractedLength,
+            extendedLength: this.extendedLength,
+            contractDelay: this.contractDelay,
+            extendDelay: this.extendDelay,
+            isExpressed: this.isExpressed
+        };
+    }
+
+    /**
+     * Create a muscle genotype from a plain object made by `toJSON()`.
+     *
+     * @param json The serialized genotype.
+     * @param path Where the genotype is in the data being loaded, used in error messages.
+     * @returns {MuscleGenotype} The muscle genotype.
+     * @throws {FormatError} If `json` is not a valid serialized muscle genotype.
+     */
+    static fromJSON(json, path = 'muscleGenotype') {
+        expectFields(json, {
+            innovation: 'integer',
+            bodyA: 'integer',
+            bodyB: 'integer',
+            stiffness: 'number',
+            contractedLength: 'number',
+            extendedLength: 'number',
+            contractDelay: 'number',
+            extendDelay: 'number',
+            isExpressed: 'boolean'
+        }, path);
+
+        return new MuscleGenotype(json);
+    }
+
+    /**
+     * Measure how different the parameters of two muscle genotypes are.
+     * This is the NEAT equivalent of the difference between the weights of two connection genes.
+     *
+     * @param muscleGenotype1 The first muscle genotype.
+     * @param muscleGenotype2 The second muscle genotype.
+     * @returns {number} The mean difference of the parameters relative to their mean values in `randomConfig`.
+     */
+    static parameterDistance(muscleGenotype1, muscleGenotype2) {
+        const parameters = Object.keys(MuscleGenotype.randomConfig);
+        let sum = 0;
+
+        for (const parameter of parameters) {
+            sum += Math.abs(muscleGenotype1[parameter] - muscleGenotype2[parameter]) /
+                MuscleGenotype.randomConfig[parameter].mu;
+        }
+
+        return sum / parameters.length;
+    }
+
     /**
      * Get the physical manifestation of the genotype.
      *
@@ -315,70 +445,149 @@ export class MuscleGenotype {
 
     /**
      * Mutate the genotype randomly.
-     * @param nNodes How many nodes that are in the creature that this muscle genotype will be added to.
-     *               This allows the generation of indices that reference the nodes.
+     * @param nodeIds The IDs of the nodes that are in the creature that this muscle genotype belongs to.
+     * @param connected The set of innovation numbers of the muscles in the creature. A muscle is never reconnected
+     *                  to a pair of nodes that is already connected by another muscle.
+     * @param rng The random number generator to draw from.
      */
-    mutate(nNodes) {
-        const p = Math.random();
+    mutate(nodeIds, connected = new Set(), rng = random) {
+        const p = rng.random();
 
         if (p < MuscleGenotype.pMutate) {
-            switch (randomInt(0, 7)) {
+            switch (randomInt(0, 7, rng)) {
                 case 0:
-                    this.bodyA = randomInt(0, nNodes);
+                    this.reconnect(randomChoice(nodeIds, rng), this.bodyB, connected);
                     break;
                 case 1:
-                    this.bodyB = randomInt(0, nNodes);
+                    this.reconnect(this.bodyA, randomChoice(nodeIds, rng), connected);
                     break;
                 case 2:
                     this.contractedLength = clippedRandomGaussian(Object.assign({},
                         MuscleGenotype.randomConfig.contractedLength,
-                        {mu: this.contractedLength, sigma: 1}));
+                        {mu: this.contractedLength, sigma: 1}), rng);
                     break;
                 case 3:
                     this.extendedLength = clippedRandomGaussian(Object.assign({},
                         MuscleGenotype.randomConfig.extendedLength,
-                        {mu: this.extendedLength, sigma: 1}));
+                        {mu: this.extendedLength, sigma: 1}), rng);
                     break;
                 case 4:
                     this.stiffness = clippedRandomGaussian(Object.assign({},
                         MuscleGenotype.randomConfig.stiffness,
-                        {mu: this.stiffness, sigma: 1}));
+                        {mu: this.stiffness, sigma: 1}), rng);
                     break;
                 case 5:
                     this.contractDelay = clippedRandomGaussian(Object.assign({},
                         MuscleGenotype.randomConfig.contractDelay,
-                        {mu: this.contractDelay, sigma: 1}));
+                        {mu: this.contractDelay, sigma: 1}), rng);
                     break;
                 case 6:
                     this.extendDelay = clippedRandomGaussian(Object.assign({},
                         MuscleGenotype.randomConfig.extendDelay,
-                        {mu: this.extendDelay, sigma: 1}));
+                        {mu: this.extendDelay, sigma: 1}), rng);
                     break;
             }
 
+            // Update the `isEnabled` property.
+            this.isEnabled = this.isExpressed && this.bodyA !== this.bodyB;
+        }
+    }
 
-            // Enforce the sorted property of the body IDs.
-            if (this.bodyA > this.bodyB) {
-                [this.bodyA, this.bodyB] = [this.bodyB, this.bodyA]
-            }
+    /**
+     * Switch the expression of the muscle on or off.
+     * @param isExpressed Whether the muscle should be expressed.
+     */
+    setExpressed(isExpressed) {
+        this.isExpressed = isExpressed;
+        this.isEnabled = this.isExpressed && this.bodyA !== this.bodyB;
+    }
 
-            // Update the `isEnabled` property.
-            this.isEnabled = this.bodyA !== this.bodyB;
+    /**
+     * Connect the muscle to a different pair of nodes.
+     * Since this changes the structure of the creature, the muscle is given the innovation number for the new pair.
+     *
+     * @param bodyA The ID of one of the nodes to connect.
+     * @param bodyB The ID of the other node to connect.
+     * @param connected The set of innovation numbers of the muscles in the creature. If the new pair of nodes is
+     *                  already connected the muscle is left as it is.
+     */
+    reconnect(bodyA, bodyB, connected) {
+        const innovation = innovationTracker.getMuscleInnovation(bodyA, bodyB);
+
+        if (!connected.has(innovation)) {
+            connected.delete(this.innovation);
+            connected.add(innovation);
+
+            // Enforce the sorted property of the body IDs.
+            this.bodyA = Math.min(bodyA, bodyB);
+            this.bodyB = Math.max(bodyA, bodyB);
+            this.innovation = innovation;
         }
     }
 }
 
 /** A collection of genotypes that make up a creature. */
 export class CreatureGenome {
+    /**
+     * The probability that a matching gene is inherited from the first parent during crossover.
+     * @type {number}
+     */
+    static pInheritFirst = 0.5;
+
+    /**
+     * The probability that a disjoint or excess gene is inherited during crossover when both parents are equally fit.
+     * @type {number}
+     */
+    static pInheritUnmatched = 0.5;
+
+    /**
+     * The probability that a matching muscle genotype is not expressed in the child if it is not expressed in either
+     * parent.
+     * @type {number}
+     */
+    static pInheritUnexpressed = 0.75;
+
+    /**
+     * The probability that a new node is added by splitting a muscle during mutation.
+     * @type {number}
+     */
+    static pAddNode = 0.03;
+
+    /**
+     * The probability that a new muscle is added between two unconnected nodes during mutation.
+     * @type {number}
+     */
+    static pAddMuscle = 0.05;
+
+    /**
+     * The probability that a muscle is switched off (or back on) during mutation.
+     * @type {number}
+     */
+    static pToggleMuscle = 0.01;
+
     /**
      * Create a creature genome.
      *
      * @param nodeGenotypes The list of node genotypes for this creature.
      * @param muscleGenotypes The list of node genotypes for this creature.
+     * @param brainGenome The genome of the brain that controls the muscles of this creature. If this is null, the
+     *                    muscles are controlled by the timers in their genotypes instead.
+     * @param name The name of this creature. If this is null, the creature is named as the founder of a new lineage.
      */
-    constructor(nodeGenotypes, muscleGenotypes) {
+    constructor(nodeGenotypes, muscleGenotypes, brainGenome = null, name = null) {
         this.nodeGenotypes = nodeGenotypes;
         this.muscleGenotypes = muscleGenotypes;
+        /**
+         * The genome of the brain that controls the muscles of this creature, or null if the muscles are controlled by
+         * timers.
+         * @type {BrainGenome|null}
+         */
+        this.brainGenome = brainGenome;
+        /**
+         * The name of this creature, which stays with the genome when it is copied or serialized.
+         * @type {CreatureName}
+         */
+        this.name = name !== null ? name : nameRegistry.createFounderName();
         this._checkActive();
     }
 
@@ -409,13 +618,14 @@ export class CreatureGenome {
         // TODO: Optimise this?
         let nodeIndex = {};
 
-        for (let i = 0; i < this.nodeGenotypes.length; i++) {
-            nodeIndex[i] = [];
+        for (const nodeGenotype of this.nodeGenotypes) {
+            nodeIndex[nodeGenotype.id] = [];
         }
 
         // Create a two-way adjacency list.
         for (const muscleGenotype of this.muscleGenotypes) {
-            if (muscleGenotype.isEnabled) {
+            if (muscleGenotype.isEnabled && nodeIndex.hasOwnProperty(muscleGenotype.bodyA) &&
+                nodeIndex.hasOwnProperty(muscleGenotype.bodyB)) {
                 nodeIndex[muscleGenotype.bodyA].push(muscleGenotype.bodyB);
                 nodeIndex[muscleGenotype.bodyB].push(muscleGenotype.bodyA);
             }
@@ -425,28 +635,29 @@ export class CreatureGenome {
         let visitedNodes = new Set();
         let groups = [];
 
-        for (let i = 0; i < this.nodeGenotypes.length; i++) {
-            if (!visitedNodes.has(i)) {
+        for (const nodeGenotype of this.nodeGenotypes) {
+            if (!visitedNodes.has(nodeGenotype.id)) {
                 // A group is set of connected nodes.
                 let group = new Set();
-                CreatureGenome._dfs(i, nodeIndex, visitedNodes, group);
+                CreatureGenome._dfs(nodeGenotype.id, nodeIndex, visitedNodes, group);
                 groups.push(group);
             }
         }
 
         // Identify the `primary group` of nodes and muscles, i.e. the largest group.
-        groups.sort((a, b) => b.length - a.length); // sort groups by descending order of size/length
-        const [primaryGroup, ...secondaryGroups] = groups;
+        groups.sort((a, b) => b.size - a.size); // sort groups by descending order of size
+        const [primaryGroup = new Set(), ...secondaryGroups] = groups;
 
         // Set active states appropriately for primary and secondary groups.
+        const nodeGenotypesById = this.nodeGenotypesById;
 
-        for (const i of primaryGroup) {
-            this.nodeGenotypes[i].isEnabled = true;
+        for (const id of primaryGroup) {
+            nodeGenotypesById.get(id).isEnabled = true;
         }
 
         for (const group of secondaryGroups) {
-            for (const i of group) {
-                this.nodeGenotypes[i].isEnabled = false;
+            for (const id of group) {
+                nodeGenotypesById.get(id).isEnabled = false;
             }
         }
 
@@ -460,37 +671,112 @@ export class CreatureGenome {
 
     /**
      * Perform crossover between two genomes, mutate the resulting genome and return it.
-     * @param creatureGenome1 The first genome to breed.
+     * @param creatureGenome1 The first genome to breed. This should be the fitter of the two genomes.
      * @param creatureGenome2 The second genome to breed.
+     * @param isEquallyFit Whether the two genomes are equally fit.
+     * @param maxNodes The largest number of node genotypes that the child is allowed to grow to.
+     * @param rng The random number generator to draw from.
      * @returns {CreatureGenome} The genome resulting from 'breeding' the two given genomes.
+     * @see CreatureGenome.crossover
      */
-    static breed(creatureGenome1, creatureGenome2) {
-        let childCreatureGenome = creatureGenome1.crossover(creatureGenome2);
-        childCreatureGenome.mutate();
+    static breed(creatureGenome1, creatureGenome2, isEquallyFit = false, maxNodes = Infinity, rng = random) {
+        let childCreatureGenome = creatureGenome1.crossover(creatureGenome2, isEquallyFit, rng);
+        childCreatureGenome.mutate(maxNodes, rng);
 
         return childCreatureGenome;
     }
 
+    /**
+     * Calculate the compatibility distance between two genomes as described in the NEAT paper:
+     * `c1 * E / N + c2 * D / N + c3 * W`, where `E` and `D` are the number of excess and disjoint connection genotypes
+     * (muscles and synapses), `N` is the number of connection genotypes in the larger genome and `W` is the mean
+     * parameter distance of the matching connection genotypes.
+     *
+     * @param creatureGenome1 The first genome.
+     * @param creatureGenome2 The second genome.
+     * @param coefficients {{c1: number, c2: number, c3: number}} How much weight to give the excess genes, disjoint
+     *                     genes and parameter differences, respectively.
+     * @returns {number} The compatibility distance between the two genomes.
+     * @see MuscleGenotype.parameterDistance
+     * @see SynapseGenotype.parameterDistance
+     */
+    static compatibilityDistance(creatureGenome1, creatureGenome2, coefficients) {
+        const {c1, c2, c3} = coefficients;
+        const genotypes1 = creatureGenome1.connectionGenotypesByInnovation;
+        const genotypes2 = creatureGenome2.connectionGenotypesByInnovation;
+        const maxInnovation1 = Math.max(-1, ...genotypes1.keys());
+        const maxInnovation2 = Math.max(-1, ...genotypes2.keys());
+
+        let numExcess = 0;
+        let numDisjoint = 0;
+        let numMatching = 0;
+        let parameterDistance = 0;
+
+        for (const [innovation, genotype] of genotypes1) {
+            if (genotypes2.has(innovation)) {
+                numMatching++;
+                // Muscles and synapses share innovation numbers, so matching genotypes are always of the same type.
+                parameterDistance += genotype.constructor.parameterDistance(genotype, genotypes2.get(innovation));
+            } else if (innovation > maxInnovation2) {
+                numExcess++;
+            } else {
+                numDisjoint++;
+            }
+        }
+
+        for (const innovation of genotypes2.keys()) {
+            if (!genotypes1.has(innovation)) {
+                if (innovation > maxInnovation1) {
+                    numExcess++;
+                } else {
+                    numDisjoint++;
+                }
+            }
+        }
+
+        const n = Math.max(1, genotypes1.size, genotypes2.size);
+        const meanParameterDistance = numMatching > 0 ? parameterDistance / numMatching : 0;
+
+        return c1 * numExcess / n + c2 * numDisjoint / n + c3 * meanParameterDistance;
+    }
+
     /**
      * Create a random creature genome.
      * @param nNodes How many node genotypes the creature genome should have.
+     * @param hasBrain Whether the creature's muscles should be controlled by a (random) brain rather than timers.
+     * @param rng The random number generator to draw from.
      * @returns {CreatureGenome} The created creature genome.
      */
-    static createRandom(nNodes = 3) {
+    static createRandom(nNodes = 3, hasBrain = false, rng = random) {
         let nodeGenotypes = [];
         let muscleGenotypes = [];
 
+        // Every random genome starts with the same nodes, much like how every genome in the initial population in NEAT
+        // has the same inputs and outputs.
         for (let i = 0; i < nNodes; i++) {
-            nodeGenotypes.push(NodeGenotype.createRandom());
+            nodeGenotypes.push(NodeGenotype.createRandom(innovationTracker.getNodeId(`initial-${i}`), rng));
+        }
+
+        const nodeIds = nodeGenotypes.map(nodeGenotype => nodeGenotype.id);
+        const connected = new Set();
+
+        // Connect the nodes in a ring.
+        for (let i = 0; i < nNodes; i++) {
+            const muscleAllele = MuscleGenotype.createRandom(nodeIds, nodeIds[i], nodeIds[(i + 1) % nNodes], rng);
 
-            let muscleAllele = MuscleGenotype.createRandom(nNodes);
-            muscleAllele.bodyA = i;
-            muscleAllele.bodyB = (i + 1) % nNodes;
+            if (!connected.has(muscleAllele.innovation)) {
+                connected.add(muscleAllele.innovation);
+                muscleGenotypes.push(muscleAllele);
+            }
+        }
 
-            muscleGenotypes.push(muscleAllele);
+        let creatureGenome = new CreatureGenome(nodeGenotypes, muscleGenotypes);
+
+        if (hasBrain) {
+            creatureGenome.brainGenome = BrainGenome.createRandom(creatureGenome, rng);
         }
 
-        return new CreatureGenome(nodeGenotypes, muscleGenotypes)
+        return creatureGenome;
     }
 
     /**
@@ -498,63 +784,361 @@ export class CreatureGenome {
      * @returns {CreatureGenome} A copy of the genome
      */
     copy() {
-        let nodeGenotypes = [];
-        let muscleGenotypes = [];
+        return new CreatureGenome(
+            this.nodeGenotypes.map(nodeGenotype => nodeGenotype.copy()),
+            this.muscleGenotypes.map(muscleGenotype => muscleGenotype.copy()),
+            this.brainGenome !== null ? this.brainGenome.copy() : null,
+            this.name.copy()
+        );
+    }
+
+    /**
+     * Convert the genome to a plain object that can be serialized, e.g. with `JSON.stringify()` or `postMessage()`.
+     * @returns {Object} The serialized genome, tagged with the version of the format.
+     * @see serialization.js
+     */
+    toJSON() {
+        return {
+            version: GENOME_FORMAT_VERSION,
+            nodeGenotypes: this.nodeGenotypes.map(nodeGenotype => nodeGenotype.toJSON()),
+            muscleGenotypes: this.muscleGenotypes.map(muscleGenotype => muscleGenotype.toJSON()),
+            brainGenome: this.brainGenome !== null ? this.brainGenome.toJSON() : null,
+            name: this.name.toJSON()
+        };
+    }
+
+    /**
+     * Create a creature genome from a plain object made by `toJSON()`.
+     * Genomes that were saved in an older version of the format are migrated to the current version first.
+     *
+     * @param json The serialized genome.
+     * @param path Where the genome is in the data being loaded, used in error messages.
+     * @returns {CreatureGenome} The creature genome.
+     * @throws {FormatError} If `json` is not a valid serialized creature genome.
+     * @see migrateGenome
+     */
+    static fromJSON(json, path = 'genome') {
+        json = migrateGenome(json, path);
+        expectFields(json, {nodeGenotypes: 'array', muscleGenotypes: 'array'}, path);
+
+        const name = CreatureName.fromJSON(json.name, `${path}.name`);
+        const nodeGenotypes = json.nodeGenotypes.map((nodeGenotype, i) =>
+            NodeGenotype.fromJSON(nodeGenotype, `${path}.nodeGenotypes[${i}]`));
+        const muscleGenotypes = json.muscleGenotypes.map((muscleGenotype, i) =>
+            MuscleGenotype.fromJSON(muscleGenotype, `${path}.muscleGenotypes[${i}]`));
+
+        expectUnique(nodeGenotypes, 'id', `${path}.nodeGenotypes`);
+        expectUnique(muscleGenotypes, 'innovation', `${path}.muscleGenotypes`);
+
+        const nodeIds = new Set(nodeGenotypes.map(nodeGenotype => nodeGenotype.id));
+
+        json.muscleGenotypes.forEach((muscleGenotype, i) => {
+            for (const field of ['bodyA', 'bodyB']) {
+                if (!nodeIds.has(muscleGenotype[field])) {
+                    throw new FormatError(`refers to node ${muscleGenotype[field]} which is not in the genome`,
+                        `${path}.muscleGenotypes[${i}].${field}`);
+                }
+            }
+        });
+
+        let brainGenome = null;
 
-        for (let i = 0; i < this.nodeGenotypes.length; i++) {
-            nodeGenotypes.push(this.nodeGenotypes[i].copy());
-            muscleGenotypes.push(this.muscleGenotypes[i].copy());
+        if (json.brainGenome !== undefined && json.brainGenome !== null) {
+            brainGenome = BrainGenome.fromJSON(json.brainGenome, `${path}.brainGenome`);
         }
 
-        return new CreatureGenome(nodeGenotypes, muscleGenotypes);
+        return new CreatureGenome(nodeGenotypes, muscleGenotypes, brainGenome, name);
+    }
+
+    /**
+     * The Latin-style scientific name of the creature, which is made up from its body and how its muscles are
+     * controlled.
+     * @returns {string}
+     * @see getScientificName
+     */
+    get scientificName() {
+        return getScientificName(this);
     }
 
     /**
      * A list of all of the genotypes in the genome (both nodes and muscles).
-     * @returns {Buffer | * | any[] | string}
+     * @returns {Array<NodeGenotype|MuscleGenotype>}
      */
     get genotypes() {
         return this.nodeGenotypes.concat(this.muscleGenotypes);
     }
 
+    /**
+     * The node genotypes in the genome keyed by their ID.
+     * @returns {Map<number, NodeGenotype>}
+     */
+    get nodeGenotypesById() {
+        return new Map(this.nodeGenotypes.map(nodeGenotype => [nodeGenotype.id, nodeGenotype]));
+    }
+
+    /**
+     * The muscle genotypes in the genome keyed by their innovation number.
+     * @returns {Map<number, MuscleGenotype>}
+     */
+    get muscleGenotypesByInnovation() {
+        return new Map(this.muscleGenotypes.map(muscleGenotype => [muscleGenotype.innovation, muscleGenotype]));
+    }
+
+    /**
+     * The connection genotypes in the genome (muscles and, if the creature has a brain, synapses) keyed by their
+     * innovation number.
+     * @returns {Map<number, MuscleGenotype|SynapseGenotype>}
+     */
+    get connectionGenotypesByInnovation() {
+        let genotypes = this.muscleGenotypesByInnovation;
+
+        if (this.brainGenome !== null) {
+            for (const [innovation, synapseGenotype] of this.brainGenome.synapseGenotypesByInnovation) {
+                genotypes.set(innovation, synapseGenotype);
+            }
+        }
+
+        return genotypes;
+    }
+
     /**
      * Perform crossover between two creature genomes.
+     *
+     * Muscle genotypes are lined up by their innovation numbers as described in the NEAT paper:
+     * matching genes are inherited at random from either parent, while disjoint and excess genes are inherited from the
+     * fitter parent (this genome). If both parents are equally fit, disjoint and excess genes are inherited at random
+     * from both parents.
+     * Node genotypes are lined up by their IDs in the same way. The child has every node of the fitter parent as well
+     * as any node that its muscles connect.
+     * If both parents have brains, the brains are crossed over in the same way. Otherwise the child gets the brain of
+     * the fitter parent, if it has one.
+     * The child is named after the fitter parent, e.g. Jarvan IV would be the child of Jarvan III.
+     *
      * @param otherCreatureGenome The other genome to crossover with.
+     * @param isEquallyFit Whether the two genomes are equally fit. If false, this genome is assumed to be the fitter.
+     * @param rng The random number generator to draw from.
      * @returns {CreatureGenome} The new creature genome that results from the crossover operation.
      */
-    crossover(otherCreatureGenome) {
-        // Single-point crossover
-        const crossoverPoint = randomInt(0, this.nodeGenotypes.length);
-        let nodeGenotypes = [];
+    crossover(otherCreatureGenome, isEquallyFit = false, rng = random) {
+        const otherMuscleGenotypes = otherCreatureGenome.muscleGenotypesByInnovation;
         let muscleGenotypes = [];
 
-        for (let i = 0; i < this.nodeGenotypes.length; i++) {
-            if (i < crossoverPoint) {
-                nodeGenotypes.push(this.nodeGenotypes[i].copy());
-                muscleGenotypes.push(this.muscleGenotypes[i].copy());
-            } else {
-                nodeGenotypes.push(otherCreatureGenome.nodeGenotypes[i].copy());
-                muscleGenotypes.push(otherCreatureGenome.muscleGenotypes[i].copy());
+        for (const muscleGenotype of this.muscleGenotypes) {
+            const matchingGenotype = otherMuscleGenotypes.get(muscleGenotype.innovation);
+
+            if (matchingGenotype !== undefined) {
+                const childGenotype = CreatureGenome._pickMatching(muscleGenotype, matchingGenotype, rng).copy();
+
+                if (!muscleGenotype.isExpressed || !matchingGenotype.isExpressed) {
+                    childGenotype.setExpressed(rng.random() >= CreatureGenome.pInheritUnexpressed);
+                }
+
+                muscleGenotypes.push(childGenotype);
+            } else if (!isEquallyFit || rng.random() < CreatureGenome.pInheritUnmatched) {
+                muscleGenotypes.push(muscleGenotype.copy());
+            }
+        }
+
+        if (isEquallyFit) {
+            const innovations = new Set(this.muscleGenotypes.map(muscleGenotype => muscleGenotype.innovation));
+
+            for (const muscleGenotype of otherCreatureGenome.muscleGenotypes) {
+                if (!innovations.has(muscleGenotype.innovation) &&
+                    rng.random() < CreatureGenome.pInheritUnmatched) {
+                    muscleGenotypes.push(muscleGenotype.copy());
+                }
             }
         }
 
-        // TODO: Inherit name from first parent and add number. E.g. Jarvan IV would be the child of Jarvan III.
-        return new CreatureGenome(nodeGenotypes, muscleGenotypes);
+        muscleGenotypes.sort((a, b) => a.innovation - b.innovation);
+
+        // The child needs every node that its muscles connect, even those that only the less fit parent has.
+        let nodeIds = new Set(this.nodeGenotypes.map(nodeGenotype => nodeGenotype.id));
+
+        for (const muscleGenotype of muscleGenotypes) {
+            nodeIds.add(muscleGenotype.bodyA);
+            nodeIds.add(muscleGenotype.bodyB);
+        }
+
+        const nodeGenotypes = this.nodeGenotypesById;
+        const otherNodeGenotypes = otherCreatureGenome.nodeGenotypesById;
+
+        const childNodeGenotypes = [...nodeIds].sort((a, b) => a - b).map(id => {
+            const nodeGenotype = nodeGenotypes.get(id);
+            const otherNodeGenotype = otherNodeGenotypes.get(id);
+
+            if (nodeGenotype !== undefined && otherNodeGenotype !== undefined) {
+                return CreatureGenome._pickMatching(nodeGenotype, otherNodeGenotype, rng).copy();
+            }
+
+            return (nodeGenotype || otherNodeGenotype).copy();
+        });
+
+        let brainGenome = null;
+
+        if (this.brainGenome !== null && otherCreatureGenome.brainGenome !== null) {
+            brainGenome = this.brainGenome.crossover(otherCreatureGenome.brainGenome, isEquallyFit, rng);
+        } else if (this.brainGenome !== null) {
+            brainGenome = this.brainGenome.copy();
+        }
+
+        return new CreatureGenome(childNodeGenotypes, muscleGenotypes, brainGenome,
+            nameRegistry.createChildName(this.name));
+    }
+
+    /**
+     * Pick one of two matching genes at random.
+     * @param genotype The gene from the first parent.
+     * @param otherGenotype The gene from the second parent.
+     * @param rng The random number generator to draw from.
+     * @returns {NodeGenotype|MuscleGenotype} One of the two genes.
+     * @private
+     */
+    static _pickMatching(genotype, otherGenotype, rng) {
+        return rng.random() < CreatureGenome.pInheritFirst ? genotype : otherGenotype;
     }
 
     /**
      * Mutate the genome randomly.
+     * This mutates the parameters of the existing genotypes and may also change the structure of the genome.
+     * The brain, if there is one, is mutated after the body so that it can adapt to any new nodes and muscles.
      *
      * Note: This is done in place.
+     *
+     * @param maxNodes The largest number of node genotypes that the genome is allowed to grow to.
+     * @param rng The random number generator to draw from.
+     * @see CreatureGenome.addNode
+     * @see CreatureGenome.addMuscle
+     * @see CreatureGenome.toggleMuscle
      */
-    mutate() {
+    mutate(maxNodes = Infinity, rng = random) {
+        const nodeIds = this.nodeGenotypes.map(nodeGenotype => nodeGenotype.id);
+        const connected = new Set(this.muscleGenotypes.map(muscleGenotype => muscleGenotype.innovation));
+
         for (const nodeGenotype of this.nodeGenotypes) {
-            nodeGenotype.mutate();
+            nodeGenotype.mutate(rng);
         }
 
         for (const muscleGenotype of this.muscleGenotypes) {
-            muscleGenotype.mutate(this.nodeGenotypes.length);
+            muscleGenotype.mutate(nodeIds, connected, rng);
+        }
+
+        if (rng.random() < CreatureGenome.pAddNode && this.nodeGenotypes.length < maxNodes) {
+            this.addNode(rng);
+        }
+
+        if (rng.random() < CreatureGenome.pAddMuscle) {
+            this.addMuscle(rng);
+        }
+
+        if (rng.random() < CreatureGenome.pToggleMuscle) {
+            this.toggleMuscle(rng);
+        }
+
+        // The structure of the genome may have changed, so some nodes may have become (dis)connected from the body.
+        this._checkActive();
+
+        if (this.brainGenome !== null) {
+            this.brainGenome.mutate(this, rng);
+        }
+    }
+
+    /**
+     * Split a random muscle in two by inserting a new node in the middle of it.
+     * The muscle is switched off and replaced by two new muscles, each half as long, that connect its nodes to the new
+     * node. Splitting the same muscle always gives a node with the same ID, no matter which genome it happens in.
+     *
+     * Note: This is done in place.
+     *
+     * @param rng The random number generator to draw from.
+     * @returns {boolean} True if a node was added, false if there was no muscle that could be split.
+     */
+    addNode(rng = random) {
+        const muscleGenotype = randomChoice(this.muscleGenotypes.filter(genotype => genotype.isEnabled), rng);
+
+        if (muscleGenotype === undefined) {
+            return false;
+        }
+
+        const id = innovationTracker.getNodeId(`split-${muscleGenotype.innovation}`);
+
+        // The muscle has already been split before and switched back on.
+        if (this.nodeGenotypesById.has(id)) {
+            return false;
+        }
+
+        muscleGenotype.setExpressed(false);
+        this.nodeGenotypes.push(NodeGenotype.createRandom(id, rng));
+
+        const {contractedLength, extendedLength} = MuscleGenotype.randomConfig;
+
+        for (const bodyId of [muscleGenotype.bodyA, muscleGenotype.bodyB]) {
+            this.muscleGenotypes.push(new MuscleGenotype(Object.assign({}, muscleGenotype, {
+                bodyA: bodyId,
+                bodyB: id,
+                innovation: undefined,
+                contractedLength: Math.max(contractedLength.min, 0.5 * muscleGenotype.contractedLength),
+                extendedLength: Math.max(extendedLength.min, 0.5 * muscleGenotype.extendedLength),
+                isExpressed: true
+            })));
+        }
+
+        return true;
+    }
+
+    /**
+     * Connect two random nodes that are not already connected with a new random muscle.
+     *
+     * Note: This is done in place.
+     *
+     * @param rng The random number generator to draw from.
+     * @returns {boolean} True if a muscle was added, false if every pair of nodes is already connected.
+     */
+    addMuscle(rng = random) {
+        const nodeIds = this.nodeGenotypes.map(nodeGenotype => nodeGenotype.id);
+        const linked = new Set(this.muscleGenotypes.map(genotype => `${genotype.bodyA}-${genotype.bodyB}`));
+        let unlinked = [];
+
+        for (let i = 0; i < nodeIds.length; i++) {
+            for (let j = i + 1; j < nodeIds.length; j++) {
+                const bodyA = Math.min(nodeIds[i], nodeIds[j]);
+                const bodyB = Math.max(nodeIds[i], nodeIds[j]);
+
+                if (!linked.has(`${bodyA}-${bodyB}`)) {
+                    unlinked.push([bodyA, bodyB]);
+                }
+            }
+        }
+
+        const pair = randomChoice(unlinked, rng);
+
+        if (pair === undefined) {
+            return false;
         }
+
+        this.muscleGenotypes.push(MuscleGenotype.createRandom(nodeIds, ...pair, rng));
+
+        return true;
+    }
+
+    /**
+     * Switch a random muscle off, or back on if it is already off.
+     *
+     * Note: This is done in place.
+     *
+     * @param rng The random number generator to draw from.
+     * @returns {boolean} True if a muscle was toggled, false if there are no muscles.
+     */
+    toggleMuscle(rng = random) {
+        const muscleGenotype = randomChoice(this.muscleGenotypes, rng);
+
+        if (muscleGenotype === undefined) {
+            return false;
+        }
+
+        muscleGenotype.setExpressed(!muscleGenotype.isExpressed);
+
+        return true;
     }
 }
 
@@ -568,12 +1152,19 @@ export class Creature {
      * @param genome The genome to base the creature off.
      * @param x Where to initially place the creature along the x-axis.
      * @param y Where to initially place the creature along the y-axis.
+     * @param energyBudget How much energy the muscles can use before the creature stops moving, or null for no limit.
      */
-    constructor(genome, x = 0, y = 0) {
+    constructor(genome, x = 0, y = 0, energyBudget = null) {
         this.nodes = [];
         this.muscles = [];
         this.muscleLastUpdates = [];
 
+        /**
+         * The nodes (Matter.Body) keyed by the ID of the node genotype that they are the phenotype of.
+         * @type {Map<number, body>}
+         */
+        const nodesById = new Map();
+
         let i = 0;
         for (const nodeGenotype of genome.nodeGenotypes.filter(genotype => genotype.isEnabled)) {
             // Place nodes in a circle
@@ -581,21 +1172,48 @@ export class Creature {
             const pos = {x: Math.cos(angle) * 40, y: Math.sin(angle) * 40};
             i++;
 
-            this.nodes.push(NodeGenotype.getPhenotype(nodeGenotype, pos.x + x, pos.y + y));
+            const node = NodeGenotype.getPhenotype(nodeGenotype, pos.x + x, pos.y + y);
+            this.nodes.push(node);
+            nodesById.set(nodeGenotype.id, node);
         }
 
         for (const muscleGenotype of genome.muscleGenotypes.filter(genotype => genotype.isEnabled)) {
-            if (muscleGenotype.bodyA >= this.nodes.length || muscleGenotype.bodyB >= this.nodes.length) {
+            if (!nodesById.has(muscleGenotype.bodyA) || !nodesById.has(muscleGenotype.bodyB)) {
                 console.error(`Muscle references nodes ${muscleGenotype.bodyA} and ${muscleGenotype.bodyB}`,
-                    `but there are only ${this.nodes.length} nodes in the creature (that are enabled).`,
+                    `but there is no enabled node with one of these IDs in the creature.`,
                     'The muscle and nodes in questions: ', muscleGenotype, this.nodes);
             }
 
             this.muscles.push(MuscleGenotype.getPhenotype(muscleGenotype,
-                this.nodes[muscleGenotype.bodyA], this.nodes[muscleGenotype.bodyB]));
+                nodesById.get(muscleGenotype.bodyA), nodesById.get(muscleGenotype.bodyB)));
             this.muscleLastUpdates.push(0);
         }
-        // TODO: Add names for creatures.
+
+        /**
+         * The brain that controls the muscles of the creature, or null if the muscles are controlled by timers.
+         * @type {Brain|null}
+         */
+        this.brain = genome.brainGenome ? new Brain(genome.brainGenome, genome) : null;
+        /**
+         * The timestamp of the first update of the creature. The brain's clock signal is measured from this time.
+         * @type {number|null}
+         */
+        this.startTime = null;
+        /**
+         * How much energy the muscles can use before the creature stops moving, or null if there is no limit.
+         * @type {number|null}
+         */
+        this.energyBudget = energyBudget;
+        /**
+         * The name of the creature.
+         * @type {CreatureName}
+         */
+        this.name = genome.name;
+        /**
+         * The scientific name of the creature.
+         * @type {string}
+         */
+        this.scientificName = genome.scientificName;
     }
 
     /**
@@ -606,6 +1224,23 @@ export class Creature {
         return this.nodes.concat(this.muscles);
     }
 
+    /**
+     * The total work that the creature's muscles have done.
+     * @returns {number}
+     * @see MuscleConstraint.setLength
+     */
+    get energyUsed() {
+        return this.muscles.reduce((sum, muscle) => sum + muscle.work, 0);
+    }
+
+    /**
+     * How much energy the creature has left, which is infinite if there is no energy budget.
+     * @returns {number}
+     */
+    get energyLeft() {
+        return this.energyBudget !== null ? Math.max(0, this.energyBudget - this.energyUsed) : Infinity;
+    }
+
     /**
      * Create a random creature.
      * @param nNodes How many nodes the creature should have.
@@ -637,10 +1272,87 @@ export class Creature {
     }
 
     /**
-     * Perform the update step for the creature.
+     * Get the state of each of the creature's muscles, e.g. to show to the user.
+     *
+     * @param timestamp The simulated time in milliseconds, as given to `update()`.
+     * @returns {[{isExtended: boolean, length: number, timeUntilToggle: number|null}]} The state of each muscle, in the
+     *     same order as `muscles`. `timeUntilToggle` is how long until the muscle next contracts or extends, which is
+     *     infinite if it never will and null if the muscle is controlled by the brain.
+     */
+    getMuscleStates(timestamp) {
+        return this.muscles.map((muscle, i) => {
+            let timeUntilToggle = null;
+
+            if (this.brain === null) {
+                const delay = muscle.isExtended ? muscle.contractDelay : muscle.extendDelay;
+
+                timeUntilToggle = delay >= 0.0 && this.energyLeft > 0 ?
+                    Math.max(0, delay - (timestamp - this.muscleLastUpdates[i])) : Infinity;
+            }
+
+            return {isExtended: muscle.isExtended, length: muscle.length, timeUntilToggle: timeUntilToggle};
+        });
+    }
+
+    /**
+     * Read the creature's sensors.
+     * The readings are in the same order as the inputs of the brain.
+     *
      * @param timestamp The time in milliseconds since the physics engine was started.
+     * @returns {[number]} The sensor readings.
+     * @see Brain.getInputIds
+     */
+    sense(timestamp) {
+        let readings = [];
+
+        for (const node of this.nodes) {
+            readings.push(node.contactCount > 0 ? 1 : 0,
+                node.velocity.x / Brain.velocityScale,
+                node.velocity.y / Brain.velocityScale);
+        }
+
+        for (const muscle of this.muscles) {
+            const length = Vector.magnitude(Vector.sub(muscle.bodyB.position, muscle.bodyA.position));
+            const range = muscle.extendedLength - muscle.contractedLength;
+
+            // 0 when the muscle is at its contracted length and 1 when it is at its extended length.
+            readings.push(range !== 0 ? (length - muscle.contractedLength) / range : 0);
+        }
+
+        const phase = 2 * Math.PI * (timestamp - this.startTime) / this.brain.clockPeriod;
+        readings.push(Math.sin(phase), Math.cos(phase), 1);
+
+        return readings;
+    }
+
+    /**
+     * Perform the update step for the creature.
+     * If the creature has a brain, the brain sets the length of every muscle from the creature's sensor readings.
+     * Otherwise each muscle is contracted and extended according to its timers.
+     * Muscles never use more energy than the creature has left: a muscle that cannot afford to contract or extend is
+     * left as it is, and a brain can only move a muscle as far as the energy left pays for.
+     *
+     * @param timestamp The simulated time in milliseconds, e.g. since the start of the generation.
      */
     update(timestamp) {
+        if (this.startTime === null) {
+            this.startTime = timestamp;
+        }
+
+        if (this.energyLeft <= 0) {
+            return;
+        }
+
+        if (this.brain !== null) {
+            const activations = this.brain.activate(this.sense(timestamp));
+
+            for (let i = 0; i < this.muscles.length; i++) {
+                MuscleConstraint.actuate(this.muscles[i], activations[i], this.energyLeft);
+            }
+
+            return;
+        }
+
         for (let i = 0; i < this.muscles.length; i++) {
             const shouldContract = (this.muscles[i].isExtended && this.muscles[i].contractDelay >= 0.0) &&
                 timestamp - this.muscleLastUpdates[i] >= this.muscles[i].contractDelay;
@@ -648,9 +1360,7 @@ export class Creature {
             const shouldExtend = (!this.muscles[i].isExtended && this.muscles[i].extendDelay >= 0.0) &&
                 timestamp - this.muscleLastUpdates[i] >= this.muscles[i].extendDelay;
 
-            if (shouldContract || shouldExtend) {
-                MuscleConstraint.contract(this.muscles[i]);
-
+            if ((shouldContract || shouldExtend) && MuscleConstraint.contract(this.muscles[i], this.energyLeft)) {
                 this.muscleLastUpdates[i] = timestamp;
             }
         }
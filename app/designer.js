@@ -0,0 +1,643 @@
+import {Bodies, Constraint, Events, Vector, World} from "matter-js";
+
+import {CreatureGenome, MuscleGenotype, NodeGenotype} from "./creature";
+import {CreatureName} from "./names";
+import {addButton, clip, createFilePicker, downloadBlob} from "./utils";
+
+/**
+ * This class lets the user design a creature with the mouse and tune the parameters of its nodes and muscles.
+ *
+ * Clicking on empty space adds a node and dragging from one node to another connects them with a muscle. Dragging a
+ * node onto empty space moves it, and clicking on a node or muscle selects it so that its parameters can be changed in
+ * the panel. Dragging anywhere else pans the camera as usual.
+ *
+ * Genomes do not say where nodes are, so the layout is only a guide: a new muscle is given the drawn distance between
+ * its nodes as its extended length, and it is the muscles that pull the creature into shape once it is simulated.
+ */
+export class CreatureDesigner {
+    /**
+     * Create a new creature designer.
+     * @param engine The engine whose world the design is shown in.
+     * @param mouseConstraint The mouse constraint being used.
+     * @param options {{onClose: function(CreatureGenome|null)?,
+     *     onInject: function(CreatureGenome, {mode: string, isElite: boolean})?}} `onClose` is called with the designed
+     *     genome when the user chooses to test run it, or with null if they close the designer without using it.
+     *     `onInject` is called instead when the user chooses to add the genome to the running population, along with
+     *     how it should be added (see `GeneticAlgorithm.injectGenomes()`).
+     */
+    constructor(engine, mouseConstraint, options = {}) {
+        const defaults = {
+            onClose: null,
+            onInject: null
+        };
+
+        options = Object.assign({}, defaults, options);
+
+        this.engine = engine;
+        this.mouseConstraint = mouseConstraint;
+        this.onClose = options.onClose;
+        this.onInject = options.onInject;
+
+        /**
+         * The node genotypes of the design and where they are drawn.
+         * @type {[{genotype: NodeGenotype, position: {x: number, y: number}}]}
+         */
+        this.nodes = [];
+        /**
+         * The muscle genotypes of the design.
+         * @type {[MuscleGenotype]}
+         */
+        this.muscles = [];
+        /**
+         * The node or muscle that is selected, or null if there is none.
+         * @type {{kind: string, index: number}|null}
+         */
+        this.selection = null;
+        /**
+         * The bodies and constraints that show the design.
+         * @type {[body|constraint]}
+         */
+        this.bodies = [];
+        this.isEditing = false;
+
+        this.mouseDownPosition = null;
+        this.dragFrom = null;
+
+        Events.on(mouseConstraint, 'mousedown', event => {
+            if (!this.isEditing) {
+                return;
+            }
+
+            this.mouseDownPosition = Vector.clone(event.mouse.absolute);
+            this.dragFrom = this.findNode(event.mouse.position);
+
+            // Dragging from a node draws a muscle instead of panning the camera.
+            if (this.dragFrom !== null) {
+                Events.trigger(mouseConstraint, 'startdrag', {mouse: event.mouse});
+            }
+        });
+
+        Events.on(mouseConstraint, 'mouseup', event => {
+            if (!this.isEditing || this.mouseDownPosition === null) {
+                return;
+            }
+
+            const isClick = Vector.magnitude(Vector.sub(event.mouse.absolute, this.mouseDownPosition)) <
+                CreatureDesigner.clickTolerance;
+
+            if (this.dragFrom !== null) {
+                Events.trigger(mouseConstraint, 'enddrag', {mouse: event.mouse});
+                this.onDrag(this.dragFrom, Vector.clone(event.mouse.position), isClick);
+            } else if (isClick) {
+                this.onClick(Vector.clone(event.mouse.position));
+            }
+
+            this.mouseDownPosition = null;
+            this.dragFrom = null;
+        });
+
+        this.createControls();
+    }
+
+    /**
+     * How many pixels the mouse can move between going down and up for it to still count as a click.
+     * @returns {number}
+     */
+    static get clickTolerance() {
+        return 5;
+    }
+
+    /**
+     * How close in pixels a click has to be to a muscle to select it.
+     * @returns {number}
+     */
+    static get muscleTolerance() {
+        return 6;
+    }
+
+    /**
+     * The given name of designs that the user has not named.
+     * @returns {string}
+     */
+    static get defaultName() {
+        return 'Prototype';
+    }
+
+    /**
+     * The colours that the design is drawn in.
+     * @returns {{node: string, muscle: string, selected: string, disconnected: string}}
+     */
+    static get colours() {
+        return {
+            node: '#f0f0f0',
+            muscle: '#c0392b',
+            selected: '#e0a030',
+            disconnected: '#808080'
+        };
+    }
+
+    /**
+     * The parameters of nodes and muscles that can be changed in the panel, and the range that each is kept in.
+     * The ranges are the same as those of randomly generated genotypes.
+     * @returns {{node: Object<string, {min: number, max: number}>,
+     *     muscle: Object<string, {min: number, max: number}>}}
+     */
+    static get parameters() {
+        const ranges = configs => Object.entries(configs).reduce((result, [name, config]) =>
+            Object.assign(result, {[name]: {min: config.min, max: config.max}}), {});
+
+        return {
+            node: ranges(NodeGenotype.randomConfig),
+            muscle: ranges(MuscleGenotype.randomConfig)
+        };
+    }
+
+    /**
+     * Create the panel of controls for the designer. The panel is hidden until the designer is opened.
+     */
+    createControls() {
+        const element = document.createElement('div');
+
+        const nameLabel = document.createElement('label');
+
+        /**
+         * The name that the user has given the design.
+         * @type {HTMLInputElement}
+         */
+        this.nameInput = document.createElement('input');
+        this.nameInput.type = 'text';
+        this.nameInput.value = CreatureDesigner.defaultName;
+        nameLabel.append('name ', this.nameInput);
+        element.append(nameLabel);
+
+        /**
+         * The inputs for the parameters of nodes and muscles, keyed by the name of the parameter.
+         * New nodes and muscles take their parameters from these, apart from the lengths of muscles.
+         * @type {{node: Object<string, HTMLInputElement>, muscle: Object<string, HTMLInputElement>}}
+         */
+        this.inputs = {node: {}, muscle: {}};
+
+        for (const kind of ['node', 'muscle']) {
+            const defaults = kind === 'node' ? new NodeGenotype() : new MuscleGenotype({innovation: -1});
+
+            for (const [name, {min, max}] of Object.entries(CreatureDesigner.parameters[kind])) {
+                const label = document.createElement('label');
+                const input = document.createElement('input');
+
+                input.type = 'number';
+                input.min = min;
+
+                if (Number.isFinite(max)) {
+                    input.max = max;
+                }
+
+                input.step = max <= 1 ? 0.01 : 1;
+                input.value = defaults[name];
+                input.onchange = () => this.setParameter(kind, name);
+
+                label.append(`${name} `, input);
+                element.append(label);
+                this.inputs[kind][name] = input;
+            }
+        }
+
+        addButton(element, 'Delete', () => this.deleteSelection());
+        addButton(element, 'Clear', () => this.clear());
+
+        const fileInput = createFilePicker((text, file) => {
+            try {
+                this.setGenome(CreatureGenome.fromJSON(JSON.parse(text), file.name));
+            } catch (error) {
+                window.alert(`Could not import ${file.name}: ${error.message}`);
+            }
+        });
+
+        element.append(fileInput);
+        addButton(element, 'Import', () => fileInput.click());
+        addButton(element, 'Export', () => this.download());
+        addButton(element, 'Test run', () => this.close(true));
+
+        /**
+         * How the design is added to the population: see `GeneticAlgorithm.injectGenomes()`.
+         * @type {HTMLSelectElement}
+         */
+        this.injectMode = document.createElement('select');
+
+        for (const [mode, text] of [['insert', 'as a new member'], ['replace', 'replacing the last member'],
+            ['seed', 'as the seed of a new population']]) {
+            const option = document.createElement('option');
+
+            option.value = mode;
+            option.textContent = text;
+            this.injectMode.append(option);
+        }
+
+        const eliteLabel = document.createElement('label');
+
+        /**
+         * Whether the design should be kept in the next generation however well it does.
+         * @type {HTMLInputElement}
+         */
+        this.injectAsElite = document.createElement('input');
+        this.injectAsElite.type = 'checkbox';
+        eliteLabel.append(this.injectAsElite, ' elite');
+
+        addButton(element, 'Add to population', () => this.inject());
+        element.append(this.injectMode, eliteLabel);
+        addButton(element, 'Cancel', () => this.close(false));
+
+        this.status = document.createElement('span');
+        this.warning = document.createElement('span');
+        element.append(this.status, this.warning);
+
+        element.style.display = 'none';
+
+        /**
+         * The panel of controls. This should be added to the page.
+         * @type {HTMLDivElement}
+         */
+        this.element = element;
+    }
+
+    /**
+     * Start designing a creature.
+     * @param centre Where to draw the design, e.g. the starting position of the stage.
+     * @param genome The genome to start from, or null to start from scratch.
+     */
+    open(centre, genome = null) {
+        this.centre = centre;
+        this.isEditing = true;
+        this.element.style.display = '';
+
+        if (genome !== null) {
+            this.setGenome(genome);
+        } else {
+            this.clear();
+        }
+    }
+
+    /**
+     * Stop designing and take the design out of the world.
+     * @param useGenome Whether the user wants to test run the design.
+     */
+    close(useGenome) {
+        let genome = null;
+
+        if (useGenome) {
+            if (this.nodes.length === 0) {
+                this.status.textContent = 'Add at least one node first.';
+                return;
+            }
+
+            genome = this.getGenome();
+        }
+
+        this.hide();
+
+        if (this.onClose !== null) {
+            this.onClose(genome);
+        }
+    }
+
+    /**
+     * Stop designing and add the design to the running population in the way chosen in the panel.
+     */
+    inject() {
+        if (this.nodes.length === 0) {
+            this.status.textContent = 'Add at least one node first.';
+            return;
+        }
+
+        const genome = this.getGenome();
+
+        this.hide();
+
+        if (this.onInject !== null) {
+            this.onInject(genome, {mode: this.injectMode.value, isElite: this.injectAsElite.checked});
+        }
+    }
+
+    /**
+     * Take the design out of the world and hide the panel.
+     */
+    hide() {
+        World.remove(this.engine.world, this.bodies);
+        this.bodies = [];
+        this.isEditing = false;
+        this.element.style.display = 'none';
+    }
+
+    /**
+     * Remove every node and muscle.
+     */
+    clear() {
+        this.nodes = [];
+        this.muscles = [];
+        this.selection = null;
+        this.status.textContent = 'Click to add a node and drag from one node to another to add a muscle.';
+        this.update();
+    }
+
+    /**
+     * Replace the design with a genome. The nodes are laid out in a circle around the centre of the view.
+     * @param genome The genome.
+     */
+    setGenome(genome) {
+        const radius = Math.max(40, 20 * genome.nodeGenotypes.length);
+
+        this.nodes = genome.nodeGenotypes.map((nodeGenotype, i) => {
+            const angle = 2 * Math.PI * i / genome.nodeGenotypes.length;
+
+            return {
+                genotype: nodeGenotype.copy(),
+                position: Vector.add(this.centre, {x: radius * Math.cos(angle), y: radius * Math.sin(angle)})
+            };
+        });
+        this.muscles = genome.muscleGenotypes.map(muscleGenotype => muscleGenotype.copy());
+        this.nameInput.value = genome.name.givenName;
+        this.selection = null;
+        this.status.textContent = '';
+        this.update();
+    }
+
+    /**
+     * Create a genome from the design.
+     * @returns {CreatureGenome} The genome. Nodes that are not connected to the largest group of nodes are disabled.
+     */
+    getGenome() {
+        const givenName = this.nameInput.value.trim();
+
+        return new CreatureGenome(this.nodes.map(node => node.genotype.copy()),
+            this.muscles.map(muscleGenotype => muscleGenotype.copy()), null,
+            new CreatureName(givenName !== '' ? givenName : CreatureDesigner.defaultName));
+    }
+
+    /**
+     * Save the genome of the design to a file.
+     */
+    download() {
+        downloadBlob(new Blob([JSON.stringify(this.getGenome().toJSON(), null, 2)], {type: 'application/json'}),
+            'creature.json');
+    }
+
+    /**
+     * Read a parameter from its input, keeping it within its range.
+     * @param kind Either 'node' or 'muscle'.
+     * @param name The name of the parameter.
+     * @returns {number|null} The value of the parameter, or null if the input does not hold a number.
+     */
+    getParameter(kind, name) {
+        const input = this.inputs[kind][name];
+        const {min, max} = CreatureDesigner.parameters[kind][name];
+
+        if (input.value === '' || !Number.isFinite(Number(input.value))) {
+            return null;
+        }
+
+        return clip(Number(input.value), min, max);
+    }
+
+    /**
+     * Get the parameters in the inputs for one kind of genotype.
+     * @param kind Either 'node' or 'muscle'.
+     * @returns {Object<string, number>} The parameters, leaving out any input that does not hold a number.
+     */
+    getParameters(kind) {
+        let parameters = {};
+
+        for (const name of Object.keys(this.inputs[kind])) {
+            const value = this.getParameter(kind, name);
+
+            if (value !== null) {
+                parameters[name] = value;
+            }
+        }
+
+        return parameters;
+    }
+
+    /**
+     * Give the selected node or muscle the value of a parameter from its input.
+     * @param kind Either 'node' or 'muscle'.
+     * @param name The name of the parameter.
+     */
+    setParameter(kind, name) {
+        const value = this.getParameter(kind, name);
+
+        if (value === null || this.selection === null || this.selection.kind !== kind) {
+            return;
+        }
+
+        const genotype = kind === 'node' ? this.nodes[this.selection.index].genotype :
+            this.muscles[this.selection.index];
+
+        genotype[name] = value;
+        this.inputs[kind][name].value = value;
+        this.update();
+    }
+
+    /**
+     * Select a node or muscle and show its parameters in the inputs.
+     * @param selection The node or muscle to select, or null to select nothing.
+     */
+    select(selection) {
+        this.selection = selection;
+
+        if (selection !== null) {
+            const genotype = selection.kind === 'node' ? this.nodes[selection.index].genotype :
+                this.muscles[selection.index];
+
+            for (const [name, input] of Object.entries(this.inputs[selection.kind])) {
+                input.value = genotype[name];
+            }
+        }
+
+        this.update();
+    }
+
+    /**
+     * Find the node at a point.
+     * @param point The point in world coordinates.
+     * @returns {number|null} The index of the node, or null if there is none.
+     */
+    findNode(point) {
+        for (let i = this.nodes.length - 1; i >= 0; i--) {
+            if (Vector.magnitude(Vector.sub(point, this.nodes[i].position)) <= this.nodes[i].genotype.size) {
+                return i;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the muscle closest to a point.
+     * @param point The point in world coordinates.
+     * @returns {number|null} The index of the muscle, or null if none is close enough to the point.
+     */
+    findMuscle(point) {
+        const positions = this.getPositionsById();
+        let closest = null;
+        let closestDistance = CreatureDesigner.muscleTolerance;
+
+        this.muscles.forEach((muscleGenotype, i) => {
+            const a = positions.get(muscleGenotype.bodyA);
+            const b = positions.get(muscleGenotype.bodyB);
+            const ab = Vector.sub(b, a);
+            const lengthSquared = Vector.magnitudeSquared(ab);
+            // How far along the muscle the closest point to `point` is.
+            const t = lengthSquared > 0 ? clip(Vector.dot(Vector.sub(point, a), ab) / lengthSquared, 0, 1) : 0;
+            const distance = Vector.magnitude(Vector.sub(point, Vector.add(a, Vector.mult(ab, t))));
+
+            if (distance <= closestDistance) {
+                closest = i;
+                closestDistance = distance;
+            }
+        });
+
+        return closest;
+    }
+
+    /**
+     * Where each node is drawn, keyed by the ID of its genotype.
+     * @returns {Map<number, {x: number, y: number}>}
+     */
+    getPositionsById() {
+        return new Map(this.nodes.map(node => [node.genotype.id, node.position]));
+    }
+
+    /**
+     * Select the node or muscle that was clicked on, or add a node if there is none.
+     * @param point Where the user clicked, in world coordinates.
+     */
+    onClick(point) {
+        const muscle = this.findMuscle(point);
+
+        if (muscle !== null) {
+            this.select({kind: 'muscle', index: muscle});
+            return;
+        }
+
+        const id = this.nodes.reduce((max, node) => Math.max(max, node.genotype.id + 1), 0);
+
+        this.nodes.push({
+            genotype: new NodeGenotype(Object.assign({id: id}, this.getParameters('node'))),
+            position: point
+        });
+        this.select({kind: 'node', index: this.nodes.length - 1});
+    }
+
+    /**
+     * Connect a node to the node that it was dragged onto, or move it if it was dragged onto empty space.
+     * @param from The index of the node that was dragged.
+     * @param point Where the mouse was released, in world coordinates.
+     * @param isClick Whether the mouse barely moved, in which case the node is selected.
+     */
+    onDrag(from, point, isClick) {
+        const to = this.findNode(point);
+
+        if (isClick || to === from) {
+            this.select({kind: 'node', index: from});
+            return;
+        }
+
+        if (to === null) {
+            this.nodes[from].position = point;
+            this.update();
+            return;
+        }
+
+        const bodyA = this.nodes[from].genotype.id;
+        const bodyB = this.nodes[to].genotype.id;
+        const existing = this.muscles.findIndex(muscleGenotype =>
+            muscleGenotype.bodyA === Math.min(bodyA, bodyB) && muscleGenotype.bodyB === Math.max(bodyA, bodyB));
+
+        if (existing !== -1) {
+            this.select({kind: 'muscle', index: existing});
+            return;
+        }
+
+        // The muscle relaxes to the length it was drawn at and contracts to three quarters of it.
+        const {contractedLength, extendedLength} = CreatureDesigner.parameters.muscle;
+        const length = Vector.magnitude(Vector.sub(this.nodes[to].position, this.nodes[from].position));
+
+        this.muscles.push(new MuscleGenotype(Object.assign(this.getParameters('muscle'), {
+            bodyA: bodyA,
+            bodyB: bodyB,
+            extendedLength: clip(Math.round(length), extendedLength.min, extendedLength.max),
+            contractedLength: clip(Math.round(0.75 * length), contractedLength.min, contractedLength.max)
+        })));
+        this.select({kind: 'muscle', index: this.muscles.length - 1});
+    }
+
+    /**
+     * Delete the selected node or muscle. Deleting a node also deletes the muscles connected to it.
+     */
+    deleteSelection() {
+        if (this.selection === null) {
+            return;
+        }
+
+        const {kind, index} = this.selection;
+
+        if (kind === 'node') {
+            const id = this.nodes[index].genotype.id;
+
+            this.nodes.splice(index, 1);
+            this.muscles = this.muscles.filter(muscleGenotype =>
+                muscleGenotype.bodyA !== id && muscleGenotype.bodyB !== id);
+        } else {
+            this.muscles.splice(index, 1);
+        }
+
+        this.select(null);
+    }
+
+    /**
+     * Rebuild the bodies that show the design.
+     */
+    update() {
+        World.remove(this.engine.world, this.bodies);
+        this.bodies = [];
+
+        // Nodes that are not connected to the rest of the creature are left out of it, so they are greyed out.
+        const genome = this.getGenome();
+        const isSelected = (kind, index) => this.selection !== null && this.selection.kind === kind &&
+            this.selection.index === index;
+        let nodeBodies = new Map();
+
+        this.nodes.forEach((node, i) => {
+            const colour = isSelected('node', i) ? CreatureDesigner.colours.selected :
+                genome.nodeGenotypes[i].isEnabled ? CreatureDesigner.colours.node :
+                    CreatureDesigner.colours.disconnected;
+            const body = Bodies.circle(node.position.x, node.position.y, node.genotype.size, {
+                isStatic: true,
+                collisionFilter: {mask: 0},
+                render: {fillStyle: colour}
+            });
+
+            nodeBodies.set(node.genotype.id, body);
+            this.bodies.push(body);
+        });
+
+        this.muscles.forEach((muscleGenotype, i) => {
+            this.bodies.push(Constraint.create({
+                bodyA: nodeBodies.get(muscleGenotype.bodyA),
+                bodyB: nodeBodies.get(muscleGenotype.bodyB),
+                render: {
+                    lineWidth: isSelected('muscle', i) ? 4 : 2,
+                    strokeStyle: isSelected('muscle', i) ? CreatureDesigner.colours.selected :
+                        muscleGenotype.isExpressed ? CreatureDesigner.colours.muscle :
+                            CreatureDesigner.colours.disconnected
+                }
+            }));
+        });
+
+        World.add(this.engine.world, this.bodies);
+
+        const nDisconnected = genome.nodeGenotypes.filter(nodeGenotype => !nodeGenotype.isEnabled).length;
+
+        this.warning.textContent = nDisconnected > 0 ? ` ${nDisconnected} node(s) are not connected to the rest ` +
+            'of the creature and will be left out.' : '';
+    }
+}
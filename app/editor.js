@@ -0,0 +1,547 @@
+import {Bodies, Events, Vector, World} from "matter-js";
+
+import {buildStage, createFinishLine, layOutGround, loadStage} from "./stage";
+import {addButton, createFilePicker, downloadBlob} from "./utils";
+
+/**
+ * This class lets the user draw a stage with the mouse and import and export stage files.
+ *
+ * The editor shows the stage in the world that it is given, so whatever else is in that world should be taken out while
+ * the editor is open. The camera can still be panned by dragging; a click that barely moves the mouse edits the stage
+ * with the chosen tool:
+ *
+ * - ground: extend the ground to the clicked point with a straight piece of ground. The first click on a stage with no
+ *   ground sets where the ground starts.
+ * - gap: extend the ground with a hole that reaches the clicked point.
+ * - rectangle and circle: place an obstacle at the clicked point.
+ * - start: place the creatures' starting position.
+ * - finish: place the finish line.
+ * - select: pick the ground segment or obstacle under the mouse to change its friction or delete it.
+ */
+export class StageEditor {
+    /**
+     * Create a new stage editor.
+     * @param engine The engine whose world the stage is shown in.
+     * @param mouseConstraint The mouse constraint being used.
+     * @param options {{height: number?, onClose: function(Object|null)?}} `height` is how tall to draw the finish
+     *     line and `onClose` is called with the edited stage when the user chooses to use it, or with null if they
+     *     close the editor without using it.
+     */
+    constructor(engine, mouseConstraint, options = {}) {
+        const defaults = {
+            height: 600,
+            onClose: null
+        };
+
+        options = Object.assign({}, defaults, options);
+
+        this.engine = engine;
+        this.height = options.height;
+        this.onClose = options.onClose;
+
+        /**
+         * The stage being edited, in the format returned by `loadStage()`.
+         * @type {Object|null}
+         */
+        this.stage = null;
+        /**
+         * Copies of the stage from before each edit, most recent last.
+         * @type {[string]}
+         */
+        this.history = [];
+        /**
+         * The ground segment or obstacle that is selected, or null if there is none.
+         * @type {{kind: string, index: number}|null}
+         */
+        this.selection = null;
+        /**
+         * The bodies that show the stage.
+         * @type {[body]}
+         */
+        this.bodies = [];
+        /**
+         * Whether the next click with the ground tool sets where the ground starts instead of extending it.
+         * @type {boolean}
+         */
+        this.isPlacingGroundStart = false;
+        this.isEditing = false;
+
+        this.mouseDownPosition = null;
+
+        Events.on(mouseConstraint, 'mousedown', event => {
+            this.mouseDownPosition = Vector.clone(event.mouse.absolute);
+        });
+
+        Events.on(mouseConstraint, 'mouseup', event => {
+            // Dragging pans the camera, so only treat the mouse going up close to where it went down as a click.
+            if (this.isEditing && this.mouseDownPosition !== null) {
+                const distance = Vector.magnitude(Vector.sub(event.mouse.absolute, this.mouseDownPosition));
+
+                if (distance < StageEditor.clickTolerance) {
+                    this.onClick(Vector.clone(event.mouse.position));
+                }
+            }
+
+            this.mouseDownPosition = null;
+        });
+
+        this.createControls();
+    }
+
+    /**
+     * How many pixels the mouse can move between going down and up for it to still count as a click.
+     * @returns {number}
+     */
+    static get clickTolerance() {
+        return 5;
+    }
+
+    /**
+     * The colours that the parts of the stage are drawn in.
+     * @returns {{ground: string, selected: string, start: string, finish: string}}
+     */
+    static get colours() {
+        return {
+            ground: '#573b0c', // an earthy brown
+            selected: '#e0a030',
+            start: '#2e8b57',
+            finish: '#ffffff'
+        };
+    }
+
+    /**
+     * Create the panel of controls for the editor. The panel is hidden until the editor is opened.
+     */
+    createControls() {
+        const element = document.createElement('div');
+        const addInput = (label, type, attributes = {}) => {
+            const labelElement = document.createElement('label');
+            const input = document.createElement('input');
+
+            input.type = type;
+            Object.assign(input, attributes);
+            labelElement.append(`${label} `, input);
+            element.append(labelElement);
+
+            return input;
+        };
+
+        this.toolSelect = document.createElement('select');
+
+        for (const tool of ['ground', 'gap', 'rectangle', 'circle', 'start', 'finish', 'select']) {
+            const option = document.createElement('option');
+
+            option.value = tool;
+            option.textContent = `Tool: ${tool}`;
+            this.toolSelect.append(option);
+        }
+
+        this.toolSelect.onchange = () => this.select(null);
+        element.append(this.toolSelect);
+
+        this.nameInput = addInput('Name', 'text', {size: 10});
+        this.nameInput.onchange = () => this.edit(stage => {
+            stage.name = this.nameInput.value;
+        });
+
+        this.stageFrictionInput = addInput('Stage friction', 'number', {min: 0, step: 0.05});
+        this.stageFrictionInput.onchange = () => {
+            const friction = Number(this.stageFrictionInput.value);
+
+            if (this.stageFrictionInput.value !== '' && friction >= 0) {
+                this.edit(stage => {
+                    stage.friction = friction;
+                });
+            }
+        };
+
+        // Blank means the part uses the friction of the stage.
+        this.frictionInput = addInput('Friction', 'number', {min: 0, step: 0.05, placeholder: 'stage'});
+        this.frictionInput.onchange = () => this.setSelectionFriction();
+
+        this.widthInput = addInput('Width', 'number', {min: 1, value: 50});
+        this.heightInput = addInput('Height', 'number', {min: 1, value: 50});
+        this.angleInput = addInput('Angle', 'number', {step: 0.1, value: 0});
+        this.radiusInput = addInput('Radius', 'number', {min: 1, value: 25});
+
+        addButton(element, 'Delete', () => this.deleteSelection());
+        addButton(element, 'Remove finish', () => this.edit(stage => {
+            stage.finish = null;
+        }));
+        addButton(element, 'Undo', () => this.undo());
+        addButton(element, 'Clear', () => this.clear());
+
+        const fileInput = createFilePicker((text, file) => {
+            try {
+                const stage = loadStage(JSON.parse(text), file.name);
+
+                this.select(null);
+                this.setStage(stage);
+                this.isPlacingGroundStart = stage.ground.segments.length === 0;
+            } catch (error) {
+                window.alert(`Could not import ${file.name}: ${error.message}`);
+            }
+        });
+
+        element.append(fileInput);
+        addButton(element, 'Import', () => fileInput.click());
+        addButton(element, 'Export', () => this.download());
+        addButton(element, 'Use stage', () => this.close(true));
+        addButton(element, 'Cancel', () => this.close(false));
+
+        this.status = document.createElement('span');
+        element.append(this.status);
+
+        element.style.display = 'none';
+
+        /**
+         * The panel of controls. This should be added to the page.
+         * @type {HTMLDivElement}
+         */
+        this.element = element;
+    }
+
+    /**
+     * Start editing a stage.
+     * @param stage The stage to start from.
+     * @throws {FormatError} If `stage` is not a valid stage.
+     */
+    open(stage) {
+        this.stage = loadStage(stage);
+        this.history = [];
+        this.selection = null;
+        this.isPlacingGroundStart = this.stage.ground.segments.length === 0;
+        this.isEditing = true;
+        this.element.style.display = '';
+
+        this.update();
+    }
+
+    /**
+     * Stop editing and take the stage out of the world.
+     * @param useStage Whether the user wants to use the edited stage.
+     */
+    close(useStage) {
+        World.remove(this.engine.world, this.bodies);
+        this.bodies = [];
+        this.isEditing = false;
+        this.element.style.display = 'none';
+
+        if (this.onClose !== null) {
+            this.onClose(useStage ? this.stage : null);
+        }
+    }
+
+    /**
+     * Replace the stage, keeping a copy of the old one so that the change can be undone.
+     * @param stage The new stage, in the format returned by `loadStage()`.
+     */
+    setStage(stage) {
+        this.history.push(JSON.stringify(this.stage));
+        this.stage = stage;
+        this.update();
+    }
+
+    /**
+     * Change a copy of the stage and use it if it is still a valid stage.
+     * @param change A function that changes the stage it is given in place.
+     */
+    edit(change) {
+        let stage = JSON.parse(JSON.stringify(this.stage));
+
+        try {
+            change(stage);
+            stage = loadStage(stage);
+        } catch (error) {
+            this.status.textContent = `Could not make that change: ${error.message}`;
+            return;
+        }
+
+        this.setStage(stage);
+    }
+
+    /**
+     * Undo the last change to the stage.
+     */
+    undo() {
+        if (this.history.length > 0) {
+            this.stage = JSON.parse(this.history.pop());
+            this.selection = null;
+            this.isPlacingGroundStart = this.stage.ground.segments.length === 0;
+            this.update();
+        }
+    }
+
+    /**
+     * Remove all of the ground and obstacles and the finish line so that a new stage can be drawn from scratch.
+     */
+    clear() {
+        this.select(null);
+        this.edit(stage => {
+            stage.name = 'custom';
+            delete stage.description;
+            stage.finish = null;
+            stage.ground.segments = [];
+            stage.obstacles = [];
+        });
+        this.isPlacingGroundStart = true;
+        this.status.textContent = 'Click to place the start of the ground.';
+    }
+
+    /**
+     * Save the stage to a file.
+     */
+    download() {
+        downloadBlob(new Blob([JSON.stringify(this.stage, null, 2)], {type: 'application/json'}),
+            `${this.stage.name}.json`);
+    }
+
+    /**
+     * The friction in the friction input, or undefined if the part should use the friction of the stage.
+     * @returns {number|undefined}
+     */
+    getFriction() {
+        const friction = Number(this.frictionInput.value);
+
+        return this.frictionInput.value === '' || !(friction >= 0) ? undefined : friction;
+    }
+
+    /**
+     * Give a new part of the stage the friction in the friction input.
+     * @param part The ground segment or obstacle.
+     * @returns {Object} The part.
+     */
+    withFriction(part) {
+        const friction = this.getFriction();
+
+        if (friction !== undefined) {
+            part.friction = friction;
+        }
+
+        return part;
+    }
+
+    /**
+     * Edit the stage with the current tool.
+     * @param point Where the user clicked, in world coordinates.
+     */
+    onClick(point) {
+        // Whole pixels keep exported files tidy.
+        const {x, y} = {x: Math.round(point.x), y: Math.round(point.y)};
+        const tool = this.toolSelect.value;
+
+        this.status.textContent = '';
+
+        switch (tool) {
+            case 'ground':
+            case 'gap': {
+                const points = layOutGround(this.stage);
+                const end = points[points.length - 1];
+
+                if (this.isPlacingGroundStart && tool === 'ground') {
+                    this.edit(stage => stage.ground.start = {x, y});
+                    this.isPlacingGroundStart = false;
+                } else if (x <= end.x) {
+                    this.status.textContent = 'The ground can only be extended to the right.';
+                } else if (tool === 'gap') {
+                    this.edit(stage => stage.ground.segments.push({type: 'gap', length: x - end.x}));
+                } else if (y === end.y) {
+                    this.edit(stage => stage.ground.segments.push(this.withFriction({
+                        type: 'flat',
+                        length: x - end.x
+                    })));
+                } else {
+                    // The y-axis points down, so a point above the end of the ground is a rise.
+                    this.edit(stage => stage.ground.segments.push(this.withFriction({
+                        type: 'ramp',
+                        length: x - end.x,
+                        rise: end.y - y
+                    })));
+                }
+                break;
+            }
+            case 'rectangle':
+                this.edit(stage => stage.obstacles.push(this.withFriction({
+                    type: 'rectangle',
+                    x: x,
+                    y: y,
+                    width: Number(this.widthInput.value),
+                    height: Number(this.heightInput.value),
+                    angle: Number(this.angleInput.value)
+                })));
+                break;
+            case 'circle':
+                this.edit(stage => stage.obstacles.push(this.withFriction({
+                    type: 'circle',
+                    x: x,
+                    y: y,
+                    radius: Number(this.radiusInput.value)
+                })));
+                break;
+            case 'start':
+                this.edit(stage => stage.start = {x, y});
+                break;
+            case 'finish':
+                this.edit(stage => stage.finish = {x});
+                break;
+            case 'select':
+                this.select(this.findPart(point));
+                break;
+        }
+    }
+
+    /**
+     * Find the part of the stage at a point. Obstacles are picked before the ground since they are drawn on top of it.
+     *
+     * @param point The point in world coordinates.
+     * @returns {{kind: string, index: number}|null} The ground segment or obstacle, or null if there is none.
+     */
+    findPart(point) {
+        for (let i = this.stage.obstacles.length - 1; i >= 0; i--) {
+            const obstacle = this.stage.obstacles[i];
+            const offset = Vector.sub(point, obstacle);
+
+            if (obstacle.type === 'circle' && Vector.magnitude(offset) <= obstacle.radius) {
+                return {kind: 'obstacle', index: i};
+            }
+
+            if (obstacle.type === 'rectangle') {
+                const local = Vector.rotate(offset, -obstacle.angle);
+
+                if (Math.abs(local.x) <= 0.5 * obstacle.width && Math.abs(local.y) <= 0.5 * obstacle.height) {
+                    return {kind: 'obstacle', index: i};
+                }
+            }
+        }
+
+        const points = layOutGround(this.stage);
+
+        for (let i = 0; i < this.stage.ground.segments.length; i++) {
+            if (points[i].x <= point.x && point.x < points[i + 1].x) {
+                return {kind: 'segment', index: i};
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the selected ground segment or obstacle.
+     * @param stage The stage to get it from.
+     * @returns {Object|null} The part, or null if nothing is selected.
+     */
+    getSelectedPart(stage = this.stage) {
+        if (this.selection === null) {
+            return null;
+        }
+
+        const parts = this.selection.kind === 'segment' ? stage.ground.segments : stage.obstacles;
+
+        return this.selection.index < parts.length ? parts[this.selection.index] : null;
+    }
+
+    /**
+     * Select a part of the stage and show its friction.
+     * @param selection The ground segment or obstacle to select, or null to select nothing.
+     */
+    select(selection) {
+        this.selection = selection;
+
+        const part = this.getSelectedPart();
+
+        if (part !== null) {
+            this.frictionInput.value = part.hasOwnProperty('friction') ? part.friction : '';
+            this.status.textContent = `Selected ${this.selection.kind} ${this.selection.index} (${part.type})`;
+        }
+
+        this.update();
+    }
+
+    /**
+     * Give the selected part the friction in the friction input.
+     */
+    setSelectionFriction() {
+        if (this.selection === null) {
+            return;
+        }
+
+        const friction = this.getFriction();
+
+        this.edit(stage => {
+            const part = this.getSelectedPart(stage);
+
+            if (friction === undefined) {
+                delete part.friction;
+            } else {
+                part.friction = friction;
+            }
+        });
+    }
+
+    /**
+     * Delete the selected part. Ground segments after a deleted segment move back to fill the space it took up.
+     */
+    deleteSelection() {
+        if (this.selection === null) {
+            return;
+        }
+
+        const {kind, index} = this.selection;
+
+        this.selection = null;
+        this.edit(stage => (kind === 'segment' ? stage.ground.segments : stage.obstacles).splice(index, 1));
+    }
+
+    /**
+     * Rebuild the bodies that show the stage and update the controls to match it.
+     */
+    update() {
+        World.remove(this.engine.world, this.bodies);
+
+        // The editor only draws the stage, so none of its bodies need to collide with anything.
+        const options = {collisionFilter: {mask: 0}};
+
+        this.bodies = buildStage(this.stage, Object.assign({
+            render: {fillStyle: StageEditor.colours.ground}
+        }, options));
+
+        // The selected part is drawn again on top of the stage in another colour.
+        const part = this.getSelectedPart();
+
+        if (part !== null) {
+            const highlight = {render: {fillStyle: StageEditor.colours.selected}};
+            let partStage = Object.assign({}, this.stage, {
+                ground: Object.assign({}, this.stage.ground, {segments: []}),
+                obstacles: []
+            });
+
+            if (this.selection.kind === 'segment') {
+                partStage.ground.start = layOutGround(this.stage)[this.selection.index];
+                partStage.ground.segments = [part];
+            } else {
+                partStage.obstacles = [part];
+            }
+
+            this.bodies.push(...buildStage(partStage, Object.assign(highlight, options)));
+        }
+
+        this.bodies.push(Bodies.circle(this.stage.start.x, this.stage.start.y, 10, Object.assign({
+            label: 'Start',
+            isStatic: true,
+            render: {fillStyle: StageEditor.colours.start}
+        }, options)));
+
+        const finishLine = createFinishLine(this.stage, this.height, {
+            render: {fillStyle: StageEditor.colours.finish}
+        });
+
+        if (finishLine !== null) {
+            this.bodies.push(finishLine);
+        }
+
+        World.add(this.engine.world, this.bodies);
+
+        this.nameInput.value = this.stage.name;
+        this.stageFrictionInput.value = this.stage.friction;
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * Evaluation of creatures outside of the genetic algorithm, e.g. by the workers in a `WorkerPool`.
+ *
+ * Creatures do not collide with each other, so a population can be split up and each part evaluated in its own
+ * world. Each part is simulated for the same number of fixed-size steps as in `GeneticAlgorithm.update()`, so the
+ * fitness scores are exactly the same as if the whole population had been evaluated together.
+ */
+
+import {Engine, World} from "matter-js";
+
+import {Creature, CreatureGenome} from "./creature";
+import {createObjectiveFunction, FitnessTracker} from "./fitness";
+import {EVALUATE} from "./messages";
+import {createWorld} from "./world";
+
+/**
+ * An evaluation of some creatures that can be run one physics step at a time, e.g. to watch it.
+ * Running an evaluation to the end gives exactly the same scores however it is stepped.
+ */
+export class Evaluation {
+    /**
+     * Set up an evaluation in a new world.
+     *
+     * @param genomes The serialized genomes of the creatures.
+     * @param settings {{evaluationSteps: number, stepSize: number, startingPosition: {x: number?, y: number?},
+     *     fitness: Object<string, number>, objectives: [Object<string, number>]|null, energyBudget: number|null,
+     *     stage: Object|null}} How long to simulate the creatures for, what stage to put them on and where, how much
+     *     energy they have and how to score them.
+     * @param bodyOptions Extra options to create the bodies of the stage with, e.g. how to render them.
+     * @see GeneticAlgorithm.getEvaluationSettings
+     */
+    constructor(genomes, settings, bodyOptions = {}) {
+        const {engine} = createWorld(settings.stage, bodyOptions);
+        const {x, y} = settings.startingPosition;
+        const finish = settings.stage !== null ? settings.stage.finish : null;
+
+        this.engine = engine;
+        this.settings = settings;
+        this.objectiveFunction = createObjectiveFunction(settings.objectives !== null ? settings.objectives :
+            [settings.fitness]);
+        this.creatures = genomes.map(json => new Creature(CreatureGenome.fromJSON(json), x, y,
+            settings.energyBudget));
+        this.trackers = this.creatures.map(creature => new FitnessTracker(creature, settings.stepSize, finish));
+        /**
+         * How many physics steps have been run.
+         * @type {number}
+         */
+        this.currentStep = 0;
+
+        for (const creature of this.creatures) {
+            World.add(engine.world, creature.phenome);
+        }
+    }
+
+    /**
+     * Whether every step of the evaluation has been run.
+     * @returns {boolean}
+     */
+    get isFinished() {
+        return this.currentStep >= this.settings.evaluationSteps;
+    }
+
+    /**
+     * Run the next physics step of the evaluation.
+     */
+    step() {
+        const time = this.currentStep * this.settings.stepSize;
+
+        for (let i = 0; i < this.creatures.length; i++) {
+            this.trackers[i].record();
+            this.creatures[i].update(time);
+        }
+
+        Engine.update(this.engine, this.settings.stepSize);
+        this.currentStep++;
+    }
+
+    /**
+     * Score the creatures. This should only be called once, after the last step.
+     * @returns {[[number]]} The score of each creature in each objective, in the same order as the genomes. Without
+     *     `objectives` there is one objective: the fitness.
+     */
+    score() {
+        return this.trackers.map(tracker => {
+            tracker.record();
+
+            return this.objectiveFunction(tracker);
+        });
+    }
+}
+
+/**
+ * Simulate some creatures and score them.
+ *
+ * @param genomes The serialized genomes of the creatures.
+ * @param settings The settings to evaluate them with: see `Evaluation`.
+ * @returns {[[number]]} The score of each creature in each objective, in the same order as `genomes`. Without
+ *     `objectives` there is one objective: the fitness.
+ * @see GeneticAlgorithm.getEvaluationSettings
+ */
+export function evaluateGenomes(genomes, settings) {
+    const evaluation = new Evaluation(genomes, settings);
+
+    while (!evaluation.isFinished) {
+        evaluation.step();
+    }
+
+    return evaluation.score();
+}
+
+/**
+ * Handle a message sent to an evaluation worker by a `WorkerPool`.
+ *
+ * @param data The data of the message.
+ * @returns {Object|null} The reply to send back, or null if the message was not an `EVALUATE` message.
+ */
+export function handleEvaluationMessage(data) {
+    if (data.command !== EVALUATE) {
+        return null;
+    }
+
+    try {
+        return {
+            command: EVALUATE,
+            id: data.id,
+            objectives: evaluateGenomes(data.genomes, data.settings)
+        };
+    } catch (error) {
+        return {
+            command: EVALUATE,
+            id: data.id,
+            error: error.message
+        };
+    }
+}
@@ -0,0 +1,13 @@
+/** The entry point of the web workers in a `WorkerPool`, which evaluate creatures for the genetic algorithm worker. */
+
+import {handleEvaluationMessage} from "./evaluation";
+
+onmessage = (message) => {
+    const reply = handleEvaluationMessage(message.data);
+
+    if (reply !== null) {
+        postMessage(reply);
+    } else {
+        console.warn(`[${new Date().toLocaleString()}][Evaluator] Unrecognised message: ${message.data.command}`);
+    }
+};
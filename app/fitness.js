@@ -0,0 +1,278 @@
+/**
+ * Fitness functions for scoring creatures at the end of an evaluation.
+ *
+ * A `FitnessTracker` follows a creature while it is evaluated and keeps a record of how it moved. The fitness functions
+ * in the registry turn such a record into a score, and `createFitnessFunction()` combines several of them into a
+ * weighted sum. Fitness functions are chosen by name so that the choice can be saved in snapshots and sent to workers.
+ */
+
+import {Vector} from "matter-js";
+
+/**
+ * Keeps a record of how a creature moves while it is evaluated.
+ * `record()` should be called with the state of the world before the first physics step and after every physics step.
+ */
+export class FitnessTracker {
+    /**
+     * Create a new fitness tracker.
+     * @param creature The creature to follow.
+     * @param stepSize How many milliseconds of simulated time pass in each physics step.
+     * @param finish The finish line of the stage, or null if there is none.
+     */
+    constructor(creature, stepSize, finish = null) {
+        /**
+         * The creature being followed.
+         * @type {Creature}
+         */
+        this.creature = creature;
+        /**
+         * How many milliseconds of simulated time pass in each physics step.
+         * @type {number}
+         */
+        this.stepSize = stepSize;
+        /**
+         * The finish line of the stage, or null if there is none.
+         * @type {{x: number}|null}
+         */
+        this.finish = finish;
+        /**
+         * The simulated time in milliseconds at which the centre of mass first crossed the finish line, or null if it
+         * has not crossed it.
+         * @type {number|null}
+         */
+        this.finishTime = null;
+        /**
+         * How many times the state of the creature has been recorded.
+         * @type {number}
+         */
+        this.nRecords = 0;
+        /**
+         * The centre of mass of the creature when it was first recorded.
+         * @type {{x: number, y: number}|null}
+         */
+        this.startCentreOfMass = null;
+        /**
+         * The centre of mass of the creature when it was last recorded.
+         * @type {{x: number, y: number}|null}
+         */
+        this.centreOfMass = null;
+        /**
+         * The smallest y-coordinate of the centre of mass so far. The y-axis points down, so this is the highest point
+         * that the creature has reached.
+         * @type {number}
+         */
+        this.minCentreOfMassY = Infinity;
+        /**
+         * The position along the x-axis of the node that was furthest to the right when the creature was last
+         * recorded.
+         * @see Creature.getDisplacement
+         * @type {number}
+         */
+        this.displacement = -Infinity;
+        /**
+         * The positions of the nodes relative to the centre of mass when the creature was first recorded. These are
+         * used to tell how far the creature has rotated.
+         * @type {[{x: number, y: number}]}
+         */
+        this.startOffsets = [];
+        /**
+         * How many of the records had the creature rotated more than a quarter turn from how it started.
+         * @type {number}
+         */
+        this.nFlipped = 0;
+        /**
+         * How many of the records had none of the creature's nodes touching the ground.
+         * @type {number}
+         */
+        this.nAirborne = 0;
+        /**
+         * The energy that the creature's muscles had used when the creature was last recorded.
+         * @type {number}
+         * @see Creature.energyUsed
+         */
+        this.energy = 0;
+    }
+
+    /**
+     * Calculate the centre of mass of a creature's nodes.
+     * @param creature The creature.
+     * @returns {{x: number, y: number}} The centre of mass.
+     */
+    static getCentreOfMass(creature) {
+        let totalMass = 0;
+        let centre = {x: 0, y: 0};
+
+        for (const node of creature.nodes) {
+            centre = Vector.add(centre, Vector.mult(node.position, node.mass));
+            totalMass += node.mass;
+        }
+
+        return totalMass > 0 ? Vector.div(centre, totalMass) : centre;
+    }
+
+    /**
+     * The simulated time in milliseconds that the creature has been followed for.
+     * @returns {number}
+     */
+    get elapsedTime() {
+        return Math.max(0, this.nRecords - 1) * this.stepSize;
+    }
+
+    /**
+     * How far the centre of mass has moved to the right since the creature was first recorded.
+     * @returns {number}
+     */
+    get centreOfMassDisplacement() {
+        return this.nRecords > 0 ? this.centreOfMass.x - this.startCentreOfMass.x : 0;
+    }
+
+    /**
+     * Record the current state of the creature.
+     */
+    record() {
+        const centreOfMass = FitnessTracker.getCentreOfMass(this.creature);
+        const offsets = this.creature.nodes.map(node => Vector.sub(node.position, centreOfMass));
+
+        if (this.nRecords === 0) {
+            this.startCentreOfMass = centreOfMass;
+            this.startOffsets = offsets;
+        }
+
+        this.centreOfMass = centreOfMass;
+        this.minCentreOfMassY = Math.min(this.minCentreOfMassY, centreOfMass.y);
+        this.displacement = this.creature.getDisplacement();
+
+        // The rotation of the creature is the average rotation of its nodes about the centre of mass, weighted by how
+        // far they are from it.
+        let cos = 0;
+        let sin = 0;
+
+        for (let i = 0; i < offsets.length; i++) {
+            cos += Vector.dot(this.startOffsets[i], offsets[i]);
+            sin += Vector.cross(this.startOffsets[i], offsets[i]);
+        }
+
+        if (Math.abs(Math.atan2(sin, cos)) > Math.PI / 2) {
+            this.nFlipped++;
+        }
+
+        if (this.creature.nodes.every(node => !(node.contactCount > 0))) {
+            this.nAirborne++;
+        }
+
+        this.energy = this.creature.energyUsed;
+
+        if (this.finish !== null && this.finishTime === null && centreOfMass.x >= this.finish.x) {
+            this.finishTime = this.nRecords * this.stepSize;
+        }
+
+        this.nRecords++;
+    }
+}
+
+/**
+ * The fitness functions that can be chosen from, keyed by name. Each takes a `FitnessTracker` and returns a score where
+ * higher is better. The penalties are never positive, so they should be given positive weights too.
+ * @type {Object<string, function(FitnessTracker): number>}
+ */
+export const fitnessFunctions = {
+    /** The position along the x-axis of the node that ends up furthest to the right. */
+    displacement: tracker => tracker.displacement,
+    /** How far the centre of mass moves to the right. Unlike `displacement`, flinging a single node does not help. */
+    centreOfMass: tracker => tracker.centreOfMassDisplacement,
+    /** The average speed of the centre of mass to the right in pixels per second. */
+    speed: tracker => tracker.elapsedTime > 0 ? 1000 * tracker.centreOfMassDisplacement / tracker.elapsedTime : 0,
+    /** How far the centre of mass moves to the right per unit of energy spent by the muscles. */
+    efficiency: tracker => tracker.centreOfMassDisplacement / Math.max(1, tracker.energy),
+    /** A penalty of minus the energy spent by the muscles. */
+    energy: tracker => -tracker.energy,
+    /**
+     * The proportion of the evaluation that was left when the centre of mass crossed the finish line of the stage, or
+     * zero if it never crossed it. Creatures that finish sooner score higher.
+     */
+    finish: tracker => tracker.finishTime !== null && tracker.elapsedTime > 0 ?
+        1 - tracker.finishTime / tracker.elapsedTime : 0,
+    /** The greatest height that the centre of mass reaches above where it started. */
+    height: tracker => tracker.nRecords > 0 ? Math.max(0, tracker.startCentreOfMass.y - tracker.minCentreOfMassY) : 0,
+    /** A penalty of minus the proportion of the evaluation that the creature spent flipped over. */
+    flipped: tracker => tracker.nRecords > 0 ? -tracker.nFlipped / tracker.nRecords : 0,
+    /** A penalty of minus the proportion of the evaluation that none of the creature's nodes touched the ground. */
+    airborne: tracker => tracker.nRecords > 0 ? -tracker.nAirborne / tracker.nRecords : 0,
+    /** A penalty of minus the number of nodes and muscles in the creature, for trading off distance and body size. */
+    size: tracker => -(tracker.creature.nodes.length + tracker.creature.muscles.length)
+};
+
+/**
+ * Add a fitness function to the registry.
+ * Creatures evaluated by workers are scored in the worker, so custom fitness functions must be registered in code that
+ * the workers also run.
+ *
+ * @param name The name to choose the fitness function by.
+ * @param fitnessFunction A function that takes a `FitnessTracker` and returns a score where higher is better.
+ * @throws {Error} If there is already a fitness function with the same name.
+ */
+export function registerFitnessFunction(name, fitnessFunction) {
+    if (fitnessFunctions.hasOwnProperty(name)) {
+        throw new Error(`there is already a fitness function called '${name}'`);
+    }
+
+    fitnessFunctions[name] = fitnessFunction;
+}
+
+/**
+ * Get the weight of each fitness function in a fitness specification.
+ *
+ * @param spec Either the name of a fitness function, or a dictionary of weights keyed by the names of fitness
+ *             functions, e.g. `{centreOfMass: 1, flipped: 100}`.
+ * @returns {Object<string, number>} The weights keyed by the names of the fitness functions.
+ * @throws {Error} If the specification names a fitness function that does not exist or a weight is not a number.
+ */
+export function getFitnessWeights(spec) {
+    const weights = typeof spec === 'string' ? {[spec]: 1} : Object.assign({}, spec);
+
+    if (Object.keys(weights).length === 0) {
+        throw new Error('expected at least one fitness function');
+    }
+
+    for (const [name, weight] of Object.entries(weights)) {
+        if (!fitnessFunctions.hasOwnProperty(name)) {
+            throw new Error(`unknown fitness function '${name}' (expected one of ` +
+                `${Object.keys(fitnessFunctions).join(', ')})`);
+        }
+
+        if (typeof weight !== 'number' || !Number.isFinite(weight)) {
+            throw new Error(`expected the weight of '${name}' to be a number but got ${weight}`);
+        }
+    }
+
+    return weights;
+}
+
+/**
+ * Create a function that scores creatures with a weighted sum of fitness functions.
+ *
+ * @param spec Either the name of a fitness function, or a dictionary of weights keyed by the names of fitness
+ *             functions.
+ * @returns {function(FitnessTracker): number} The combined fitness function.
+ * @throws {Error} If `spec` is not valid.
+ * @see getFitnessWeights
+ */
+export function createFitnessFunction(spec) {
+    const weights = Object.entries(getFitnessWeights(spec));
+
+    return tracker => weights.reduce((sum, [name, weight]) => sum + weight * fitnessFunctions[name](tracker), 0);
+}
+
+/**
+ * Create a function that scores creatures in several objectives at once.
+ *
+ * @param specs The fitness specification of each objective.
+ * @returns {function(FitnessTracker): [number]} A function that returns the score in each objective.
+ * @throws {Error} If one of `specs` is not valid.
+ * @see createFitnessFunction
+ */
+export function createObjectiveFunction(specs) {
+    const objectiveFunctions = specs.map(createFitnessFunction);
+
+    return tracker => objectiveFunctions.map(objectiveFunction => objectiveFunction(tracker));
+}
@@ -2,8 +2,17 @@
 
 import {World} from "matter-js";
 
-import {Creature, CreatureGenome} from "./creature";
-import {randomInt} from "./utils";
+import {BrainGenome} from "./brain";
+import {Creature, CreatureGenome, MuscleGenotype, NodeGenotype} from "./creature";
+import {createFitnessFunction, createObjectiveFunction, FitnessTracker, getFitnessWeights} from "./fitness";
+import {innovationTracker} from "./innovation";
+import {NameRegistry, nameRegistry} from "./names";
+import {paretoRank} from "./pareto";
+import {Random} from "./random";
+import {expectFields, expectType, FormatError, SNAPSHOT_FORMAT_VERSION} from "./serialization";
+import {Species} from "./species";
+import {loadStage} from "./stage";
+import {randomChoice} from "./utils";
 
 export class GeneticAlgorithm {
     /**
@@ -12,24 +21,52 @@ export class GeneticAlgorithm {
      * @param world The Matter.World that is being used.
      * @param options {{populationSize: number?, evaluationTime: number?, elitismRatio: number?,
      *     tournamentSize: number?, onGenerationStart: function?, startingPosition: {x: number?, y: number?}?,
-     *     maxGenotypesPerCreature: number?, onGenerationEnd: function?}}
-     *     A dictionary of options.
+     *     initialGenotypesPerCreature: number?, maxGenotypesPerCreature: number?, onGenerationEnd: function?,
+     *     compatibilityThreshold: number?, controllerType: string?, targetSpeciesCount: number?,
+     *     compatibilityCoefficients: {c1: number?, c2: number?, c3: number?}?, stagnationLimit: number?,
+     *     thresholdAdjustment: number?,
+     *     seed: number?, stepSize: number?, fitness: (string|Object<string, number>)?,
+     *     objectives: [string|Object<string, number>]?, energyBudget: number?, stage: Object?}}
+     *     A dictionary of options. If `seed` is not given, a random seed is used. If `targetSpeciesCount` is null,
+     *     the compatibility threshold is kept fixed. If `objectives` is given, the
+     *     genetic algorithm runs in multi-objective mode and `fitness` is ignored. If `stage` is given, the creatures
+     *     are spawned in at its start and `startingPosition` is ignored.
+     * @throws {Error} If `fitness` or one of `objectives` is not a valid fitness specification.
+     * @throws {FormatError} If `stage` is not a valid stage.
      */
     constructor(world, options) {
         const defaults = {
             populationSize: 100,
             evaluationTime: 60000, // in milliseconds
+            stepSize: 1000 / 60, // in milliseconds
             elitismRatio: 10,
             tournamentSize: 10,
             startingPosition: {x: 0, y: 0},
-            maxGenotypesPerCreature: 3,
+            initialGenotypesPerCreature: 3,
+            maxGenotypesPerCreature: 10,
+            controllerType: 'timer',
+            compatibilityThreshold: 0.4,
+            targetSpeciesCount: 5,
+            thresholdAdjustment: 0.1,
+            compatibilityCoefficients: {c1: 1.0, c2: 1.0, c3: 0.4},
+            stagnationLimit: 15,
+            seed: null,
+            fitness: 'displacement',
+            objectives: null,
+            energyBudget: null,
+            stage: null,
             onGenerationStart: null,
             onGenerationEnd: null
         };
 
         options = Object.assign({}, defaults, options);
+        options.compatibilityCoefficients = Object.assign({}, defaults.compatibilityCoefficients,
+            options.compatibilityCoefficients);
 
-        /** The Matter.World instance to add the creatures to. */
+        /**
+         * The Matter.World instance to add the creatures to, or null if the creatures are evaluated elsewhere (e.g. by
+         * a `WorkerPool`).
+         */
         this.world = world;
         /**
          * A collection of the creature genomes for the current generation.
@@ -49,7 +86,7 @@ export class GeneticAlgorithm {
          */
         this.elitismRatio = 0;
 
-        if (0 <= options.elitismRatio < 1) {
+        if (0 <= options.elitismRatio && options.elitismRatio < 1) {
             this.elitismRatio = Math.floor(this.populationSize * options.elitismRatio);
         } else {
             this.elitismRatio = Math.min(this.populationSize, options.elitismRatio);
@@ -64,7 +101,7 @@ export class GeneticAlgorithm {
          */
         this.tournamentSize = 0;
 
-        if (0 <= options.tournamentSize < 1) {
+        if (0 <= options.tournamentSize && options.tournamentSize < 1) {
             this.tournamentSize = Math.floor(this.populationSize * options.tournamentSize);
         } else {
             this.tournamentSize = Math.min(this.populationSize, options.tournamentSize);
@@ -75,18 +112,83 @@ export class GeneticAlgorithm {
          */
         this.creatures = [];
         /**
-         * The maximum number of genotypes of each type (nodes and muscles) per creature.
+         * The records of how each creature has moved, in the same order as `creatures`.
+         * @type {[FitnessTracker]}
+         */
+        this.fitnessTrackers = [];
+        /**
+         * The weight of each fitness function that creatures are scored with, keyed by the name of the fitness
+         * function.
+         * @type {Object<string, number>}
+         * @see fitnessFunctions
+         */
+        this.fitnessWeights = getFitnessWeights(options.fitness);
+        /**
+         * Scores a creature from the record of how it moved.
+         * @type {function(FitnessTracker): number}
+         */
+        this.fitnessFunction = createFitnessFunction(this.fitnessWeights);
+        /**
+         * The weights of the fitness functions for each objective in multi-objective mode, or null in single-objective
+         * mode.
+         *
+         * In multi-objective mode the population is ranked with NSGA-II: the fitness of a genome is a score derived
+         * from its Pareto rank and crowding distance, so selection and elitism favour genomes on the Pareto front and
+         * spread out along it.
+         * @type {[Object<string, number>]|null}
+         * @see paretoRank
+         */
+        this.objectives = options.objectives === null ? null : options.objectives.map(getFitnessWeights);
+        /**
+         * Score a creature in each objective. In single-objective mode there is one objective: the fitness function.
+         * @type {function(FitnessTracker): [number]}
+         */
+        this.objectiveFunction = this.objectives === null ?
+            tracker => [this.fitnessFunction(tracker)] : createObjectiveFunction(this.objectives);
+        /**
+         * How much energy each creature's muscles can use before it stops moving, or null if there is no limit.
+         * @type {number|null}
+         * @see Creature.energyBudget
+         */
+        this.energyBudget = options.energyBudget;
+        /**
+         * The number of node genotypes that each creature in the initial population starts with.
+         * Creatures start out small and grow more complex through structural mutations.
+         * @type {number}
+         */
+        this.initialGenotypesPerCreature = options.initialGenotypesPerCreature;
+        /**
+         * The maximum number of node genotypes that a creature can grow to through structural mutations.
          * @type {number}
          */
         this.maxGenotypesPerCreature = options.maxGenotypesPerCreature;
-        /** How long to evaluate each generation for in milliseconds.
+        /**
+         * What controls the muscles of the creatures in new populations: either `'timer'`, where each muscle contracts
+         * and extends on fixed timers, or `'neural'`, where an evolved brain drives the muscles from sensor readings.
+         * @type {string}
+         */
+        this.controllerType = options.controllerType;
+        /** How long to evaluate each generation for in milliseconds of simulated time.
          * @type{number}
          */
         this.evaluationTime = options.evaluationTime;
-        /** How long the current generation has been evaluated for.
+        /**
+         * How many milliseconds of simulated time pass in each physics step. The physics engine must be updated with
+         * this delta after each call to `update()`.
+         * @type {number}
+         */
+        this.stepSize = options.stepSize;
+        /**
+         * How many physics steps each generation is evaluated for.
+         * Evaluation is measured in steps rather than real time so that the results do not depend on how fast the
+         * host runs.
+         * @type {number}
+         */
+        this.evaluationSteps = Math.round(this.evaluationTime / this.stepSize);
+        /** How many physics steps the current generation has been evaluated for.
          * @type {number}
          */
-        this.currEvaluationStartTime = 0;
+        this.currEvaluationStep = 0;
         /** A non-negative integer indicating how many generations have been completed.
          * @type {number}
          */
@@ -98,8 +200,18 @@ export class GeneticAlgorithm {
         this.timeStep = 0;
         /**
          * A dictionary of data from the previously completed generation.
+         * `species` holds a summary of each species, including those that were removed for stagnating (these are
+         * allocated zero offspring).
+         * In multi-objective mode, `objectives` holds the score of each genome in each objective, `paretoRank` holds
+         * the index of the non-dominated front that each genome is in and `paretoFront` holds the indices of the
+         * genomes in the first front, sorted by their score in the first objective. These are empty otherwise.
+         * `fitness` holds the score that genomes are selected by, which in multi-objective mode is a crowded-comparison
+         * score that only ranks genomes within the generation. The summary statistics (`minFitness`, `argmax` etc.)
+         * are therefore of the scores in the first objective in multi-objective mode.
          * @type {{minFitness: number, meanFitness: number, maxFitness: number, sumFitness: number, argmin: number,
-            argmax: number, fitness: [number], topN: [number]}}
+            argmax: number, fitness: [number], topN: [number], species: [Object], objectives: [[number]],
+            paretoRank: [number], paretoFront: [number]}}
+         * @see Species.getStats
          */
         this.generationResults = {
             minFitness: 0,
@@ -109,18 +221,89 @@ export class GeneticAlgorithm {
             argmin: -1,
             argmax: -1,
             fitness: [],
-            topN: []
+            topN: [],
+            species: [],
+            objectives: [],
+            paretoRank: [],
+            paretoFront: []
         };
 
         /**
-         * The coordinates for where creatures should be spawned in.
+         * Genomes whose compatibility distance to a species' representative is below this threshold belong to that
+         * species. Unless `targetSpeciesCount` is null, this is adjusted after each generation.
+         * @type {number}
+         */
+        this.compatibilityThreshold = options.compatibilityThreshold;
+        /**
+         * How many species to aim for, or null to keep `compatibilityThreshold` fixed.
+         * The compatibility threshold is raised after each generation with more species than this and lowered after
+         * each generation with fewer, since how far apart genomes are changes as they evolve.
+         * @type {number|null}
+         */
+        this.targetSpeciesCount = options.targetSpeciesCount;
+        /**
+         * The fraction that the compatibility threshold is raised or lowered by after each generation.
+         * @type {number}
+         * @see GeneticAlgorithm.targetSpeciesCount
+         */
+        this.thresholdAdjustment = options.thresholdAdjustment;
+        /**
+         * The coefficients for the excess genes, disjoint genes and parameter differences used in the compatibility
+         * distance.
+         * @type {{c1: number, c2: number, c3: number}}
+         * @see CreatureGenome.compatibilityDistance
+         */
+        this.compatibilityCoefficients = options.compatibilityCoefficients;
+        /**
+         * How many generations a species can go without improving its best fitness before it is removed.
+         * The species containing the best genome of the generation is never removed.
+         * @type {number}
+         */
+        this.stagnationLimit = options.stagnationLimit;
+        /**
+         * The species that the population is divided into.
+         * @type {[Species]}
+         */
+        this.species = [];
+        /**
+         * The ID to give to the next new species.
+         * @type {number}
+         */
+        this.nextSpeciesId = 0;
+        /**
+         * The indices of the genomes in the current population that were injected as elites. These are copied over to
+         * the next generation along with the fittest genomes.
+         * @type {[number]}
+         * @see GeneticAlgorithm.injectGenomes
+         */
+        this.injectedElites = [];
+
+        /**
+         * The random number generator that the genetic algorithm and the genomes draw from. It is passed to the genome
+         * methods rather than shared, so genetic algorithms in the same thread do not draw from each other's generator.
+         * Two runs with the same seed and configuration evolve in exactly the same way.
+         * @type {Random}
+         */
+        this.rng = new Random(options.seed !== null ? options.seed : Random.randomSeed());
+
+        /**
+         * The stage that the creatures are evaluated on, or null for the default stage.
+         * The genetic algorithm does not build the stage itself: whoever creates the world should build it from this
+         * so that creatures evaluated elsewhere (e.g. by a `WorkerPool`) see the same stage.
+         * @type {Object|null}
+         * @see createWorld
+         */
+        this.stage = options.stage !== null ? loadStage(options.stage) : null;
+        /**
+         * The coordinates for where creatures should be spawned in. This is the start of the stage if there is one.
          *
          * If this is too far away from the ground surface the
          * creatures will bounce around and fall over when they hit the ground; if this too close to the ground surface
          * then parts of the creature will spawn in the ground and get stuck.
          * @type {{x?: number, y?: number}}
          */
-        this.startingPosition = options.startingPosition;
+        this.startingPosition = this.stage !== null ? Object.assign({}, this.stage.start) :
+            options.startingPosition;
 
         /**
          * A callback to be called when a new generation is started.
@@ -143,6 +326,169 @@ export class GeneticAlgorithm {
         return `[${new Date().toLocaleString()}][GeneticAlgorithm]`
     }
 
+    /**
+     * Get the options needed to create a genetic algorithm with the same configuration as this one.
+     * The callbacks are not included since they cannot be serialized.
+     * @returns {Object} A dictionary of options that can be passed to the constructor.
+     */
+    getConfig() {
+        return {
+            populationSize: this.populationSize,
+            evaluationTime: this.evaluationTime,
+            stepSize: this.stepSize,
+            elitismRatio: this.elitismRatio,
+            tournamentSize: this.tournamentSize,
+            startingPosition: Object.assign({}, this.startingPosition),
+            initialGenotypesPerCreature: this.initialGenotypesPerCreature,
+            maxGenotypesPerCreature: this.maxGenotypesPerCreature,
+            controllerType: this.controllerType,
+            compatibilityThreshold: this.compatibilityThreshold,
+            targetSpeciesCount: this.targetSpeciesCount,
+            thresholdAdjustment: this.thresholdAdjustment,
+            compatibilityCoefficients: Object.assign({}, this.compatibilityCoefficients),
+            stagnationLimit: this.stagnationLimit,
+            seed: this.rng.seed,
+            fitness: Object.assign({}, this.fitnessWeights),
+            objectives: this.objectives === null ? null : this.objectives.map(weights => Object.assign({}, weights)),
+            energyBudget: this.energyBudget,
+            stage: JSON.parse(JSON.stringify(this.stage))
+        };
+    }
+
+    /**
+     * Get the settings that creatures should be evaluated with outside of the genetic algorithm.
+     * @returns {{evaluationSteps: number, stepSize: number, startingPosition: {x: number?, y: number?},
+     *     fitness: Object<string, number>, objectives: [Object<string, number>]|null, energyBudget: number|null,
+     *     stage: Object|null}}
+     * @see evaluateGenomes
+     */
+    getEvaluationSettings() {
+        return {
+            evaluationSteps: this.evaluationSteps,
+            stepSize: this.stepSize,
+            startingPosition: Object.assign({x: 0, y: 0}, this.startingPosition),
+            fitness: Object.assign({}, this.fitnessWeights),
+            objectives: this.objectives === null ? null : this.objectives.map(weights => Object.assign({}, weights)),
+            energyBudget: this.energyBudget,
+            stage: JSON.parse(JSON.stringify(this.stage))
+        };
+    }
+
+    /**
+     * Take a snapshot of the genetic algorithm that can be saved to a file and resumed from later.
+     *
+     * Snapshots capture the state at the start of the current generation: the physical state of the creatures is not
+     * included, so a restored genetic algorithm evaluates the current generation again from the beginning.
+     *
+     * @returns {Object} The snapshot as a plain object that can be serialized with `JSON.stringify()`.
+     * @see GeneticAlgorithm.fromJSON
+     */
+    toJSON() {
+        return {
+            version: SNAPSHOT_FORMAT_VERSION,
+            config: this.getConfig(),
+            generation: this.generation,
+            timeStep: this.timeStep,
+            population: this.population.map(genome => genome.toJSON()),
+            generationResults: JSON.parse(JSON.stringify(this.generationResults)),
+            species: this.species.map(species => species.toJSON()),
+            nextSpeciesId: this.nextSpeciesId,
+            injectedElites: [...this.injectedElites],
+            innovationTracker: innovationTracker.toJSON(),
+            names: nameRegistry.toJSON(),
+            rng: this.rng.toJSON()
+        };
+    }
+
+    /**
+     * Create a genetic algorithm from a snapshot made by `toJSON()`.
+     * The creatures of the current generation are added to `world` and start being evaluated straight away.
+     *
+     * @param world The Matter.World that is being used.
+     * @param json The snapshot.
+     * @param options A dictionary of options that override those saved in the snapshot, e.g. the callbacks.
+     * @returns {GeneticAlgorithm} The restored genetic algorithm.
+     * @throws {FormatError} If `json` is not a valid snapshot.
+     */
+    static fromJSON(world, json, options = {}) {
+        expectFields(json, {config: 'object'}, 'snapshot');
+
+        const geneticAlgorithm = new GeneticAlgorithm(world, Object.assign({}, json.config, options));
+        geneticAlgorithm.restore(json);
+
+        return geneticAlgorithm;
+    }
+
+    /**
+     * Restore the state of the genetic algorithm, but not its configuration, from a snapshot made by `toJSON()`.
+     * The creatures of the current generation replace any creatures that are being evaluated.
+     *
+     * @param json The snapshot.
+     * @throws {FormatError} If `json` is not a valid snapshot. The genetic algorithm is left unchanged.
+     */
+    restore(json) {
+        expectFields(json, {version: 'integer'}, 'snapshot');
+
+        if (json.version < 1 || json.version > SNAPSHOT_FORMAT_VERSION) {
+            throw new FormatError(`unsupported version ${json.version} (expected at most ${SNAPSHOT_FORMAT_VERSION})`,
+                'snapshot.version');
+        }
+
+        expectFields(json, {
+            generation: 'integer',
+            timeStep: 'integer',
+            population: 'array',
+            generationResults: 'object',
+            species: 'array',
+            nextSpeciesId: 'integer'
+        }, 'snapshot');
+
+        const population = json.population.map((genome, i) =>
+            CreatureGenome.fromJSON(genome, `snapshot.population[${i}]`));
+        const species = json.species.map((species, i) => Species.fromJSON(species, `snapshot.species[${i}]`));
+        // Snapshots made before genomes could be injected have no injected elites.
+        const injectedElites = json.hasOwnProperty('injectedElites') ? json.injectedElites : [];
+
+        expectType(injectedElites, 'array', 'snapshot.injectedElites');
+        injectedElites.forEach((i, j) => expectType(i, 'integer', `snapshot.injectedElites[${j}]`));
+        // Snapshots made before creatures were named have no name registry, so the names in the population are kept
+        // from being given out again instead. The genomes in these snapshots have placeholder names, so they are named
+        // as the founders of new lineages.
+        const names = new NameRegistry();
+
+        if (json.hasOwnProperty('names')) {
+            names.loadJSON(json.names, 'snapshot.names');
+        } else {
+            population.filter(genome => !genome.name.isPlaceholder).forEach(genome => names.reserve(genome.name));
+        }
+
+        for (const genome of population.filter(genome => genome.name.isPlaceholder)) {
+            genome.name = names.adopt(genome.name);
+        }
+
+        // Version 1 snapshots were made before the random number generator was seedable, so the generator that the
+        // genetic algorithm was created with is kept.
+        const rng = json.version >= 2 ? Random.fromJSON(json.rng, 'snapshot.rng') : this.rng;
+
+        // These are done last since they are the only steps that change shared state.
+        innovationTracker.loadJSON(json.innovationTracker, 'snapshot.innovationTracker');
+        nameRegistry.loadJSON(names.toJSON());
+
+        this.generation = json.generation;
+        this.timeStep = json.timeStep;
+        this.population = population;
+        this.generationResults = JSON.parse(JSON.stringify(json.generationResults));
+        this.species = species;
+        this.nextSpeciesId = json.nextSpeciesId;
+        this.injectedElites = injectedElites.filter(i => i < population.length);
+        this.rng = rng;
+
+        this.addCreatures();
+        this.currEvaluationStep = 0;
+
+        console.info(`${GeneticAlgorithm.logPrefix} Restored generation ${this.generation}`);
+    }
+
     /**
      * Reset the genetic algorithm.
      */
@@ -151,21 +497,56 @@ export class GeneticAlgorithm {
         this.timeStep = 0;
 
         this.population = [];
+        innovationTracker.reset();
+        nameRegistry.reset();
+        this.rng = new Random(this.rng.seed);
+        console.info(`${GeneticAlgorithm.logPrefix} Seed: ${this.rng.seed}`);
 
         for (let i = 0; i < this.populationSize; i++) {
-            this.population.push(CreatureGenome.createRandom(this.maxGenotypesPerCreature));
+            this.population.push(CreatureGenome.createRandom(this.initialGenotypesPerCreature,
+                this.controllerType === 'neural', this.rng));
         }
 
-        // TODO: Make sure this doesn't cause any strange behaviour with `this.currEvaluationStartTime` and the engine timestamp.
-        this.nextGeneration(this.currEvaluationStartTime);
+        // The random genomes have not been evaluated yet, so they are all treated as equally fit.
+        this.species = [];
+        this.nextSpeciesId = 0;
+        const fitness = this.population.map(() => 0);
+
+        this.generationResults = Object.assign({}, this.generationResults, {
+            fitness: fitness,
+            objectives: [],
+            paretoRank: [],
+            paretoFront: [],
+            topN: [],
+            species: this.speciate(fitness, this.populationSize)
+        });
+
+        this.nextGeneration();
     }
 
     /**
      * Score the population and print a summary.
+     * @param objectiveScores The score of each genome in the population in each objective. Defaults to scoring the
+     *                        creatures in the world. In single-objective mode there is one score per genome: its
+     *                        fitness.
      * @returns {*} A dictionary of the results for the generation.
      */
-    evaluate() {
-        let fitnessScores = [];
+    evaluate(objectiveScores = this.scoreCreatures()) {
+        // Species stagnate when they stop improving in the first objective, since Pareto ranks are only relative to the
+        // rest of the generation.
+        const progress = objectiveScores.map(scores => scores[0]);
+        let fitnessScores = progress;
+        let paretoRanks = [];
+        let paretoFront = [];
+
+        if (this.objectives !== null) {
+            const {fronts, rank, score} = paretoRank(objectiveScores);
+
+            fitnessScores = score;
+            paretoRanks = rank;
+            paretoFront = [...fronts[0]].sort((a, b) => objectiveScores[a][0] - objectiveScores[b][0]);
+        }
+
         let sum = 0;
         let minFitness = Infinity;
         let argmin = -1;
@@ -173,28 +554,35 @@ export class GeneticAlgorithm {
         let argmax = -1;
         let topN = [];
 
-        for (let i = 0; i < this.creatures.length; i++) {
-            const fitness = this.creatures[i].getDisplacement();
+        // Crowded-comparison scores mean nothing outside of the generation, so the first objective is summarised.
+        for (let i = 0; i < progress.length; i++) {
+            const score = progress[i];
 
-            fitnessScores.push(fitness);
-            sum += fitness;
+            sum += score;
 
-            if (fitness < minFitness) {
-                minFitness = fitness;
+            if (score < minFitness) {
+                minFitness = score;
                 argmin = i;
             }
 
-            if (fitness > maxFitness) {
-                maxFitness = fitness;
+            if (score > maxFitness) {
+                maxFitness = score;
                 argmax = i;
             }
 
             this.updateTopN(topN, i, fitnessScores);
         }
 
-        let meanFitness = sum / this.creatures.length;
+        // Genomes injected as elites survive however they did.
+        for (const i of this.injectedElites) {
+            if (!topN.includes(i) && topN.length < this.populationSize) {
+                topN.push(i);
+            }
+        }
+
+        let meanFitness = sum / progress.length;
 
-        const sorted = [...fitnessScores].sort();
+        const sorted = [...progress].sort((a, b) => a - b);
         let medianFitness;
 
         if (sorted.length % 2 === 0) {
@@ -213,20 +601,48 @@ export class GeneticAlgorithm {
             argmin: argmin,
             argmax: argmax,
             fitness: fitnessScores,
-            topN: topN
+            topN: topN,
+            species: this.speciate(fitnessScores, this.populationSize - topN.length, progress),
+            objectives: this.objectives !== null ? objectiveScores : [],
+            paretoRank: paretoRanks,
+            paretoFront: paretoFront
         };
 
+        const statistic = this.objectives !== null ? 'First Objective' : 'Fitness';
+
         console.log(`${GeneticAlgorithm.logPrefix} Generation ${this.generation} Summary:`);
-        console.log(`${GeneticAlgorithm.logPrefix} Min. Fitness: ${generationResults.fitness[argmin].toFixed(1)} -`,
-            `Median Fitness: ${medianFitness.toFixed(1)} -`,
-            `Max. Fitness ${generationResults.fitness[argmax].toFixed(1)}`);
-        // TODO: Replace the below with names.
-        console.log(`${GeneticAlgorithm.logPrefix} Blame: `, this.population[argmin],
-            ' - Praise: ', this.population[argmax]);
+        console.log(`${GeneticAlgorithm.logPrefix} Min. ${statistic}: ${minFitness.toFixed(1)} -`,
+            `Median ${statistic}: ${medianFitness.toFixed(1)} -`,
+            `Max. ${statistic} ${maxFitness.toFixed(1)}`);
+        console.log(`${GeneticAlgorithm.logPrefix} Species: ${this.species.length}`,
+            `(${generationResults.species.length - this.species.length} removed for stagnating) -`,
+            `Compatibility Threshold: ${this.compatibilityThreshold.toFixed(3)}`);
+
+        if (this.objectives !== null) {
+            console.log(`${GeneticAlgorithm.logPrefix} Pareto Front: ${paretoFront.length} genomes`);
+        }
+
+        const describe = genome => `${genome.name} (${genome.scientificName})`;
+
+        console.log(`${GeneticAlgorithm.logPrefix} Blame: ${describe(this.population[argmin])} -`,
+            `Praise: ${describe(this.population[argmax])}`);
 
         return generationResults;
     }
 
+    /**
+     * Score the creatures in the world in each objective.
+     * This records the final state of the creatures, so it should only be called once at the end of the evaluation.
+     * @returns {[[number]]} The scores of each creature in the same order as `creatures`.
+     */
+    scoreCreatures() {
+        return this.fitnessTrackers.map(tracker => {
+            tracker.record();
+
+            return this.objectiveFunction(tracker);
+        });
+    }
+
     /**
      * Update the top n genomes for the generation just gone.
      * @param topN The list containing the indices pointing to the top n scores in the fitness scores.
@@ -261,9 +677,8 @@ export class GeneticAlgorithm {
 
     /**
      * Clean up the current generation and create the next generation.
-     * @param timestamp The time in milliseconds since the physics engine was started.
      */
-    nextGeneration(timestamp) {
+    nextGeneration() {
         // Elitism: copy over the top n.
         let newPopulation = [];
 
@@ -271,36 +686,36 @@ export class GeneticAlgorithm {
             newPopulation.push(this.population[i].copy());
         }
 
-        while (newPopulation.length < this.populationSize) {
-            // Selection
-            // The first individual.
-            let i1 = this.select();
+        // Each species breeds its share of the next generation amongst itself.
+        for (const species of this.species) {
+            for (let k = 0; k < species.offspring; k++) {
+                // Selection
+                // The first individual.
+                let i1 = this.select(species.members);
 
-            // The second individual.
-            let i2 = this.select();
+                // The second individual.
+                let i2 = this.select(species.members);
 
-            // Crossover
-            newPopulation.push(CreatureGenome.breed(this.population[i1], this.population[i2]));
-        }
+                // Crossover
+                // The fitter parent goes first since it is the one that passes on its disjoint and excess genes.
+                const fitness1 = this.generationResults.fitness[i1];
+                const fitness2 = this.generationResults.fitness[i2];
 
-        this.population = newPopulation;
+                if (fitness2 > fitness1) {
+                    [i1, i2] = [i2, i1];
+                }
 
-        // Remove previous generation.
-        while (this.creatures.length > 0) {
-            World.remove(this.world, this.creatures.pop().phenome);
+                newPopulation.push(CreatureGenome.breed(this.population[i1], this.population[i2],
+                    fitness1 === fitness2, this.maxGenotypesPerCreature, this.rng));
+            }
         }
 
-        const {x, y} = this.startingPosition;
-
-        // Populate world with new generation
-        for (const genome of this.population) {
-            const creature = new Creature(genome, x, y);
-            this.creatures.push(creature);
-            World.add(this.world, creature.phenome);
-        }
+        this.population = newPopulation;
+        this.injectedElites = [];
+        this.addCreatures();
 
         this.generation++;
-        this.currEvaluationStartTime = timestamp;
+        this.currEvaluationStep = 0;
         console.info(`${GeneticAlgorithm.logPrefix} Starting generation ${this.generation}`);
 
         // This ugly line of code counts how many genotypes are disabled per genome in the population.
@@ -313,17 +728,291 @@ export class GeneticAlgorithm {
             `(${proportionDisabled.toFixed(2)}% of ${numGenotypes})`);
     }
 
+    /**
+     * Remove the creatures of the previous generation from the world and add creatures for the current population.
+     */
+    addCreatures() {
+        this.removeCreatures();
+
+        if (this.world === null) {
+            return;
+        }
+
+        const {x, y} = this.startingPosition;
+
+        // Populate world with new generation
+        for (const genome of this.population) {
+            const creature = new Creature(genome, x, y, this.energyBudget);
+            this.creatures.push(creature);
+            this.fitnessTrackers.push(new FitnessTracker(creature, this.stepSize,
+                this.stage !== null ? this.stage.finish : null));
+            World.add(this.world, creature.phenome);
+        }
+    }
+
+    /**
+     * Move the creatures to another world.
+     * @param world The Matter.World instance to add the creatures to, or null to stop simulating the creatures in the
+     *              genetic algorithm, e.g. because they will be evaluated by a `WorkerPool` instead.
+     */
+    setWorld(world) {
+        this.removeCreatures();
+        this.world = world;
+        this.addCreatures();
+        this.currEvaluationStep = 0;
+    }
+
+    /**
+     * Evaluate the creatures on a different stage from now on.
+     * The world is not changed, so the caller should build a world with the new stage and pass it to `setWorld()`,
+     * which also restarts the evaluation of the current generation.
+     *
+     * @param stage The new stage. The creatures are spawned in at its start.
+     * @throws {FormatError} If `stage` is not a valid stage.
+     */
+    setStage(stage) {
+        this.stage = loadStage(stage);
+        this.startingPosition = Object.assign({}, this.stage.start);
+    }
+
+    /**
+     * Add genomes from outside of the run to the current generation, e.g. creatures designed by the user or saved from
+     * another run. The evaluation of the current generation starts again so that the new genomes are evaluated
+     * alongside the others.
+     *
+     * Node IDs and innovation numbers only mean something within the run that made them, so the genomes are given new
+     * ones unless `keepIds` is true, which should only be used for genomes that come from this run. Genomes that are
+     * given new IDs lose their brain: in neural mode they are given a new random brain instead.
+     *
+     * @param genomes The genomes to add. These are not modified.
+     * @param options {{mode: string?, isElite: boolean?, keepIds: boolean?}} `mode` is either `'insert'` to add the
+     *     genomes to the population, `'replace'` to replace the last genomes in the population with them or `'seed'`
+     *     to replace the whole population with the genomes and mutated copies of them. If `isElite` is true, the
+     *     genomes are copied over to the next generation however well they do, like the fittest genomes are.
+     * @returns {[number]} The indices of the added genomes in the population.
+     * @throws {Error} If `mode` is not recognised or there are no genomes.
+     */
+    injectGenomes(genomes, options = {}) {
+        const defaults = {
+            mode: 'insert',
+            isElite: false,
+            keepIds: false
+        };
+
+        options = Object.assign({}, defaults, options);
+
+        if (genomes.length === 0) {
+            throw new Error('expected at least one genome to inject');
+        }
+
+        genomes = genomes.map((genome, i) => {
+            const injected = options.keepIds ? genome.copy() : this.adoptGenome(genome, i);
+
+            // Names given outside of the run, e.g. by the user, may already be taken.
+            injected.name = nameRegistry.adopt(genome.name);
+
+            return injected;
+        });
+
+        let indices;
+
+        switch (options.mode) {
+            case 'insert':
+                indices = genomes.map((genome, i) => this.population.length + i);
+                this.population.push(...genomes);
+                break;
+            case 'replace': {
+                const start = Math.max(0, this.population.length - genomes.length);
+
+                indices = genomes.map((genome, i) => start + i);
+                this.population.splice(start, this.population.length - start, ...genomes);
+                this.injectedElites = this.injectedElites.filter(i => i < start);
+                break;
+            }
+            case 'seed':
+                indices = genomes.map((genome, i) => i);
+                this.population = [...genomes];
+                this.injectedElites = [];
+
+                while (this.population.length < this.populationSize) {
+                    const parent = genomes[this.population.length % genomes.length];
+                    let child = parent.copy();
+
+                    child.name = nameRegistry.createChildName(parent.name);
+                    child.mutate(this.maxGenotypesPerCreature, this.rng);
+                    this.population.push(child);
+                }
+                break;
+            default:
+                throw new Error(`unknown mode '${options.mode}' (expected one of insert, replace, seed)`);
+        }
+
+        if (options.isElite) {
+            this.injectedElites.push(...indices);
+        }
+
+        this.addCreatures();
+        this.currEvaluationStep = 0;
+
+        console.info(`${GeneticAlgorithm.logPrefix} Injected ${genomes.length} genome(s) into generation`,
+            `${this.generation} (${options.mode}${options.isElite ? ', as elites' : ''})`);
+
+        return indices;
+    }
+
+    /**
+     * Copy a genome from outside of the run, giving its nodes and muscles IDs and innovation numbers from this run.
+     *
+     * @param genome The genome.
+     * @param i Where the genome is in the batch of genomes being injected. Genomes in different positions or
+     *          generations get different node IDs.
+     * @returns {CreatureGenome} The copy.
+     */
+    adoptGenome(genome, i) {
+        const nodeIds = new Map(genome.nodeGenotypes.map(nodeGenotype =>
+            [nodeGenotype.id, innovationTracker.getNodeId(`injected-${this.generation}-${i}-${nodeGenotype.id}`)]));
+
+        const nodeGenotypes = genome.nodeGenotypes.map(nodeGenotype =>
+            new NodeGenotype(Object.assign(nodeGenotype.toJSON(), {id: nodeIds.get(nodeGenotype.id)})));
+        const muscleGenotypes = genome.muscleGenotypes.map(muscleGenotype =>
+            new MuscleGenotype(Object.assign(muscleGenotype.toJSON(), {
+                bodyA: nodeIds.get(muscleGenotype.bodyA),
+                bodyB: nodeIds.get(muscleGenotype.bodyB),
+                innovation: undefined
+            })));
+
+        let adopted = new CreatureGenome(nodeGenotypes, muscleGenotypes, null, genome.name.copy());
+
+        if (this.controllerType === 'neural') {
+            adopted.brainGenome = BrainGenome.createRandom(adopted, this.rng);
+        }
+
+        return adopted;
+    }
+
+    /**
+     * Remove all of the creatures from the world.
+     */
+    removeCreatures() {
+        this.fitnessTrackers = [];
+
+        while (this.creatures.length > 0) {
+            World.remove(this.world, this.creatures.pop().phenome);
+        }
+    }
+
+    /**
+     * Divide the population into species and decide how many offspring each species gets.
+     *
+     * Each genome is put into the first species whose representative it is compatible with, or a new species if there
+     * is none. Species that end up with no members die out and species that have stagnated are removed.
+     * The remaining species are allocated offspring in proportion to the sum of their members' shared fitness.
+     * The compatibility threshold is then adjusted towards `targetSpeciesCount` for the next generation.
+     *
+     * @param fitness The fitness scores of the current population.
+     * @param nOffspring How many offspring to allocate between the species.
+     * @param progress The scores that decide whether each species is still improving.
+     * @returns {[Object]} A summary of each species, including those that were removed for stagnating.
+     * @see Species.getStats
+     */
+    speciate(fitness, nOffspring, progress = fitness) {
+        for (const species of this.species) {
+            species.members = [];
+        }
+
+        for (let i = 0; i < this.population.length; i++) {
+            const genome = this.population[i];
+            let species = this.species.find(existing =>
+                CreatureGenome.compatibilityDistance(genome, existing.representative, this.compatibilityCoefficients) <
+                this.compatibilityThreshold);
+
+            if (species === undefined) {
+                species = new Species(this.nextSpeciesId++, genome);
+                this.species.push(species);
+            }
+
+            species.members.push(i);
+        }
+
+        // Species that no genome belongs to anymore have died out.
+        const allSpecies = this.species.filter(species => species.members.length > 0);
+        const baseline = Math.min(...fitness);
+
+        for (const species of allSpecies) {
+            species.update(this.population, fitness, baseline, this.rng, progress);
+            species.offspring = 0;
+        }
+
+        const best = fitness.indexOf(Math.max(...fitness));
+
+        this.species = allSpecies.filter(species =>
+            species.stagnation < this.stagnationLimit || species.members.includes(best));
+
+        this.allocateOffspring(nOffspring);
+        this.adjustCompatibilityThreshold(allSpecies.length);
+
+        return allSpecies.map(species => species.getStats(fitness));
+    }
+
+    /**
+     * Raise or lower the compatibility threshold so that the population is divided into about `targetSpeciesCount`
+     * species.
+     * @param numSpecies How many species the population was divided into this generation.
+     */
+    adjustCompatibilityThreshold(numSpecies) {
+        if (this.targetSpeciesCount === null || numSpecies === this.targetSpeciesCount) {
+            return;
+        }
+
+        if (numSpecies < this.targetSpeciesCount) {
+            this.compatibilityThreshold *= 1 - this.thresholdAdjustment;
+        } else {
+            this.compatibilityThreshold *= 1 + this.thresholdAdjustment;
+        }
+    }
+
+    /**
+     * Allocate offspring to each species in proportion to its adjusted (shared) fitness.
+     * If no species has any adjusted fitness (e.g. every genome is equally fit) offspring are allocated in proportion
+     * to the size of each species instead.
+     *
+     * @param nOffspring How many offspring to allocate in total.
+     */
+    allocateOffspring(nOffspring) {
+        const totalAdjustedFitness = this.species.reduce((sum, species) => sum + species.adjustedFitness, 0);
+        const totalSize = this.species.reduce((sum, species) => sum + species.members.length, 0);
+
+        const quotas = this.species.map(species => nOffspring * (totalAdjustedFitness > 0 ?
+            species.adjustedFitness / totalAdjustedFitness : species.members.length / totalSize));
+
+        for (let i = 0; i < this.species.length; i++) {
+            this.species[i].offspring = Math.floor(quotas[i]);
+        }
+
+        // Hand out the offspring lost to rounding down to the species that lost the most.
+        const nAllocated = this.species.reduce((sum, species) => sum + species.offspring, 0);
+        const byRemainder = quotas.map((quota, i) => i)
+            .sort((a, b) => (quotas[b] - Math.floor(quotas[b])) - (quotas[a] - Math.floor(quotas[a])));
+
+        for (let j = 0; j < nOffspring - nAllocated; j++) {
+            this.species[byRemainder[j % byRemainder.length]].offspring++;
+        }
+    }
+
     /**
      * Select a genome for breeding.
+     * In multi-objective mode the fitness scores follow the crowded-comparison operator, so this is the crowded
+     * tournament selection of NSGA-II.
+     * @param candidates The indices of the genomes to select from, e.g. the members of a species.
      * @returns {number} The index of the selected genome.
      */
-    select() {
+    select(candidates) {
         // Tournament selection
-        let i = randomInt(0, this.populationSize);
+        let i = randomChoice(candidates, this.rng);
 
         // Let the games begin!
         for (let j = 0; j < this.tournamentSize; j++) {
-            const rand_i = randomInt(0, this.populationSize);
+            const rand_i = randomChoice(candidates, this.rng);
             // Winner takes all
             if (this.generationResults.fitness[rand_i] > this.generationResults.fitness[i]) {
                 i = rand_i;
@@ -334,29 +1023,60 @@ export class GeneticAlgorithm {
     }
 
     /**
-     * Perform the update step for the algorithm.
-     * @param timestamp The time in milliseconds since the physics engine was started.
+     * Finish the current generation with the given results and start the next generation.
+     * @param generationResults The results of evaluating the current generation.
+     * @see GeneticAlgorithm.evaluate
      */
-    update(timestamp) {
-        if (timestamp - this.currEvaluationStartTime >= this.evaluationTime) {
-            this.generationResults = this.evaluate();
-            console.info(`${GeneticAlgorithm.logPrefix} End of generation ${this.generation}`);
+    endGeneration(generationResults) {
+        this.generationResults = generationResults;
+        console.info(`${GeneticAlgorithm.logPrefix} End of generation ${this.generation}`);
 
-            if (this.onGenerationEnd !== null) {
-                this.onGenerationEnd();
-            }
+        if (this.onGenerationEnd !== null) {
+            this.onGenerationEnd();
+        }
 
-            this.nextGeneration(timestamp);
+        this.nextGeneration();
 
-            if (this.onGenerationStart !== null) {
-                this.onGenerationStart();
-            }
+        if (this.onGenerationStart !== null) {
+            this.onGenerationStart();
+        }
+    }
+
+    /**
+     * Evaluate the current generation with a pool of workers and then start the next generation.
+     * This replaces calling `update()` every physics step; the genetic algorithm should not have a world.
+     *
+     * @param pool The pool of workers to evaluate the creatures with.
+     * @returns {Promise} A promise that resolves once the next generation has started.
+     */
+    evaluateWith(pool) {
+        const genomes = this.population.map(genome => genome.toJSON());
+
+        return pool.evaluate(genomes, this.getEvaluationSettings()).then(objectiveScores => {
+            this.timeStep += this.evaluationSteps;
+            this.endGeneration(this.evaluate(objectiveScores));
+        });
+    }
+
+    /**
+     * Perform the update step for the algorithm.
+     * This should be called exactly once before each physics step, and the engine should then be updated with a delta
+     * of `stepSize`, e.g. `Engine.update(engine, geneticAlgorithm.stepSize)`.
+     */
+    update() {
+        if (this.currEvaluationStep >= this.evaluationSteps) {
+            this.endGeneration(this.evaluate());
         }
 
-        for (const creature of this.creatures) {
-            creature.update(timestamp);
+        // Creatures are given the simulated time since the start of the generation rather than the engine's timestamp.
+        const time = this.currEvaluationStep * this.stepSize;
+
+        for (let i = 0; i < this.creatures.length; i++) {
+            this.fitnessTrackers[i].record();
+            this.creatures[i].update(time);
         }
 
+        this.currEvaluationStep++;
         this.timeStep++;
     }
 }
\ No newline at end of file
@@ -0,0 +1,356 @@
+import {CreatureName} from "./names";
+
+/**
+ * Keeps a summary of every generation that has finished: its fitness statistics and its best, median and worst
+ * genomes. The whole population is also kept for the most recent generations.
+ */
+export class GenerationHistory {
+    /**
+     * Create a new, empty history.
+     * @param options {{keepPopulations: number?}} `keepPopulations` is how many of the most recent generations to keep
+     *     the whole population of.
+     */
+    constructor(options = {}) {
+        const defaults = {
+            keepPopulations: 5
+        };
+
+        options = Object.assign({}, defaults, options);
+
+        this.keepPopulations = options.keepPopulations;
+        /**
+         * The generations in the history, in order.
+         * `statistic` says what the statistics are of: fitness, or the first objective in multi-objective mode.
+         * @type {[{generation: number, statistic: string, minFitness: number, medianFitness: number,
+         *     meanFitness: number, maxFitness: number, best: {genome: Object, score: number, scores: [number]},
+         *     median: {genome: Object, score: number, scores: [number]},
+         *     worst: {genome: Object, score: number, scores: [number]}, population: [Object]|null,
+         *     settings: Object}]}
+         */
+        this.entries = [];
+    }
+
+    /**
+     * The ways of choosing which creatures of a generation to replay, and their descriptions.
+     * @returns {Object<string, string>}
+     */
+    static get selections() {
+        return {
+            extremes: 'best, median and worst',
+            best: 'best',
+            median: 'median',
+            worst: 'worst',
+            population: 'whole population'
+        };
+    }
+
+    /**
+     * Add a generation that has just finished.
+     * If a run is restored from an earlier snapshot, the generations after the snapshot are forgotten.
+     *
+     * @param generation The generation number.
+     * @param results The results of the generation from `GeneticAlgorithm.evaluate()`.
+     * @param population The serialized genomes that were evaluated.
+     * @param settings The settings that the genomes were evaluated with.
+     */
+    add(generation, results, population, settings) {
+        this.entries = this.entries.filter(entry => entry.generation < generation);
+
+        const isMultiObjective = results.objectives.length > 0;
+        // Creatures are ranked by the same scores that the statistics are of.
+        const summarised = isMultiObjective ? results.objectives.map(scores => scores[0]) : results.fitness;
+        const ranked = summarised.map((score, i) => i).sort((a, b) => summarised[a] - summarised[b]);
+        // The scores in each objective are kept so that replays can be checked against them.
+        const pick = i => ({
+            genome: population[i],
+            score: summarised[i],
+            scores: isMultiObjective ? results.objectives[i] : [results.fitness[i]]
+        });
+        const median = ranked[Math.floor(ranked.length / 2)];
+
+        this.entries.push({
+            generation: generation,
+            statistic: isMultiObjective ? 'first objective' : 'fitness',
+            minFitness: results.minFitness,
+            medianFitness: results.medianFitness,
+            meanFitness: results.meanFitness,
+            maxFitness: results.maxFitness,
+            best: pick(results.argmax),
+            median: pick(median),
+            worst: pick(results.argmin),
+            population: population,
+            settings: settings
+        });
+
+        if (this.entries.length > this.keepPopulations) {
+            this.entries[this.entries.length - 1 - this.keepPopulations].population = null;
+        }
+    }
+
+    /**
+     * Find a generation in the history.
+     * @param generation The generation number.
+     * @returns {Object|null} The entry for the generation, or null if it is not in the history.
+     */
+    get(generation) {
+        const entry = this.entries.find(entry => entry.generation === generation);
+
+        return entry !== undefined ? entry : null;
+    }
+
+    /**
+     * Get some of the genomes of a past generation to replay.
+     * @param generation The generation number.
+     * @param selection Which genomes to get: one of the keys of `GenerationHistory.selections`.
+     * @returns {[Object]} The serialized genomes.
+     * @throws {Error} If the generation is not in the history, `selection` is not recognised or the whole population
+     *     was asked for but is no longer kept.
+     */
+    getGenomes(generation, selection) {
+        const entry = this.get(generation);
+
+        if (entry === null) {
+            throw new Error(`generation ${generation} is not in the history`);
+        }
+
+        switch (selection) {
+            case 'extremes':
+                return [entry.best.genome, entry.median.genome, entry.worst.genome];
+            case 'best':
+            case 'median':
+            case 'worst':
+                return [entry[selection].genome];
+            case 'population':
+                if (entry.population === null) {
+                    throw new Error(`only the last ${this.keepPopulations} whole populations are kept`);
+                }
+
+                return entry.population;
+            default:
+                throw new Error(`unknown selection '${selection}' (expected one of ` +
+                    `${Object.keys(GenerationHistory.selections).join(', ')})`);
+        }
+    }
+}
+
+/**
+ * This class lets the user scrub through the generation history and replay the creatures of a past generation.
+ */
+export class HistoryBrowser {
+    /**
+     * Create a new history browser.
+     * @param history The generation history to browse.
+     * @param options {{onReplay: function([Object], Object)?, onLive: function()?,
+     *     onStepThrough: function(Object, Object, [number], string)?}} `onReplay` is called with the serialized
+     *     genomes and evaluation settings of the creatures the user chose to replay. `onLive` is called when the user
+     *     goes back to watching the running generation. `onStepThrough` is called with the serialized genome,
+     *     evaluation settings and scores of a single creature whose evaluation the user wants to step through, and a
+     *     label for it.
+     */
+    constructor(history, options = {}) {
+        const defaults = {
+            onReplay: null,
+            onLive: null,
+            onStepThrough: null
+        };
+
+        options = Object.assign({}, defaults, options);
+
+        this.history = history;
+        this.onReplay = options.onReplay;
+        this.onLive = options.onLive;
+        this.onStepThrough = options.onStepThrough;
+        /**
+         * The generation being replayed, or null if the running generation is being shown.
+         * @type {number|null}
+         */
+        this.replaying = null;
+
+        this.createControls();
+    }
+
+    /**
+     * Whether a past generation is being replayed.
+     * @returns {boolean}
+     */
+    get isReplaying() {
+        return this.replaying !== null;
+    }
+
+    /**
+     * Create the timeline and the controls for choosing what to replay.
+     */
+    createControls() {
+        const element = document.createElement('div');
+
+        /**
+         * The timeline of the generations in the history.
+         * @type {HTMLInputElement}
+         */
+        this.slider = document.createElement('input');
+        this.slider.type = 'range';
+        this.slider.min = 0;
+        this.slider.max = 0;
+        this.slider.disabled = true;
+        this.slider.oninput = () => this.showSummary();
+        this.slider.onchange = () => {
+            if (this.isReplaying) {
+                this.replay();
+            }
+        };
+
+        this.selection = document.createElement('select');
+
+        for (const [value, text] of Object.entries(GenerationHistory.selections)) {
+            const option = document.createElement('option');
+
+            option.value = value;
+            option.textContent = text;
+            this.selection.append(option);
+        }
+
+        this.selection.onchange = () => {
+            if (this.isReplaying) {
+                this.replay();
+            }
+        };
+
+        const replayButton = document.createElement('button');
+        const stepThroughButton = document.createElement('button');
+        const liveButton = document.createElement('button');
+
+        replayButton.textContent = 'Replay';
+        replayButton.onclick = () => this.replay();
+        stepThroughButton.textContent = 'Step through';
+        stepThroughButton.onclick = () => this.stepThrough();
+        liveButton.textContent = 'Live';
+        liveButton.onclick = () => this.goLive();
+
+        this.summary = document.createElement('span');
+        this.summary.textContent = 'No generations have finished yet.';
+
+        element.append('Generation ', this.slider, ' ', this.selection, replayButton, stepThroughButton, liveButton,
+            ' ', this.summary);
+
+        /**
+         * The panel. This should be added to the page.
+         * @type {HTMLDivElement}
+         */
+        this.element = element;
+    }
+
+    /**
+     * Update the timeline after a generation has been added to the history.
+     */
+    update() {
+        const entries = this.history.entries;
+
+        if (entries.length === 0) {
+            return;
+        }
+
+        // The timeline stays at the end of the history unless the user has moved it.
+        const isAtEnd = this.slider.disabled || Number(this.slider.value) === Number(this.slider.max);
+
+        this.slider.disabled = false;
+        this.slider.min = entries[0].generation;
+        this.slider.max = entries[entries.length - 1].generation;
+
+        if (isAtEnd) {
+            this.slider.value = this.slider.max;
+        }
+
+        this.showSummary();
+    }
+
+    /**
+     * Show the statistics of the generation chosen on the timeline.
+     */
+    showSummary() {
+        const entry = this.history.get(Number(this.slider.value));
+
+        if (entry === null) {
+            return;
+        }
+
+        const status = this.replaying === entry.generation ? ' (replaying)' : '';
+
+        this.summary.textContent = `${entry.generation}: ${entry.statistic} min. ${entry.minFitness.toFixed(1)}, ` +
+            `median ${entry.medianFitness.toFixed(1)}, max. ${entry.maxFitness.toFixed(1)}${status}`;
+    }
+
+    /**
+     * Replay the chosen creatures of the generation chosen on the timeline.
+     */
+    replay() {
+        const generation = Number(this.slider.value);
+        const entry = this.history.get(generation);
+
+        if (entry === null) {
+            return;
+        }
+
+        let genomes;
+
+        try {
+            genomes = this.history.getGenomes(generation, this.selection.value);
+        } catch (error) {
+            window.alert(`Could not replay generation ${generation}: ${error.message}`);
+            return;
+        }
+
+        this.replaying = generation;
+        this.showSummary();
+
+        if (this.onReplay !== null) {
+            this.onReplay(genomes, entry.settings);
+        }
+    }
+
+    /**
+     * Step through the evaluation of the creature chosen in the generation chosen on the timeline.
+     */
+    stepThrough() {
+        const entry = this.history.get(Number(this.slider.value));
+        const selection = this.selection.value;
+
+        if (entry === null) {
+            return;
+        }
+
+        if (!['best', 'median', 'worst'].includes(selection)) {
+            window.alert('Choose the best, median or worst creature to step through its evaluation.');
+            return;
+        }
+
+        if (this.onStepThrough !== null) {
+            const name = CreatureName.fromJSON(entry[selection].genome.name);
+
+            this.onStepThrough(entry[selection].genome, entry.settings, entry[selection].scores,
+                `${name}, ${selection} of generation ${entry.generation}`);
+        }
+    }
+
+    /**
+     * Stop replaying and go back to showing the running generation.
+     */
+    goLive() {
+        if (!this.isReplaying) {
+            return;
+        }
+
+        this.stopReplaying();
+
+        if (this.onLive !== null) {
+            this.onLive();
+        }
+    }
+
+    /**
+     * Stop replaying without asking for the running generation, e.g. because it is about to be shown anyway.
+     */
+    stopReplaying() {
+        this.replaying = null;
+        this.showSummary();
+    }
+}
@@ -0,0 +1,142 @@
+/** Historical markings for genes, as described in the NEAT paper (Stanley & Miikkulainen, 2002). */
+
+import {expectEntries, expectFields} from "./serialization";
+
+/**
+ * Keeps track of the structural innovations that have appeared in a population so that the same structure is always
+ * given the same identifier, no matter which genome it appears in.
+ *
+ * Muscles are identified by an innovation number which is derived from the pair of nodes that they connect.
+ * Nodes are identified by an ID which is derived from a key describing how the node came to be (e.g. `initial-0` for
+ * the first node of a freshly generated genome).
+ * Synapses in a creature's brain are identified by innovation numbers in the same way as muscles. Muscles and synapses
+ * share innovation numbers so that both can be treated as connection genes.
+ */
+export class InnovationTracker {
+    /** Create a new, empty innovation tracker. */
+    constructor() {
+        this.reset();
+    }
+
+    /** Forget all previously seen innovations. */
+    reset() {
+        /**
+         * The innovation number to give to the next new muscle.
+         * @type {number}
+         */
+        this.nextInnovation = 0;
+        /**
+         * The ID to give to the next new node.
+         * @type {number}
+         */
+        this.nextNodeId = 0;
+        /**
+         * The innovation numbers of the muscles seen so far, keyed by the IDs of the nodes they connect.
+         * @type {Map<string, number>}
+         */
+        this.muscleInnovations = new Map();
+        /**
+         * The IDs of the nodes seen so far, keyed by how the node came to be.
+         * @type {Map<string, number>}
+         */
+        this.nodeIds = new Map();
+        /**
+         * The innovation numbers of the synapses seen so far, keyed by the IDs of the neurons they connect.
+         * @type {Map<string, number>}
+         */
+        this.synapseInnovations = new Map();
+    }
+
+    /**
+     * Get the innovation number for a muscle connecting two nodes.
+     * The order of the nodes does not matter.
+     *
+     * @param bodyA The ID of one of the nodes connected by the muscle.
+     * @param bodyB The ID of the other node connected by the muscle.
+     * @returns {number} The innovation number for the muscle.
+     */
+    getMuscleInnovation(bodyA, bodyB) {
+        const key = `${Math.min(bodyA, bodyB)}-${Math.max(bodyA, bodyB)}`;
+
+        if (!this.muscleInnovations.has(key)) {
+            this.muscleInnovations.set(key, this.nextInnovation++);
+        }
+
+        return this.muscleInnovations.get(key);
+    }
+
+    /**
+     * Get the ID for a node.
+     *
+     * @param key A string describing how the node came to be. Nodes that come about in the same way are given the
+     *            same ID.
+     * @returns {number} The ID of the node.
+     */
+    getNodeId(key) {
+        if (!this.nodeIds.has(key)) {
+            this.nodeIds.set(key, this.nextNodeId++);
+        }
+
+        return this.nodeIds.get(key);
+    }
+
+    /**
+     * Get the innovation number for a synapse from one neuron to another.
+     * Unlike muscles, synapses have a direction so the order of the neurons matters.
+     *
+     * @param from The ID of the neuron the synapse carries signals from.
+     * @param to The ID of the neuron the synapse carries signals to.
+     * @returns {number} The innovation number for the synapse.
+     */
+    getSynapseInnovation(from, to) {
+        const key = `${from}>${to}`;
+
+        if (!this.synapseInnovations.has(key)) {
+            this.synapseInnovations.set(key, this.nextInnovation++);
+        }
+
+        return this.synapseInnovations.get(key);
+    }
+
+    /**
+     * Convert the innovations seen so far to a plain object that can be serialized.
+     * @returns {{nextInnovation: number, nextNodeId: number, muscleInnovations: [[string, number]],
+     *     nodeIds: [[string, number]], synapseInnovations: [[string, number]]}} The serialized tracker.
+     */
+    toJSON() {
+        return {
+            nextInnovation: this.nextInnovation,
+            nextNodeId: this.nextNodeId,
+            muscleInnovations: [...this.muscleInnovations],
+            nodeIds: [...this.nodeIds],
+            synapseInnovations: [...this.synapseInnovations]
+        };
+    }
+
+    /**
+     * Replace the innovations seen so far with those from a plain object made by `toJSON()`.
+     * This modifies the tracker in place since genomes share a single tracker.
+     *
+     * @param json The serialized tracker.
+     * @param path Where the tracker is in the data being loaded, used in error messages.
+     * @throws {FormatError} If `json` is not a valid serialized innovation tracker. The tracker is left unchanged.
+     */
+    loadJSON(json, path = 'innovationTracker') {
+        expectFields(json, {nextInnovation: 'integer', nextNodeId: 'integer'}, path);
+        expectEntries(json.muscleInnovations, 'string', 'integer', `${path}.muscleInnovations`);
+        expectEntries(json.nodeIds, 'string', 'integer', `${path}.nodeIds`);
+        expectEntries(json.synapseInnovations, 'string', 'integer', `${path}.synapseInnovations`);
+
+        this.nextInnovation = json.nextInnovation;
+        this.nextNodeId = json.nextNodeId;
+        this.muscleInnovations = new Map(json.muscleInnovations);
+        this.nodeIds = new Map(json.nodeIds);
+        this.synapseInnovations = new Map(json.synapseInnovations);
+    }
+}
+
+/**
+ * The innovation tracker shared by all genomes.
+ * @type {InnovationTracker}
+ */
+export const innovationTracker = new InnovationTracker();
@@ -0,0 +1,212 @@
+/**
+ * This class shows the genome and live state of a creature that the user has clicked on.
+ *
+ * The genome is listed when the creature is inspected since it does not change, while the creature's displacement,
+ * rank and the state of its muscles are refreshed as it moves.
+ */
+export class CreatureInspector {
+    /**
+     * Create a new creature inspector.
+     * @param options {{onClose: function()?}} `onClose` is called when the user closes the inspector.
+     */
+    constructor(options = {}) {
+        const defaults = {
+            onClose: null
+        };
+
+        options = Object.assign({}, defaults, options);
+
+        this.onClose = options.onClose;
+
+        /**
+         * The creature being inspected, or null if there is none.
+         * @type {Creature|null}
+         */
+        this.creature = null;
+        /**
+         * The genome of the creature being inspected, or null if there is none.
+         * @type {CreatureGenome|null}
+         */
+        this.genome = null;
+        /**
+         * When the live state was last shown, in simulated milliseconds.
+         * @type {number}
+         */
+        this.lastRefresh = -Infinity;
+
+        this.createControls();
+    }
+
+    /**
+     * How often to refresh the live state of the creature, in simulated milliseconds.
+     * @returns {number}
+     */
+    static get refreshInterval() {
+        return 100;
+    }
+
+    /**
+     * Create the panel that the creature is shown in. The panel is hidden until a creature is inspected.
+     */
+    createControls() {
+        const element = document.createElement('div');
+        const closeButton = document.createElement('button');
+
+        closeButton.textContent = 'Close';
+        closeButton.onclick = () => this.close();
+
+        this.summary = document.createElement('div');
+        this.state = document.createElement('div');
+        this.nodeTable = document.createElement('table');
+        this.muscleTable = document.createElement('table');
+
+        element.append(closeButton, this.summary, this.state, this.nodeTable, this.muscleTable);
+        element.style.display = 'none';
+
+        /**
+         * The panel. This should be added to the page.
+         * @type {HTMLDivElement}
+         */
+        this.element = element;
+    }
+
+    /**
+     * Whether a creature is being inspected.
+     * @returns {boolean}
+     */
+    get isInspecting() {
+        return this.creature !== null;
+    }
+
+    /**
+     * Show a creature in the panel.
+     * @param creature The creature.
+     * @param genome The genome that the creature was made from.
+     */
+    inspect(creature, genome) {
+        this.creature = creature;
+        this.genome = genome;
+        this.lastRefresh = -Infinity;
+        this.element.style.display = '';
+
+        const brainGenome = genome.brainGenome;
+        const numDisabled = genome.genotypes.filter(genotype => !genotype.isEnabled).length;
+
+        this.summary.textContent = `${genome.name} (${genome.scientificName}): ${genome.nodeGenotypes.length} ` +
+            `nodes and ${genome.muscleGenotypes.length} muscles (${numDisabled} disabled), controlled by ` +
+            (brainGenome !== null ? `a brain with ${brainGenome.neuronGenotypes.length} hidden neurons and ` +
+                `${brainGenome.synapseGenotypes.length} synapses.` : 'timers.');
+
+        CreatureInspector.fillTable(this.nodeTable, ['node', 'size', 'friction', 'frictionStatic', 'enabled'],
+            genome.nodeGenotypes.map(genotype => [genotype.id, genotype.size, genotype.friction,
+                genotype.frictionStatic, genotype.isEnabled]));
+    }
+
+    /**
+     * Stop inspecting the creature and hide the panel.
+     */
+    close() {
+        if (!this.isInspecting) {
+            return;
+        }
+
+        this.creature = null;
+        this.genome = null;
+        this.element.style.display = 'none';
+
+        if (this.onClose !== null) {
+            this.onClose();
+        }
+    }
+
+    /**
+     * Show the current state of the creature being inspected, if it has been long enough since it was last shown.
+     * @param creatures The creatures that the inspected creature is ranked against.
+     * @param timestamp The simulated time in milliseconds, as given to `Creature.update()`.
+     */
+    update(creatures, timestamp) {
+        if (!this.isInspecting || Math.abs(timestamp - this.lastRefresh) < CreatureInspector.refreshInterval) {
+            return;
+        }
+
+        this.lastRefresh = timestamp;
+
+        const displacement = this.creature.getDisplacement();
+        const rank = 1 + creatures.filter(creature => creature.getDisplacement() > displacement).length;
+        const energy = this.creature.energyBudget !== null ?
+            ` - Energy left: ${this.creature.energyLeft.toFixed(1)}` : '';
+
+        this.state.textContent = `Displacement: ${displacement.toFixed(1)} - Rank: ${rank} of ${creatures.length}` +
+            energy;
+
+        // Only enabled muscles are part of the creature, so disabled ones have no state.
+        const states = this.creature.getMuscleStates(timestamp);
+        let i = 0;
+
+        CreatureInspector.fillTable(this.muscleTable,
+            ['muscle', 'nodes', 'stiffness', 'contractedLength', 'extendedLength', 'contractDelay', 'extendDelay',
+                'enabled', 'state', 'next toggle'],
+            this.genome.muscleGenotypes.map(genotype => {
+                const state = genotype.isEnabled ? states[i++] : null;
+
+                return [genotype.innovation, `${genotype.bodyA}-${genotype.bodyB}`, genotype.stiffness,
+                    genotype.contractedLength, genotype.extendedLength, genotype.contractDelay, genotype.extendDelay,
+                    genotype.isEnabled,
+                    state !== null ? CreatureInspector.formatState(state) : '',
+                    state !== null ? CreatureInspector.formatTime(state.timeUntilToggle) : ''];
+            }));
+    }
+
+    /**
+     * Replace the contents of a table.
+     * @param table The table element.
+     * @param headings The column headings.
+     * @param rows The values in each row. Numbers are rounded for display.
+     */
+    static fillTable(table, headings, rows) {
+        const createRow = (cellType, values) => {
+            const row = document.createElement('tr');
+
+            for (const value of values) {
+                const cell = document.createElement(cellType);
+
+                cell.textContent = typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(2) :
+                    String(value);
+                row.append(cell);
+            }
+
+            return row;
+        };
+
+        table.textContent = '';
+        table.append(createRow('th', headings), ...rows.map(values => createRow('td', values)));
+    }
+
+    /**
+     * Format the state of a muscle. Muscles that are controlled by the brain can be anywhere between contracted and
+     * extended, so their length is shown instead.
+     * @param state The state of the muscle from `Creature.getMuscleStates()`.
+     * @returns {string}
+     */
+    static formatState(state) {
+        if (state.timeUntilToggle === null) {
+            return `length ${state.length.toFixed(1)}`;
+        }
+
+        return state.isExtended ? 'extended' : 'contracted';
+    }
+
+    /**
+     * Format how long until a muscle toggles.
+     * @param time The time in milliseconds, which is infinite if the muscle never toggles or null if the muscle is
+     *             controlled by the brain.
+     * @returns {string}
+     */
+    static formatTime(time) {
+        if (time === null) {
+            return 'brain';
+        }
+
+        return Number.isFinite(time) ? `${Math.round(time)} ms` : 'never';
+    }
+}
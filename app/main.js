@@ -1,34 +1,38 @@
-import {Bodies, Engine, Events, Mouse, MouseConstraint, Render, World} from "matter-js";
+import {Events, Mouse, MouseConstraint, Query, Render, Runner, Vector, World} from "matter-js";
 
 import RenderPIXI from "./RenderPIXI";
 import {CameraManager} from "./camera";
-import {Creature} from "./creature";
-import {FINISHED_GENERATION, GET_POPULATION, GET_PROGRESS, QUIT, START, STARTED_GENERATION} from "./messages";
-import {createEngine} from "./utils";
+import {FitnessCharts} from "./charts";
+import {Creature, CreatureGenome} from "./creature";
+import {CreatureDesigner} from "./designer";
+import {StageEditor} from "./editor";
+import {GenerationHistory, HistoryBrowser} from "./history";
+import {EvaluationRecorder} from "./recorder";
+import {ReplayPlayer} from "./replay";
+import {CreatureInspector} from "./inspector";
+import {
+    FINISHED_GENERATION,
+    GET_POPULATION,
+    GET_PROGRESS,
+    INJECT_GENOMES,
+    LOAD_STATE,
+    QUIT,
+    SAVE_STATE,
+    SET_STAGE,
+    SET_TURBO,
+    START,
+    STARTED_GENERATION
+} from "./messages";
+import {buildStage, createFinishLine, standardStages} from "./stage";
+import {createEngine, createFilePicker, downloadBlob} from "./utils";
+import {defaultStage, fps} from "./world";
 
 // The features wishlist roughly in order of descending priority
-// TODO: Name creatures.
-// TODO: Add controls to make camera follow the leader
 // TODO: Add text displaying camera position along x-axis
 // TODO: Show details for best, median and worst performing creatures (text).
-// TODO: Implement NEAT
-// TODO: Add "scientific" names for creatures based on genome
-// TODO: Add controls to navigate between generations (perhaps only store best, median and worst for 
-//  all previous generations except the most recent).
 // TODO: Add signposts indicating distance
-// TODO: Add controls to pan camera to best, median and worst creatures.
-// TODO: Add plots to show how fitness evolves over time.
-// TODO: Allow user to inspect a creature by clicking on it. Show info about its genome.
-// TODO: Change layout of game + plots to be side by side (for large screens).
-// TODO: Add ability to save creatures
-// TODO: Add ability to save state of the genetic algorithm and restore it.
-// TODO: Add controls for restarting genetic algorithm.
 // TODO: Get genetic algorithm running on a server.
-// TODO: Add ability to design own creature and name it.
 // TODO: Allow users to sign in and persist the state of the genetic algorithm and to let run in the background.
-// TODO: Add different 'stages' or 'levels'. E.g. bumpy terrain, terrain with obstacles.
-// TODO: Make the 'environment'/'stage' be easily changeable/configurable.
-// TODO: Add editor for users to make custom stages.
 // TODO: Add leaderboards for best creatures for given standard stages.
 
 export function main() {
@@ -36,7 +40,7 @@ export function main() {
     const viewportHeight = 600;
 
     // TODO: Refactor constants common between main.js and worker.js to a common spot
-    const {engine, worldWidth} = createEngine({
+    const {engine} = createEngine({
         min: {x: -10000, y: 0},
         max: {x: 10000, y: viewportHeight}
     });
@@ -55,6 +59,11 @@ export function main() {
         }
     });
 
+    // The charts are shown next to the simulation.
+    const charts = new FitnessCharts({height: Math.floor(viewportHeight / 3) - 10});
+
+    render.canvas.after(charts.element);
+
     // add mouse control
     const mouse = Mouse.create(render.canvas),
         mouseConstraint = MouseConstraint.create(engine, {
@@ -82,26 +91,75 @@ export function main() {
         });
     }
 
-    const ground = Bodies.rectangle(0, viewportHeight - 30, worldWidth, 60,
-        {
-            isStatic: true,
+    // The worker sends the stage along with each population so that what is shown matches what is evaluated.
+    let ground = [];
+    let currentStage = null;
+
+    function setStage(stage) {
+        if (stage === null) {
+            stage = defaultStage;
+        }
+
+        const stageJSON = JSON.stringify(stage);
+
+        if (stageJSON === currentStage) {
+            return;
+        }
+
+        World.remove(engine.world, ground);
+        ground = buildStage(stage, {
             render: {fillStyle: '#573b0c'} // an earthy brown
         });
 
-    World.add(engine.world, ground);
+        const finishLine = createFinishLine(stage, viewportHeight, {
+            render: {fillStyle: '#ffffff'}
+        });
+
+        if (finishLine !== null) {
+            ground.push(finishLine);
+        }
+
+        World.add(engine.world, ground);
+        engine.world.gravity.x = stage.gravity.x;
+        engine.world.gravity.y = stage.gravity.y;
+
+        currentStage = stageJSON;
+        updateStageSelect();
+    }
 
     let population = [];
     let creatures = [];
+    let populationStartTime = 0;
+    let populationSettings = null;
 
-    function setPopulation(newPopulation) {
+    // The creatures are set up with the same settings that the worker evaluates them with.
+    function setPopulation(newPopulation, settings) {
+        // The population is asked for again once the editor, designer or replay is closed or the user stops replaying.
+        if (editor.isEditing || designer.isEditing || replayPlayer.isOpen || historyBrowser.isReplaying) {
+            return;
+        }
+
+        showPopulation(newPopulation, settings);
+    }
+
+    // Replace the creatures that are shown, e.g. with those of a past generation.
+    function showPopulation(newPopulation, settings) {
         resetView();
 
         for (const creature of creatures) {
             World.remove(engine.world, creature.phenome);
         }
 
-        population = newPopulation;
-        creatures = population.map(genome => new Creature(genome, 0, viewportHeight - 200));
+        // The selected creature is not part of the new population.
+        inspector.close();
+        cameraManager.select(null);
+        population = newPopulation.map(json => CreatureGenome.fromJSON(json));
+        populationStartTime = engine.timing.timestamp;
+        populationSettings = settings;
+        setStage(settings.stage);
+
+        const {x, y} = settings.startingPosition;
+        creatures = population.map(genome => new Creature(genome, x, y, settings.energyBudget));
 
         for (const creature of creatures) {
             World.add(engine.world, creature.phenome);
@@ -109,36 +167,313 @@ export function main() {
     }
 
     Events.on(engine, 'beforeTick', () => {
-        cameraManager.onBeforeUpdate(engine, render, mouseConstraint);
+        cameraManager.onBeforeUpdate(engine, render, mouseConstraint, replayPlayer.isOpen ? replayPlayer.creatures :
+            creatures);
     });
 
     // Make the 'creatures' move to the right... really slowly...
     Events.on(engine, 'beforeUpdate', function (event) {
         for (const creature of creatures) {
-            creature.update(event.timestamp);
+            // Like in the worker, creatures are given the time since the start of their generation.
+            creature.update(event.timestamp - populationStartTime);
         }
+
+        // The replay has its own engine, but it is played back in step with this one.
+        replayPlayer.tick();
     });
 
     Events.on(engine, 'afterUpdate', function () {
         cameraManager.onAfterUpdate(engine, render, mouseConstraint);
+        inspector.update(creatures, engine.timing.timestamp - populationStartTime);
+        recorder.update();
 
-        // TODO: Allow the user to toggle between this and controlling the camera manually. Use spacebar to toggle this?
-        // // Track the leader
-        // const x = Math.max(...creatures.map(creature => creature.getDisplacement()));
-        // Render.lookAt(render, {
-        //     min: {x: -0.5 * viewportWidth + x, y: 0},
-        //     max: {x: 0.5 * viewportWidth + x, y: viewportHeight}
-        // });
+        // Panning with the mouse switches the camera back to manual.
+        if (followLabel.textContent !== getFollowText()) {
+            followLabel.textContent = getFollowText();
+        }
     });
 
-    // run the engine
-    Engine.run(engine);
+    // The camera is switched between following creatures from the keyboard. Space toggles between manual control and
+    // the last follow mode used.
+    const followKeys = {'0': 'manual', '1': 'leader', '2': 'median', '3': 'worst', '4': 'selected'};
+    const followLabel = document.createElement('span');
+    const getFollowText = () => `Camera: ${cameraManager.followMode} (0-4 or space to change, click to select)`;
+    let lastFollowMode = 'leader';
+
+    followLabel.textContent = getFollowText();
+
+    document.addEventListener('keydown', event => {
+        const tagName = event.target.tagName;
+
+        if (editor.isEditing || designer.isEditing || tagName === 'INPUT' || tagName === 'SELECT' ||
+            tagName === 'TEXTAREA') {
+            return;
+        }
+
+        let mode = null;
+
+        if (event.key === ' ') {
+            const hasSelection = cameraManager.selectedCreature !== null;
+
+            mode = cameraManager.followMode !== 'manual' ? 'manual' :
+                lastFollowMode === 'selected' && !hasSelection ? 'leader' : lastFollowMode;
+            event.preventDefault();
+        } else if (followKeys.hasOwnProperty(event.key)) {
+            mode = followKeys[event.key];
+        }
+
+        if (mode === null || (mode === 'selected' && cameraManager.selectedCreature === null)) {
+            return;
+        }
+
+        if (mode !== 'manual') {
+            lastFollowMode = mode;
+        }
+
+        cameraManager.setFollowMode(mode);
+    });
+
+    // Clicking on a creature makes the camera follow it and shows it in the inspector.
+    const inspector = new CreatureInspector({
+        onClose: () => {
+            RenderPIXI.setHighlighted(render, []);
+            cameraManager.select(null);
+        }
+    });
+    let clickStart = null;
+
+    Events.on(mouseConstraint, 'mousedown', event => clickStart = Vector.clone(event.mouse.absolute));
+    Events.on(mouseConstraint, 'mouseup', event => {
+        if (editor.isEditing || designer.isEditing || replayPlayer.isOpen || clickStart === null ||
+            Vector.magnitude(Vector.sub(event.mouse.absolute, clickStart)) > 5) {
+            return;
+        }
+
+        const i = creatures.findIndex(creature => Query.point(creature.nodes, event.mouse.position).length > 0);
+
+        if (i >= 0) {
+            lastFollowMode = 'selected';
+            cameraManager.select(creatures[i]);
+            inspector.inspect(creatures[i], population[i]);
+            RenderPIXI.setHighlighted(render, creatures[i].phenome);
+        }
+    });
+
+    // run the engine with the same fixed step size as the worker so that creatures move the same way
+    Runner.run(Runner.create({isFixed: true, delta: fps}), engine);
 
     // run the renderer
     RenderPIXI.run(render);
 
     let worker = new Worker('worker.js');
 
+    // Controls for the genetic algorithm running in the worker.
+    const controls = document.createElement('div');
+    const saveButton = document.createElement('button');
+    const loadButton = document.createElement('button');
+    const fileInput = createFilePicker((text, file) => {
+        try {
+            worker.postMessage({command: LOAD_STATE, snapshot: JSON.parse(text)});
+        } catch (error) {
+            window.alert(`Could not load ${file.name}: ${error.message}`);
+        }
+    });
+
+    saveButton.textContent = 'Save';
+    saveButton.onclick = () => worker.postMessage({command: SAVE_STATE});
+
+    loadButton.textContent = 'Load';
+    loadButton.onclick = () => fileInput.click();
+
+    // Turbo mode runs the genetic algorithm as fast as possible instead of in real time, on all of the cores.
+    const turboButton = document.createElement('button');
+    let isTurbo = false;
+
+    turboButton.textContent = 'Turbo: off';
+    turboButton.onclick = () => {
+        isTurbo = !isTurbo;
+        turboButton.textContent = `Turbo: ${isTurbo ? 'on' : 'off'}`;
+        worker.postMessage({command: SET_TURBO, turbo: isTurbo});
+    };
+
+    // The stage can be one of the standard stages or loaded from a file.
+    const stageSelect = document.createElement('select');
+    const stageFileInput = createFilePicker((text, file) => {
+        try {
+            worker.postMessage({command: SET_STAGE, stage: JSON.parse(text)});
+        } catch (error) {
+            window.alert(`Could not load ${file.name}: ${error.message}`);
+        }
+    });
+    const customOption = document.createElement('option');
+
+    for (const name of Object.keys(standardStages)) {
+        const option = document.createElement('option');
+
+        option.value = name;
+        option.textContent = `Stage: ${name}`;
+        stageSelect.append(option);
+    }
+
+    customOption.value = '';
+    customOption.textContent = 'Stage: from file...';
+    stageSelect.append(customOption);
+
+    // Show which standard stage is being used, or the custom option if it is none of them.
+    function updateStageSelect() {
+        const name = Object.keys(standardStages)
+            .find(name => JSON.stringify(standardStages[name]) === currentStage);
+
+        stageSelect.value = name !== undefined ? name : '';
+    }
+
+    stageSelect.onchange = () => {
+        if (stageSelect.value === '') {
+            // Keep showing the current stage until the new one has been loaded, in case the user cancels.
+            stageFileInput.click();
+            updateStageSelect();
+        } else {
+            worker.postMessage({command: SET_STAGE, stage: standardStages[stageSelect.value]});
+        }
+    };
+
+    // Past generations can be replayed from the history, which is kept here rather than in the worker. The evaluation
+    // of a single creature can also be stepped through exactly as the worker ran it.
+    const replayPlayer = new ReplayPlayer(render, {
+        onClose: () => {
+            controls.style.display = '';
+            worker.postMessage({command: GET_POPULATION});
+        }
+    });
+    const generationHistory = new GenerationHistory();
+    const historyBrowser = new HistoryBrowser(generationHistory, {
+        onReplay: (genomes, settings) => showPopulation(genomes, settings),
+        onLive: () => worker.postMessage({command: GET_POPULATION}),
+        onStepThrough: (genome, settings, scores, label) => {
+            historyBrowser.stopReplaying();
+            inspector.close();
+            controls.style.display = 'none';
+            resetView();
+            replayPlayer.open(genome, settings, scores, label);
+        }
+    });
+
+    // Recording restarts whichever evaluation is shown, the replay or the population, and stops when it finishes.
+    const recorder = new EvaluationRecorder(render, {
+        onStart: () => {
+            if (replayPlayer.isOpen) {
+                replayPlayer.seek(0);
+                replayPlayer.setPlaying(true);
+
+                return {rulerOrigin: replayPlayer.settings.startingPosition.x};
+            }
+
+            if (populationSettings === null) {
+                return {rulerOrigin: 0};
+            }
+
+            showPopulation(population.map(genome => genome.toJSON()), populationSettings);
+
+            return {rulerOrigin: populationSettings.startingPosition.x};
+        },
+        isFinished: () => {
+            if (replayPlayer.isOpen) {
+                return replayPlayer.evaluation.isFinished;
+            }
+
+            return populationSettings !== null && engine.timing.timestamp - populationStartTime >=
+                populationSettings.evaluationSteps * populationSettings.stepSize;
+        },
+        getInfo: () => {
+            if (replayPlayer.isOpen) {
+                return {
+                    name: replayPlayer.label,
+                    fitness: replayPlayer.measured !== null ? replayPlayer.measured[0] : null
+                };
+            }
+
+            // Creatures in the population have not been scored yet.
+            return {
+                name: inspector.isInspecting ? `${inspector.creature.name} (${inspector.creature.scientificName})` :
+                    `${creatures.length} creatures`,
+                fitness: null
+            };
+        }
+    });
+
+    // The stage editor takes over the view while it is open.
+    const editButton = document.createElement('button');
+    const editor = new StageEditor(engine, mouseConstraint, {
+        height: viewportHeight,
+        onClose: stage => {
+            World.add(engine.world, ground);
+            controls.style.display = '';
+
+            if (stage !== null) {
+                worker.postMessage({command: SET_STAGE, stage: stage});
+            } else {
+                worker.postMessage({command: GET_POPULATION});
+            }
+        }
+    });
+
+    editButton.textContent = 'Edit stage';
+    editButton.onclick = () => {
+        // The stage that is shown is not known until the first population arrives.
+        if (currentStage === null) {
+            return;
+        }
+
+        historyBrowser.goLive();
+        inspector.close();
+        World.remove(engine.world, [].concat(ground, ...creatures.map(creature => creature.phenome)));
+        creatures = [];
+        controls.style.display = 'none';
+        editor.open(JSON.parse(currentStage));
+    };
+
+    // The creature designer shows the design where the creatures start and test runs it on its own or adds it to the
+    // running population.
+    const designButton = document.createElement('button');
+    let designedGenome = null;
+    const designer = new CreatureDesigner(engine, mouseConstraint, {
+        onClose: genome => {
+            controls.style.display = '';
+
+            if (genome !== null) {
+                designedGenome = genome;
+                setPopulation([genome.toJSON()], populationSettings);
+            } else {
+                worker.postMessage({command: GET_POPULATION});
+            }
+        },
+        onInject: (genome, {mode, isElite}) => {
+            controls.style.display = '';
+            designedGenome = genome;
+            worker.postMessage({command: INJECT_GENOMES, genomes: [genome.toJSON()], mode: mode, isElite: isElite});
+        }
+    });
+
+    designButton.textContent = 'Design creature';
+    designButton.onclick = () => {
+        // The design is shown where the creatures start, which is not known until the first population arrives.
+        if (populationSettings === null) {
+            return;
+        }
+
+        inspector.close();
+        historyBrowser.goLive();
+        World.remove(engine.world, [].concat(...creatures.map(creature => creature.phenome)));
+        creatures = [];
+        controls.style.display = 'none';
+        designer.open(populationSettings.startingPosition, designedGenome);
+    };
+
+    controls.append(saveButton, loadButton, fileInput, turboButton, stageSelect, stageFileInput, editButton,
+        designButton, followLabel, historyBrowser.element);
+    document.body.append(controls, editor.element, designer.element, inspector.element, replayPlayer.element,
+        recorder.element);
+
     worker.onmessage = (message) => {
         if (message.data.hasOwnProperty('command')) {
             const messagePrefix = `[${new Date().toLocaleString()}][Main]`;
@@ -149,7 +484,7 @@ export function main() {
                     break;
                 case GET_POPULATION:
                     console.info(messagePrefix, 'Received GET_POPULATION message');
-                    setPopulation(message.data.population);
+                    setPopulation(message.data.population, message.data.settings);
                     break;
                 case GET_PROGRESS:
                     console.info(messagePrefix, 'Received GET_PROGRESS message');
@@ -157,11 +492,55 @@ export function main() {
                 case STARTED_GENERATION:
                     console.info(messagePrefix, 'Received STARTED_GENERATION message ');
                     if (message.data.generation % 10 === 0) {
-                        setPopulation(message.data.population);
+                        setPopulation(message.data.population, message.data.settings);
                     }
                     break;
                 case FINISHED_GENERATION:
                     console.info(messagePrefix, 'Received FINISHED_GENERATION message');
+                    charts.addGeneration(message.data.generation, message.data.results,
+                        message.data.population.map(json => CreatureGenome.fromJSON(json)));
+                    generationHistory.add(message.data.generation, message.data.results, message.data.population,
+                        message.data.settings);
+                    historyBrowser.update();
+                    break;
+                case SAVE_STATE:
+                    console.info(messagePrefix, 'Received SAVE_STATE message');
+                    downloadBlob(new Blob([JSON.stringify(message.data.snapshot)], {type: 'application/json'}),
+                        `evolution-generation-${message.data.generation}.json`);
+                    break;
+                case LOAD_STATE:
+                    console.info(messagePrefix, 'Received LOAD_STATE message');
+
+                    if (message.data.hasOwnProperty('error')) {
+                        window.alert(`Could not load the snapshot: ${message.data.error}`);
+                    } else {
+                        historyBrowser.stopReplaying();
+                        setPopulation(message.data.population, message.data.settings);
+                    }
+                    break;
+                case SET_STAGE:
+                    console.info(messagePrefix, 'Received SET_STAGE message');
+
+                    if (message.data.hasOwnProperty('error')) {
+                        window.alert(`Could not change the stage: ${message.data.error}`);
+                        updateStageSelect();
+                        // The creatures are not shown after using a stage from the editor that turned out invalid.
+                        worker.postMessage({command: GET_POPULATION});
+                    } else {
+                        historyBrowser.stopReplaying();
+                        setPopulation(message.data.population, message.data.settings);
+                    }
+                    break;
+                case INJECT_GENOMES:
+                    console.info(messagePrefix, 'Received INJECT_GENOMES message');
+
+                    if (message.data.hasOwnProperty('error')) {
+                        window.alert(`Could not add the creature to the population: ${message.data.error}`);
+                        worker.postMessage({command: GET_POPULATION});
+                    } else {
+                        historyBrowser.stopReplaying();
+                        setPopulation(message.data.population, message.data.settings);
+                    }
                     break;
                 default:
                     console.warn(`${messagePrefix} Unrecognised message: ${message.data.command}`);
@@ -169,7 +548,10 @@ export function main() {
         }
     };
 
-    worker.postMessage({command: START});
+    // Leave one core for this thread and the genetic algorithm's worker. The workers are only used in turbo mode.
+    const numEvaluationWorkers = Math.max(1, (navigator.hardwareConcurrency || 1) - 1);
+
+    worker.postMessage({command: START, numWorkers: numEvaluationWorkers});
     worker.postMessage({command: GET_POPULATION});
     window.onclose = () => worker.postMessage({command: QUIT});
 }
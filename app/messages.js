@@ -14,4 +14,31 @@ export const GET_PROGRESS = 0x0004;
 /** Message indicating a new generation was started in the genetic algorithm. */
 export const STARTED_GENERATION = 0x0005;
 /** Message indicating a new generation was just finished in the genetic algorithm. */
-export const FINISHED_GENERATION = 0x0006;
\ No newline at end of file
+export const FINISHED_GENERATION = 0x0006;
+/** Message representing a request for a snapshot of the genetic algorithm that can be saved to a file. */
+export const SAVE_STATE = 0x0007;
+/**
+ * Message representing a request to replace the genetic algorithm with one restored from a snapshot. The reply contains
+ * either the restored population or an error message.
+ */
+export const LOAD_STATE = 0x0008;
+/**
+ * Message indicating whether the worker should run in turbo mode, i.e. step the simulation as fast as possible instead
+ * of in real time.
+ */
+export const SET_TURBO = 0x0009;
+/**
+ * Message representing a request for an evaluation worker to simulate some creatures. The reply contains either the
+ * fitness of each creature or an error message.
+ */
+export const EVALUATE = 0x000A;
+/**
+ * Message representing a request to evaluate the population on a different stage. The reply contains either the new
+ * population or an error message.
+ */
+export const SET_STAGE = 0x000B;
+/**
+ * Message representing a request to add genomes to the population while the genetic algorithm is running, e.g. ones
+ * designed by the user. The reply contains either the new population or an error message.
+ */
+export const INJECT_GENOMES = 0x000C;
@@ -19,22 +19,87 @@ MuscleConstraint.create = function (options) {
     muscle.extendedLength = options.extendedLength || muscle.contractedLength + 1;
     muscle.length = muscle.contractedLength;
     muscle.isExtended = false;
+    muscle.work = 0;
 
     return muscle;
 };
 
+/**
+ * Work out how much work it would take to change the length of a muscle.
+ * The work is the stiffness of the muscle times how far its length changes, so stiff muscles that move a long way cost
+ * the most.
+ * @param muscle The muscle.
+ * @param length The new length of the muscle.
+ * @returns {number} The work that changing the length would take.
+ */
+MuscleConstraint.getWork = function (muscle, length) {
+    return muscle.stiffness * Math.abs(length - muscle.length);
+};
+
+/**
+ * Change the length of a muscle and add the work that this takes to the muscle's total.
+ * If the change would take more work than is allowed, the muscle only moves as far towards the new length as the
+ * allowed work pays for.
+ * @param muscle The muscle to change the length of.
+ * @param length The new length of the muscle.
+ * @param maxWork The most work that the change is allowed to take, e.g. the energy that a creature has left.
+ * @returns {number} The work done.
+ * @see MuscleConstraint.getWork
+ */
+MuscleConstraint.setLength = function (muscle, length, maxWork = Infinity) {
+    if (MuscleConstraint.getWork(muscle, length) > maxWork) {
+        length = muscle.length + Math.sign(length - muscle.length) * maxWork / muscle.stiffness;
+    }
+
+    // Rounding could otherwise take the work a hair over the limit.
+    const work = Math.min(maxWork, MuscleConstraint.getWork(muscle, length));
+
+    muscle.work += work;
+    muscle.length = length;
+
+    return work;
+};
+
 /**
  * Contracts or extends a muscle.
+ * A muscle is never left part of the way between its contracted and extended lengths, so if the change would take more
+ * work than is allowed the muscle is left as it is.
  * @param muscle The muscle to contract or extend.
+ * @param maxWork The most work that the change is allowed to take.
+ * @returns {boolean} Whether the muscle was contracted or extended.
  */
-MuscleConstraint.contract = function (muscle) {
-    if (muscle.isExtended) {
-        muscle.length = muscle.contractedLength;
-    } else {
-        muscle.length = muscle.extendedLength;
+MuscleConstraint.contract = function (muscle, maxWork = Infinity) {
+    const length = muscle.isExtended ? muscle.contractedLength : muscle.extendedLength;
+
+    if (MuscleConstraint.getWork(muscle, length) > maxWork) {
+        return false;
     }
 
+    MuscleConstraint.setLength(muscle, length);
     muscle.isExtended = !muscle.isExtended;
+
+    return true;
+};
+
+/**
+ * Set the length of a muscle to somewhere between its contracted and extended lengths.
+ * @param muscle The muscle to actuate.
+ * @param activation How far to extend the muscle, in the range [0, 1] where zero is fully contracted and one is fully
+ *                   extended.
+ * @param maxWork The most work that the change is allowed to take. The muscle only moves as far as this pays for.
+ */
+MuscleConstraint.actuate = function (muscle, activation, maxWork = Infinity) {
+    const range = muscle.extendedLength - muscle.contractedLength;
+    const target = muscle.contractedLength + activation * range;
+
+    MuscleConstraint.setLength(muscle, target, maxWork);
+
+    if (muscle.length === target) {
+        muscle.isExtended = activation >= 0.5;
+    } else {
+        // The muscle could not afford to move all the way, so it is only extended if it got past half way.
+        muscle.isExtended = muscle.length - muscle.contractedLength >= 0.5 * range;
+    }
 };
 
 /**
@@ -61,5 +126,13 @@ MuscleConstraint.contract = function (muscle) {
  * @default false
  */
 
+/**
+ * A `Number` that specifies the total work that the muscle has done by changing its length.
+ *
+ * @property work
+ * @type number
+ * @default 0
+ */
+
 
 export {MuscleConstraint};
\ No newline at end of file
@@ -0,0 +1,282 @@
+/** Names for creatures, so that they can be told apart and their lineages followed from one generation to the next. */
+
+import {expectEntries, expectFields, FormatError} from "./serialization";
+
+/**
+ * The name of a creature, made up of a given name and a regnal number, e.g. Jarvan IV.
+ *
+ * A child takes the given name of its first (fitter) parent with a higher regnal number, so creatures with the same
+ * given name belong to the same lineage.
+ */
+export class CreatureName {
+    /**
+     * Create a creature name.
+     * @param givenName The given name, which is shared with the rest of the lineage.
+     * @param regnalNumber The regnal number, which tells the creature apart from the rest of the lineage.
+     */
+    constructor(givenName, regnalNumber = 1) {
+        this.givenName = givenName;
+        this.regnalNumber = regnalNumber;
+    }
+
+    /**
+     * The given names that new lineages are named from.
+     * @returns {[string]}
+     */
+    static get givenNames() {
+        return [
+            'Jarvan', 'Ada', 'Boris', 'Cleo', 'Dagobert', 'Edith', 'Florian', 'Greta', 'Harald', 'Ida', 'Jasper',
+            'Kunigunde', 'Leopold', 'Matilda', 'Norbert', 'Olga', 'Pippin', 'Quintus', 'Rosamund', 'Sigurd', 'Theodora',
+            'Ulric', 'Valentina', 'Wilhelmina', 'Xerxes', 'Yolanda', 'Zenobia'
+        ];
+    }
+
+    /**
+     * The given name of creatures that have not been named yet, e.g. those saved before creatures had names.
+     * @returns {string}
+     */
+    static get placeholderName() {
+        return 'Unnamed';
+    }
+
+    /**
+     * Create a placeholder name for a creature that has not been named yet.
+     * @returns {CreatureName}
+     */
+    static createPlaceholder() {
+        return new CreatureName(CreatureName.placeholderName);
+    }
+
+    /**
+     * Whether this is a placeholder name rather than a name that was given to the creature.
+     * @returns {boolean}
+     */
+    get isPlaceholder() {
+        return this.givenName === CreatureName.placeholderName;
+    }
+
+    /**
+     * Write a number as a Roman numeral.
+     * @param n A positive integer.
+     * @returns {string} The Roman numeral, e.g. `IV` for 4.
+     */
+    static toRoman(n) {
+        const numerals = [[1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'], [50, 'L'],
+            [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+        let roman = '';
+
+        for (const [value, numeral] of numerals) {
+            while (n >= value) {
+                roman += numeral;
+                n -= value;
+            }
+        }
+
+        return roman;
+    }
+
+    /**
+     * The name as it is shown to the user, e.g. `Jarvan IV`.
+     * @returns {string}
+     */
+    toString() {
+        return `${this.givenName} ${CreatureName.toRoman(this.regnalNumber)}`;
+    }
+
+    /**
+     * Create a copy of the name.
+     * @returns {CreatureName}
+     */
+    copy() {
+        return new CreatureName(this.givenName, this.regnalNumber);
+    }
+
+    /**
+     * Convert the name to a plain object that can be serialized.
+     * @returns {{givenName: string, regnalNumber: number}}
+     */
+    toJSON() {
+        return {
+            givenName: this.givenName,
+            regnalNumber: this.regnalNumber
+        };
+    }
+
+    /**
+     * Create a name from a plain object made by `toJSON()`.
+     * @param json The serialized name.
+     * @param path Where the name is in the data being loaded, used in error messages.
+     * @returns {CreatureName}
+     * @throws {FormatError} If `json` is not a valid serialized name.
+     */
+    static fromJSON(json, path = 'name') {
+        expectFields(json, {givenName: 'string', regnalNumber: 'integer'}, path);
+
+        if (json.givenName.trim() === '') {
+            throw new FormatError('expected a given name that is not blank', `${path}.givenName`);
+        }
+
+        if (json.regnalNumber < 1) {
+            throw new FormatError(`expected a positive regnal number but got ${json.regnalNumber}`,
+                `${path}.regnalNumber`);
+        }
+
+        return new CreatureName(json.givenName, json.regnalNumber);
+    }
+}
+
+/**
+ * Hands out names so that no two creatures in a run have the same name.
+ *
+ * New lineages are given names from `CreatureName.givenNames` in a fixed, shuffled-looking order. Names are worked out
+ * from counters rather than drawn from a random number generator so that naming creatures does not change how a
+ * seeded run evolves.
+ */
+export class NameRegistry {
+    /** Create a new, empty name registry. */
+    constructor() {
+        this.reset();
+    }
+
+    /** Forget all previously given names. */
+    reset() {
+        /**
+         * How many lineages have been founded.
+         * @type {number}
+         */
+        this.numFounders = 0;
+        /**
+         * The regnal number to give to the next creature with each given name.
+         * @type {Map<string, number>}
+         */
+        this.nextRegnalNumbers = new Map();
+    }
+
+    /**
+     * Take the next regnal number for a given name.
+     * @param givenName The given name.
+     * @param atLeast The lowest regnal number that will do.
+     * @returns {number} The regnal number.
+     */
+    claim(givenName, atLeast = 1) {
+        const regnalNumber = Math.max(atLeast, this.nextRegnalNumbers.get(givenName) || 1);
+
+        this.nextRegnalNumbers.set(givenName, regnalNumber + 1);
+
+        return regnalNumber;
+    }
+
+    /**
+     * Name the founder of a new lineage, e.g. a randomly created creature.
+     * @returns {CreatureName}
+     */
+    createFounderName() {
+        const givenNames = CreatureName.givenNames;
+        // Step through the given names by a stride that is coprime with their number so that each is used in turn.
+        const i = (this.numFounders++ * 11) % givenNames.length;
+
+        return new CreatureName(givenNames[i], this.claim(givenNames[i]));
+    }
+
+    /**
+     * Name a child after its first parent, e.g. Jarvan IV for a child of Jarvan III.
+     * @param parentName The name of the parent.
+     * @returns {CreatureName}
+     */
+    createChildName(parentName) {
+        return new CreatureName(parentName.givenName, this.claim(parentName.givenName, parentName.regnalNumber + 1));
+    }
+
+    /**
+     * Make sure that a name is not given out again, e.g. because a creature already has it.
+     * @param name The name.
+     */
+    reserve(name) {
+        const regnalNumber = Math.max(name.regnalNumber + 1, this.nextRegnalNumbers.get(name.givenName) || 1);
+
+        this.nextRegnalNumbers.set(name.givenName, regnalNumber);
+    }
+
+    /**
+     * Keep a name that was given elsewhere, e.g. by the user or in a snapshot, so that it is not given out again.
+     * If the name has already been given out, the creature keeps its given name but gets a new regnal number.
+     * Creatures with placeholder names are named as the founders of new lineages instead.
+     *
+     * @param name The name.
+     * @returns {CreatureName} The name to use.
+     */
+    adopt(name) {
+        if (name.isPlaceholder) {
+            return this.createFounderName();
+        }
+
+        return new CreatureName(name.givenName, this.claim(name.givenName, name.regnalNumber));
+    }
+
+    /**
+     * Convert the registry to a plain object that can be serialized.
+     * @returns {{numFounders: number, nextRegnalNumbers: [[string, number]]}}
+     */
+    toJSON() {
+        return {
+            numFounders: this.numFounders,
+            nextRegnalNumbers: [...this.nextRegnalNumbers]
+        };
+    }
+
+    /**
+     * Replace the names given so far with those from a plain object made by `toJSON()`.
+     * This modifies the registry in place since genomes share a single registry.
+     *
+     * @param json The serialized registry.
+     * @param path Where the registry is in the data being loaded, used in error messages.
+     * @throws {FormatError} If `json` is not a valid serialized name registry. The registry is left unchanged.
+     */
+    loadJSON(json, path = 'names') {
+        expectFields(json, {numFounders: 'integer'}, path);
+        expectEntries(json.nextRegnalNumbers, 'string', 'integer', `${path}.nextRegnalNumbers`);
+
+        this.numFounders = json.numFounders;
+        this.nextRegnalNumbers = new Map(json.nextRegnalNumbers);
+    }
+}
+
+/**
+ * The name registry shared by all genomes.
+ * @type {NameRegistry}
+ */
+export const nameRegistry = new NameRegistry();
+
+/**
+ * Make up a Latin-style scientific name for a creature from its genome.
+ *
+ * The genus describes the body: a prefix for the number of nodes and a root for how densely they are connected
+ * (-cyclus for rings, -plexus for webs and -desmus for tightly bound bodies). The species describes how the muscles are
+ * controlled: cogitans (thinking) for brains, and celer (fast), ambulans (walking) or lentus (slow) for timers depending
+ * on how quickly they cycle. Unlike given names, scientific names change as the genome evolves.
+ *
+ * @param genome The creature genome.
+ * @returns {string} The scientific name, e.g. `Tetraplexus celer`.
+ */
+export function getScientificName(genome) {
+    const prefixes = ['Mono', 'Di', 'Tri', 'Tetra', 'Penta', 'Hexa', 'Hepta', 'Octo', 'Ennea', 'Deca'];
+    const numNodes = genome.nodeGenotypes.filter(genotype => genotype.isEnabled).length;
+    const muscleGenotypes = genome.muscleGenotypes.filter(genotype => genotype.isEnabled);
+    const density = muscleGenotypes.length / Math.max(1, numNodes);
+
+    const prefix = numNodes >= 1 && numNodes <= prefixes.length ? prefixes[numNodes - 1] : 'Poly';
+    const root = density < 1.2 ? 'cyclus' : density < 1.8 ? 'plexus' : 'desmus';
+    let species;
+
+    if (genome.brainGenome !== null) {
+        species = 'cogitans';
+    } else {
+        // Random muscles take about 2000 ms to contract and extend.
+        const meanPeriod = muscleGenotypes.reduce((sum, genotype) =>
+            sum + genotype.contractDelay + genotype.extendDelay, 0) / Math.max(1, muscleGenotypes.length);
+
+        species = meanPeriod < 1600 ? 'celer' : meanPeriod > 2400 ? 'lentus' : 'ambulans';
+    }
+
+    return `${prefix}${root} ${species}`;
+}
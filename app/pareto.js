@@ -0,0 +1,152 @@
+/** Pareto ranking for multi-objective evolution, as described in the NSGA-II paper (Deb et al., 2002). */
+
+/**
+ * Check whether one set of objective scores dominates another, i.e. it is at least as good in every objective and
+ * better in at least one. Higher scores are better.
+ *
+ * @param scores1 The scores of the first genome.
+ * @param scores2 The scores of the second genome.
+ * @returns {boolean} True if `scores1` dominates `scores2`.
+ */
+export function dominates(scores1, scores2) {
+    let isBetter = false;
+
+    for (let k = 0; k < scores1.length; k++) {
+        if (scores1[k] < scores2[k]) {
+            return false;
+        }
+
+        if (scores1[k] > scores2[k]) {
+            isBetter = true;
+        }
+    }
+
+    return isBetter;
+}
+
+/**
+ * Sort genomes into non-dominated fronts.
+ * The first front is the Pareto front: the genomes that no other genome dominates. Each following front holds the
+ * genomes that are only dominated by genomes in earlier fronts.
+ *
+ * @param objectives The objective scores of each genome.
+ * @returns {[[number]]} The indices of the genomes in each front, best front first.
+ */
+export function nonDominatedSort(objectives) {
+    // How many genomes dominate each genome, and which genomes each genome dominates.
+    const dominationCount = objectives.map(() => 0);
+    const dominated = objectives.map(() => []);
+    let front = [];
+
+    for (let i = 0; i < objectives.length; i++) {
+        for (let j = i + 1; j < objectives.length; j++) {
+            if (dominates(objectives[i], objectives[j])) {
+                dominated[i].push(j);
+                dominationCount[j]++;
+            } else if (dominates(objectives[j], objectives[i])) {
+                dominated[j].push(i);
+                dominationCount[i]++;
+            }
+        }
+    }
+
+    for (let i = 0; i < objectives.length; i++) {
+        if (dominationCount[i] === 0) {
+            front.push(i);
+        }
+    }
+
+    let fronts = [];
+
+    while (front.length > 0) {
+        fronts.push(front);
+
+        let nextFront = [];
+
+        for (const i of front) {
+            for (const j of dominated[i]) {
+                dominationCount[j]--;
+
+                if (dominationCount[j] === 0) {
+                    nextFront.push(j);
+                }
+            }
+        }
+
+        front = nextFront;
+    }
+
+    return fronts;
+}
+
+/**
+ * Calculate how crowded the neighbourhood of each genome in a front is.
+ * The crowding distance of a genome is the sum over the objectives of the distance between its two neighbours in the
+ * front, normalised by the range of the objective. The genomes at either end of an objective get an infinite distance
+ * so that the extremes of the front are always kept.
+ *
+ * @param objectives The objective scores of every genome.
+ * @param front The indices of the genomes in the front.
+ * @returns {[number]} The crowding distance of each genome in `front`, in the same order. Larger is less crowded.
+ */
+export function crowdingDistance(objectives, front) {
+    let distances = front.map(() => 0);
+
+    if (front.length === 0) {
+        return distances;
+    }
+
+    for (let k = 0; k < objectives[front[0]].length; k++) {
+        // Positions in `front`, sorted by the objective.
+        const order = front.map((i, position) => position)
+            .sort((a, b) => objectives[front[a]][k] - objectives[front[b]][k]);
+        const min = objectives[front[order[0]]][k];
+        const max = objectives[front[order[order.length - 1]]][k];
+
+        distances[order[0]] = Infinity;
+        distances[order[order.length - 1]] = Infinity;
+
+        if (max === min) {
+            continue;
+        }
+
+        for (let j = 1; j < order.length - 1; j++) {
+            const gap = objectives[front[order[j + 1]]][k] - objectives[front[order[j - 1]]][k];
+            distances[order[j]] += gap / (max - min);
+        }
+    }
+
+    return distances;
+}
+
+/**
+ * Rank genomes by Pareto dominance and crowding distance.
+ *
+ * The score of a genome orders genomes the same way as the crowded-comparison operator of NSGA-II: a genome in a
+ * better front always scores higher, and within a front the less crowded genome scores higher. This lets the parts of
+ * the genetic algorithm that work on a single fitness score (tournament selection, elitism and fitness sharing) work
+ * on multiple objectives.
+ *
+ * @param objectives The objective scores of each genome.
+ * @returns {{fronts: [[number]], rank: [number], score: [number]}} The non-dominated fronts, the index of the front
+ *     that each genome is in, and the score of each genome which is in the range [-rank, -rank + 0.5].
+ */
+export function paretoRank(objectives) {
+    const fronts = nonDominatedSort(objectives);
+    let rank = objectives.map(() => 0);
+    let score = objectives.map(() => 0);
+
+    fronts.forEach((front, r) => {
+        const distances = crowdingDistance(objectives, front);
+
+        for (let j = 0; j < front.length; j++) {
+            // Map the distance from [0, Infinity] to [0, 0.5] so that fronts do not overlap.
+            const crowding = distances[j] === Infinity ? 1 : distances[j] / (1 + distances[j]);
+
+            rank[front[j]] = r;
+            score[front[j]] = -r + 0.5 * crowding;
+        }
+    });
+
+    return {fronts, rank, score};
+}
@@ -0,0 +1,147 @@
+/** A pool of workers for evaluating creatures in parallel. */
+
+import {EVALUATE} from "./messages";
+
+/**
+ * Splits populations between a set of workers that each evaluate their share in their own physics engine.
+ *
+ * The pool works with both web workers and Node.js `worker_threads`. The workers must pass the messages they receive
+ * to `handleEvaluationMessage()` and send back the reply.
+ *
+ * @see handleEvaluationMessage
+ */
+export class WorkerPool {
+    /**
+     * Create a new worker pool.
+     *
+     * @param workers The workers to split the work between. Each worker must have a `postMessage()` and a `terminate()`
+     *                method.
+     * @param listen A function that takes a worker and two callbacks. It must arrange for the first callback to be
+     *               called with the data of each message that the worker sends and the second callback to be called
+     *               with an `Error` if the worker crashes, e.g. by setting `onmessage` and `onerror` for web workers.
+     */
+    constructor(workers, listen) {
+        /**
+         * The workers in the pool.
+         * @type {[Worker]}
+         */
+        this.workers = workers;
+        /**
+         * The ID to give to the next request sent to a worker.
+         * @type {number}
+         */
+        this.nextRequestId = 0;
+        /**
+         * The callbacks of the requests that the workers have not replied to yet, keyed by the request ID.
+         * @type {Map<number, {resolve: Function, reject: Function}>}
+         */
+        this.pendingRequests = new Map();
+
+        for (const worker of this.workers) {
+            listen(worker, data => this.onMessage(data), error => this.onError(error));
+        }
+    }
+
+    /**
+     * Get the string prefix for log messages.
+     * @returns {string}
+     */
+    static get logPrefix() {
+        return `[${new Date().toLocaleString()}][WorkerPool]`
+    }
+
+    /**
+     * The number of workers in the pool.
+     * @returns {number}
+     */
+    get size() {
+        return this.workers.length;
+    }
+
+    /**
+     * Handle a message from one of the workers.
+     * @param data The data of the message.
+     */
+    onMessage(data) {
+        if (data.command !== EVALUATE || !this.pendingRequests.has(data.id)) {
+            console.warn(`${WorkerPool.logPrefix} Unexpected message from worker:`, data);
+            return;
+        }
+
+        const {resolve, reject} = this.pendingRequests.get(data.id);
+        this.pendingRequests.delete(data.id);
+
+        if (data.hasOwnProperty('error')) {
+            reject(new Error(data.error));
+        } else {
+            resolve(data.objectives);
+        }
+    }
+
+    /**
+     * Handle a worker crashing by failing every request that has not been replied to yet.
+     * @param error The error that the worker crashed with.
+     */
+    onError(error) {
+        console.error(`${WorkerPool.logPrefix} A worker crashed:`, error);
+
+        for (const {reject} of this.pendingRequests.values()) {
+            reject(error);
+        }
+
+        this.pendingRequests.clear();
+    }
+
+    /**
+     * Evaluate some creatures by splitting them evenly between the workers.
+     * If any worker fails, the replies of the other workers are ignored.
+     *
+     * @param genomes The serialized genomes of the creatures.
+     * @param settings How to evaluate the creatures.
+     * @returns {Promise<[[number]]>} The score of each creature in each objective, in the same order as `genomes`.
+     * @see GeneticAlgorithm.getEvaluationSettings
+     */
+    evaluate(genomes, settings) {
+        const chunkSize = Math.ceil(genomes.length / this.workers.length);
+        let requests = [];
+        let ids = [];
+
+        for (let i = 0; i < this.workers.length && i * chunkSize < genomes.length; i++) {
+            const id = this.nextRequestId++;
+
+            ids.push(id);
+            requests.push(new Promise((resolve, reject) => {
+                this.pendingRequests.set(id, {resolve, reject});
+            }));
+
+            this.workers[i].postMessage({
+                command: EVALUATE,
+                id: id,
+                genomes: genomes.slice(i * chunkSize, (i + 1) * chunkSize),
+                settings: settings
+            });
+        }
+
+        return Promise.all(requests)
+            .then(chunks => [].concat(...chunks))
+            .catch(error => {
+                // Nothing is waiting on the rest of the requests anymore.
+                for (const id of ids) {
+                    this.pendingRequests.delete(id);
+                }
+
+                throw error;
+            });
+    }
+
+    /**
+     * Stop all of the workers. The pool cannot be used afterwards.
+     */
+    terminate() {
+        for (const worker of this.workers) {
+            worker.terminate();
+        }
+
+        this.workers = [];
+    }
+}
@@ -0,0 +1,129 @@
+/** Seedable pseudo-random number generation so that runs of the genetic algorithm can be reproduced. */
+
+import {expectFields, expectType, FormatError} from "./serialization";
+
+/**
+ * Create a generator of 32-bit integers from a seed using SplitMix32.
+ * This is used to spread the bits of a seed over the state of a `Random` instance.
+ *
+ * @param seed An unsigned 32-bit integer.
+ * @returns {function(): number} A function that returns the next unsigned 32-bit integer each time it is called.
+ */
+function splitMix32(seed) {
+    return () => {
+        seed = (seed + 0x9e3779b9) | 0;
+        let z = seed;
+        z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+        z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+
+        return (z ^ (z >>> 16)) >>> 0;
+    };
+}
+
+/**
+ * A seedable pseudo-random number generator.
+ *
+ * This implements the Small Fast Counting generator (SFC32) from PractRand, which has a 128-bit state that can be
+ * saved with `toJSON()` and restored with `fromJSON()` to continue the exact same sequence of numbers.
+ * Instances have a `random()` method like `Math` so either can be passed to the functions in utils.js.
+ */
+export class Random {
+    /**
+     * Create a new random number generator.
+     * @param seed An integer to seed the generator with. Generators created with the same seed produce the same
+     *             sequence of numbers. Defaults to a random seed.
+     */
+    constructor(seed = Random.randomSeed()) {
+        /**
+         * The seed that the generator was created with.
+         * @type {number}
+         */
+        this.seed = seed >>> 0;
+
+        const next = splitMix32(this.seed);
+        /**
+         * The four unsigned 32-bit integers that make up the state of the generator.
+         * @type {[number]}
+         */
+        this.state = [next(), next(), next(), next()];
+
+        // Throw away the first few numbers since they are not very well mixed.
+        for (let i = 0; i < 15; i++) {
+            this.random();
+        }
+    }
+
+    /**
+     * Pick a seed at random.
+     * This is the only place that `Math.random()` should be used.
+     * @returns {number} An unsigned 32-bit integer.
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    /**
+     * Generate the next number in the sequence.
+     * @returns {number} A number in the range [0, 1).
+     */
+    random() {
+        let [a, b, c, d] = this.state;
+
+        const t = (((a + b) | 0) + d) | 0;
+        d = (d + 1) | 0;
+        a = b ^ (b >>> 9);
+        b = (c + (c << 3)) | 0;
+        c = (c << 21) | (c >>> 11);
+        c = (c + t) | 0;
+
+        this.state = [a >>> 0, b >>> 0, c >>> 0, d >>> 0];
+
+        return (t >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Convert the generator to a plain object that can be serialized.
+     * @returns {{seed: number, state: [number]}} The serialized generator.
+     */
+    toJSON() {
+        return {
+            seed: this.seed,
+            state: [...this.state]
+        };
+    }
+
+    /**
+     * Create a random number generator from a plain object made by `toJSON()`.
+     * The new generator continues the sequence from where the serialized generator left off.
+     *
+     * @param json The serialized generator.
+     * @param path Where the generator is in the data being loaded, used in error messages.
+     * @returns {Random} The random number generator.
+     * @throws {FormatError} If `json` is not a valid serialized random number generator.
+     */
+    static fromJSON(json, path = 'rng') {
+        expectFields(json, {seed: 'integer', state: 'array'}, path);
+
+        if (json.state.length !== 4) {
+            throw new FormatError(`expected 4 integers but got ${json.state.length}`, `${path}.state`);
+        }
+
+        json.state.forEach((x, i) => expectType(x, 'integer', `${path}.state[${i}]`));
+
+        if (json.state.every(x => x === 0)) {
+            throw new FormatError('the state cannot be all zeros', `${path}.state`);
+        }
+
+        const rng = new Random(json.seed);
+        rng.state = json.state.map(x => x >>> 0);
+
+        return rng;
+    }
+}
+
+/**
+ * The random number generator that is used when one is not given explicitly.
+ * The genetic algorithm replaces this with its own seeded generator.
+ * @type {Random}
+ */
+export const random = new Random();
@@ -0,0 +1,183 @@
+import RenderPIXI from "./RenderPIXI";
+import {addButton, downloadBlob} from "./utils";
+
+/**
+ * This class records an evaluation from start to finish so that it can be shared, either as a WebM video or as a
+ * sequence of PNG frames that can be turned into an animated GIF, e.g. with `ffmpeg -i frame-%05d.png out.gif`.
+ */
+export class EvaluationRecorder {
+    /**
+     * Create a new recorder.
+     * @param render The renderer to record.
+     * @param options {{onStart: function(): {rulerOrigin: number}, isFinished: function(): boolean,
+     *     getInfo: function(): {name: string, fitness: number|null}}} `onStart` is called to restart the evaluation
+     *     that is shown when recording starts, and returns where the creatures start so that the ruler can measure
+     *     from there. `isFinished` says whether the evaluation has finished, which stops the recording. `getInfo` gives
+     *     the name and fitness to show in the overlays.
+     */
+    constructor(render, options = {}) {
+        const defaults = {
+            onStart: () => ({rulerOrigin: 0}),
+            isFinished: () => false,
+            getInfo: () => null
+        };
+
+        options = Object.assign({}, defaults, options);
+
+        this.render = render;
+        this.onStart = options.onStart;
+        this.isFinished = options.isFinished;
+        this.getInfo = options.getInfo;
+        this.isRecording = false;
+        /**
+         * The format of the recording being made.
+         * @type {string|null}
+         */
+        this.format = null;
+
+        this.createControls();
+    }
+
+    /**
+     * The sizes that recordings can be made at, as fractions of the size of the renderer.
+     * @returns {[number]}
+     */
+    static get scales() {
+        return [1, 0.75, 0.5];
+    }
+
+    /**
+     * The frame rates that recordings can be made at.
+     * @returns {[number]}
+     */
+    static get frameRates() {
+        return [30, 15, 10];
+    }
+
+    /**
+     * The formats that recordings can be saved in, and the file name to save each as.
+     * @returns {Object<string, string>}
+     */
+    static get formats() {
+        return {
+            webm: 'evaluation.webm',
+            frames: 'evaluation-frames.tar'
+        };
+    }
+
+    /**
+     * Create the recording options and the button to start and stop recording.
+     */
+    createControls() {
+        const element = document.createElement('div');
+        const {width, height} = this.render.options;
+        const createSelect = choices => {
+            const select = document.createElement('select');
+
+            for (const [value, text] of choices) {
+                const option = document.createElement('option');
+
+                option.value = value;
+                option.textContent = text;
+                select.append(option);
+            }
+
+            element.append(select);
+
+            return select;
+        };
+
+        element.append('Record ');
+        this.scaleSelect = createSelect(EvaluationRecorder.scales.map(scale =>
+            [scale, `${Math.round(scale * width)}x${Math.round(scale * height)}`]));
+        this.fpsSelect = createSelect(EvaluationRecorder.frameRates.map(fps => [fps, `${fps} fps`]));
+        this.formatSelect = createSelect([['webm', 'WebM video'], ['frames', 'PNG frames']]);
+
+        /**
+         * The checkboxes for the overlays, keyed by the name of the overlay.
+         * @type {Object<string, HTMLInputElement>}
+         */
+        this.overlays = {};
+
+        for (const name of ['ruler', 'name', 'fitness']) {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+
+            checkbox.type = 'checkbox';
+            checkbox.checked = true;
+            label.append(checkbox, ` ${name}`);
+            element.append(label);
+            this.overlays[name] = checkbox;
+        }
+
+        this.button = addButton(element, 'Record evaluation', () => this.isRecording ? this.stop() : this.start());
+
+        /**
+         * The panel of controls. This should be added to the page.
+         * @type {HTMLDivElement}
+         */
+        this.element = element;
+    }
+
+    /**
+     * Restart the evaluation that is shown and record it until it finishes.
+     */
+    start() {
+        if (this.isRecording) {
+            return;
+        }
+
+        const scale = Number(this.scaleSelect.value);
+        const {rulerOrigin} = this.onStart();
+
+        this.format = this.formatSelect.value;
+
+        try {
+            RenderPIXI.startCapture(this.render, {
+                width: Math.round(scale * this.render.options.width),
+                height: Math.round(scale * this.render.options.height),
+                fps: Number(this.fpsSelect.value),
+                format: this.format,
+                overlays: {
+                    ruler: this.overlays.ruler.checked,
+                    name: this.overlays.name.checked,
+                    fitness: this.overlays.fitness.checked
+                },
+                rulerOrigin: rulerOrigin,
+                getInfo: this.getInfo
+            });
+        } catch (error) {
+            // e.g. browsers that cannot record WebM video.
+            window.alert(`Could not start recording: ${error.message}`);
+            return;
+        }
+
+        this.isRecording = true;
+        this.button.textContent = 'Stop recording';
+    }
+
+    /**
+     * Stop recording and let the user download the recording.
+     */
+    stop() {
+        if (!this.isRecording) {
+            return;
+        }
+
+        const filename = EvaluationRecorder.formats[this.format];
+
+        this.isRecording = false;
+        this.button.textContent = 'Record evaluation';
+
+        RenderPIXI.stopCapture(this.render).then(blob => downloadBlob(blob, filename));
+    }
+
+    /**
+     * Stop recording once the evaluation has finished. This should be called once per frame.
+     */
+    update() {
+        if (this.isRecording && this.isFinished()) {
+            this.stop();
+        }
+    }
+}
@@ -0,0 +1,262 @@
+import {Evaluation} from "./evaluation";
+import {addButton} from "./utils";
+
+/**
+ * This class replays the evaluation of a single creature exactly as the workers ran it, so that its fitness can be
+ * checked and the way it moved can be watched frame by frame.
+ *
+ * The creature is simulated in a world of its own with the same settings and fixed step size that it was evaluated
+ * with, and the renderer shows that world while the replay is open. Physics engines cannot be wound back, so rewinding
+ * simulates the creature again from the start up to the chosen step.
+ */
+export class ReplayPlayer {
+    /**
+     * Create a new replay player.
+     * @param render The renderer to show the replay with.
+     * @param options {{onClose: function()?}} `onClose` is called when the user closes the replay.
+     */
+    constructor(render, options = {}) {
+        const defaults = {
+            onClose: null
+        };
+
+        options = Object.assign({}, defaults, options);
+
+        this.render = render;
+        this.onClose = options.onClose;
+
+        /**
+         * The evaluation being replayed, or null if the player is closed.
+         * @type {Evaluation|null}
+         */
+        this.evaluation = null;
+        /**
+         * The engine that the renderer showed before the replay was opened.
+         * @type {engine|null}
+         */
+        this.liveEngine = null;
+        this.isPlaying = false;
+        /**
+         * How many steps the replay is behind, as a fraction of a step in slow motion.
+         * @type {number}
+         */
+        this.stepsOwed = 0;
+
+        this.createControls();
+    }
+
+    /**
+     * The playback speeds that can be chosen from, as multiples of real time.
+     * @returns {[number]}
+     */
+    static get speeds() {
+        return [1, 0.5, 0.25, 0.1];
+    }
+
+    /**
+     * Whether a replay is open.
+     * @returns {boolean}
+     */
+    get isOpen() {
+        return this.evaluation !== null;
+    }
+
+    /**
+     * The creatures in the replay, e.g. for the camera to follow.
+     * @returns {[Creature]}
+     */
+    get creatures() {
+        return this.isOpen ? this.evaluation.creatures : [];
+    }
+
+    /**
+     * Create the playback controls. These are hidden until a replay is opened.
+     */
+    createControls() {
+        const element = document.createElement('div');
+
+        addButton(element, 'Rewind', () => this.seek(0));
+        this.playButton = addButton(element, 'Play', () => this.setPlaying(!this.isPlaying));
+        addButton(element, 'Step', () => {
+            this.setPlaying(false);
+            this.seek(this.evaluation.currentStep + 1);
+        });
+
+        this.speedSelect = document.createElement('select');
+
+        for (const speed of ReplayPlayer.speeds) {
+            const option = document.createElement('option');
+
+            option.value = speed;
+            option.textContent = `${speed}x`;
+            this.speedSelect.append(option);
+        }
+
+        /**
+         * The timeline of the evaluation, in physics steps.
+         * @type {HTMLInputElement}
+         */
+        this.slider = document.createElement('input');
+        this.slider.type = 'range';
+        this.slider.min = 0;
+        this.slider.oninput = () => {
+            this.setPlaying(false);
+            this.seek(Number(this.slider.value));
+        };
+
+        element.append(this.speedSelect, this.slider);
+        addButton(element, 'Close', () => this.close());
+
+        this.status = document.createElement('div');
+        element.append(this.status);
+        element.style.display = 'none';
+
+        /**
+         * The panel of controls. This should be added to the page.
+         * @type {HTMLDivElement}
+         */
+        this.element = element;
+    }
+
+    /**
+     * Start replaying the evaluation of a creature. The replay starts paused at the first step.
+     *
+     * @param genome The serialized genome of the creature.
+     * @param settings The settings that the creature was evaluated with.
+     * @param measured The scores that the creature was given in each objective, or null if they are not known.
+     * @param label What to call the creature, e.g. in recordings.
+     * @see GeneticAlgorithm.getEvaluationSettings
+     */
+    open(genome, settings, measured = null, label = '') {
+        if (!this.isOpen) {
+            this.liveEngine = this.render.engine;
+        }
+
+        this.genome = genome;
+        this.settings = settings;
+        this.measured = measured;
+        this.label = label;
+        this.slider.max = settings.evaluationSteps;
+        this.element.style.display = '';
+        this.restart();
+        this.setPlaying(false);
+    }
+
+    /**
+     * Close the replay and show the live world again.
+     */
+    close() {
+        if (!this.isOpen) {
+            return;
+        }
+
+        this.setPlaying(false);
+        this.render.engine = this.liveEngine;
+        this.evaluation = null;
+        this.liveEngine = null;
+        this.element.style.display = 'none';
+
+        if (this.onClose !== null) {
+            this.onClose();
+        }
+    }
+
+    /**
+     * Set up the evaluation again from the start.
+     */
+    restart() {
+        this.evaluation = new Evaluation([this.genome], this.settings, {
+            render: {fillStyle: '#573b0c'} // the same earthy brown as the live world
+        });
+        /**
+         * The scores that the replay gave the creature, or null if it has not finished.
+         * @type {[number]|null}
+         */
+        this.scores = null;
+        this.stepsOwed = 0;
+        this.render.engine = this.evaluation.engine;
+        this.showStatus();
+    }
+
+    /**
+     * Play or pause the replay.
+     * @param isPlaying Whether the replay should play.
+     */
+    setPlaying(isPlaying) {
+        this.isPlaying = isPlaying;
+        this.stepsOwed = 0;
+        this.playButton.textContent = isPlaying ? 'Pause' : 'Play';
+    }
+
+    /**
+     * Go to a step of the evaluation, simulating it again from the start to go backwards.
+     * @param step The number of physics steps into the evaluation.
+     */
+    seek(step) {
+        step = Math.max(0, Math.min(step, this.settings.evaluationSteps));
+
+        if (step < this.evaluation.currentStep) {
+            this.restart();
+        }
+
+        while (this.evaluation.currentStep < step) {
+            this.evaluation.step();
+        }
+
+        if (this.evaluation.isFinished && this.scores === null) {
+            this.scores = this.evaluation.score()[0];
+        }
+
+        this.showStatus();
+    }
+
+    /**
+     * Advance the replay if it is playing. This should be called once per frame of the live simulation, which runs in
+     * real time with the same step size as the evaluation.
+     */
+    tick() {
+        if (!this.isOpen || !this.isPlaying) {
+            return;
+        }
+
+        this.stepsOwed += Number(this.speedSelect.value);
+
+        if (this.stepsOwed >= 1) {
+            const steps = Math.floor(this.stepsOwed);
+
+            this.stepsOwed -= steps;
+            this.seek(this.evaluation.currentStep + steps);
+        }
+
+        if (this.evaluation.isFinished) {
+            this.setPlaying(false);
+        }
+    }
+
+    /**
+     * Show how far into the evaluation the replay is and, once it has finished, how the creature scored.
+     */
+    showStatus() {
+        const {currentStep} = this.evaluation;
+        const creature = this.evaluation.creatures[0];
+
+        this.slider.value = currentStep;
+        this.status.textContent = `Step ${currentStep} of ${this.settings.evaluationSteps} ` +
+            `(${Math.round(currentStep * this.settings.stepSize)} ms) - ` +
+            `Displacement: ${creature.getDisplacement().toFixed(1)}`;
+
+        if (this.scores !== null) {
+            const scores = this.scores.map(score => score.toFixed(3)).join(', ');
+
+            this.status.textContent += ` - Scores: ${scores}`;
+
+            if (this.measured !== null) {
+                const isMatch = this.measured.length === this.scores.length &&
+                    this.measured.every((score, i) => score === this.scores[i]);
+
+                this.status.textContent += isMatch ? ' (the same as the worker)' :
+                    ` (the worker measured ${this.measured.map(score => score.toFixed(3)).join(', ')})`;
+            }
+        }
+    }
+}
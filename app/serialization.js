@@ -0,0 +1,276 @@
+/**
+ * Conversion of genomes and genetic algorithm snapshots to and from plain JSON objects.
+ *
+ * Genomes lose their prototypes when they are sent between threads (structured clone) or written to disk, so every
+ * genome class has a `toJSON()` method and a static `fromJSON()` method that rebuilds the instance after validating the
+ * data. The top-level object of a serialized creature genome has a `version` field so that genomes saved in older
+ * formats can be migrated to the current format when they are loaded.
+ *
+ * The current format (version 2) looks like this:
+ *
+ *     {
+ *         version: 2,
+ *         nodeGenotypes: [{id: number, size: number, friction: number, frictionStatic: number}],
+ *         muscleGenotypes: [{innovation: number, bodyA: number, bodyB: number, stiffness: number,
+ *             contractedLength: number, extendedLength: number, contractDelay: number, extendDelay: number,
+ *             isExpressed: boolean}],
+ *         brainGenome: null | {
+ *             clockPeriod: number,
+ *             neuronGenotypes: [{id: string, activation: string, bias: number}],
+ *             synapseGenotypes: [{innovation: number, from: string, to: string, weight: number, isExpressed: boolean}]
+ *         },
+ *         name: {givenName: string, regnalNumber: number}
+ *     }
+ *
+ * Snapshots of a genetic algorithm (see `GeneticAlgorithm.toJSON()`) have their own `version` field that is
+ * independent of the genome format.
+ */
+
+import {innovationTracker} from "./innovation";
+import {CreatureName} from "./names";
+
+/**
+ * The version of the genome format that `toJSON()` produces.
+ * @type {number}
+ */
+export const GENOME_FORMAT_VERSION = 2;
+
+/**
+ * The version of the snapshot format that `GeneticAlgorithm.toJSON()` produces.
+ * @type {number}
+ */
+export const SNAPSHOT_FORMAT_VERSION = 2;
+
+/** An error that is thrown when serialized data is not in the expected format. */
+export class FormatError extends Error {
+    /**
+     * Create a new format error.
+     * @param message What is wrong with the data.
+     * @param path Where in the data the problem is, e.g. `genome.nodeGenotypes[2].size`.
+     */
+    constructor(message, path = '') {
+        super(path ? `${path}: ${message}` : message);
+
+        this.name = 'FormatError';
+        /**
+         * Where in the data the problem is.
+         * @type {string}
+         */
+        this.path = path;
+    }
+}
+
+/**
+ * Describe the type of a value for error messages.
+ * @param value The value to describe.
+ * @returns {string} The type of the value.
+ */
+function describeType(value) {
+    if (value === null) {
+        return 'null';
+    } else if (Array.isArray(value)) {
+        return 'array';
+    } else if (typeof value === 'number' && !Number.isFinite(value)) {
+        return String(value);
+    }
+
+    return typeof value;
+}
+
+/**
+ * Check that a value has the expected type.
+ *
+ * @param value The value to check.
+ * @param type One of `'number'` (which must be finite), `'integer'`, `'string'`, `'boolean'`, `'array'` or
+ *             `'object'`.
+ * @param path Where the value is in the data, used in error messages.
+ * @throws {FormatError} If the value does not have the expected type.
+ */
+export function expectType(value, type, path) {
+    let isValid;
+
+    switch (type) {
+        case 'number':
+            isValid = Number.isFinite(value);
+            break;
+        case 'integer':
+            isValid = Number.isInteger(value);
+            break;
+        case 'array':
+            isValid = Array.isArray(value);
+            break;
+        case 'object':
+            isValid = typeof value === 'object' && value !== null && !Array.isArray(value);
+            break;
+        default:
+            isValid = typeof value === type;
+    }
+
+    if (!isValid) {
+        throw new FormatError(`expected ${type === 'integer' ? 'an' : 'a'} ${type} but got ${describeType(value)}`,
+            path);
+    }
+}
+
+/**
+ * Check that an object has all of the given fields and that they have the expected types.
+ *
+ * @param json The object to check.
+ * @param fields The expected type of each field keyed by the name of the field.
+ * @param path Where the object is in the data, used in error messages.
+ * @throws {FormatError} If the object is missing a field or a field does not have the expected type.
+ * @see expectType
+ */
+export function expectFields(json, fields, path) {
+    expectType(json, 'object', path);
+
+    for (const [field, type] of Object.entries(fields)) {
+        if (!json.hasOwnProperty(field)) {
+            throw new FormatError(`missing field '${field}'`, path);
+        }
+
+        expectType(json[field], type, `${path}.${field}`);
+    }
+}
+
+/**
+ * Check that a value is a list of `[key, value]` pairs, such as the entries of a `Map`.
+ *
+ * @param entries The value to check.
+ * @param keyType The expected type of the keys.
+ * @param valueType The expected type of the values.
+ * @param path Where the list is in the data, used in error messages.
+ * @throws {FormatError} If the value is not a list of pairs or a key or value does not have the expected type.
+ * @see expectType
+ */
+export function expectEntries(entries, keyType, valueType, path) {
+    expectType(entries, 'array', path);
+
+    entries.forEach((entry, i) => {
+        expectType(entry, 'array', `${path}[${i}]`);
+
+        if (entry.length !== 2) {
+            throw new FormatError(`expected a [key, value] pair but got ${entry.length} elements`, `${path}[${i}]`);
+        }
+
+        expectType(entry[0], keyType, `${path}[${i}][0]`);
+        expectType(entry[1], valueType, `${path}[${i}][1]`);
+    });
+}
+
+/**
+ * Check that no two objects in a list have the same value for a field.
+ *
+ * @param items The list of objects to check.
+ * @param field The field that must be unique.
+ * @param path Where the list is in the data, used in error messages.
+ * @throws {FormatError} If two of the objects have the same value for the field.
+ */
+export function expectUnique(items, field, path) {
+    let seen = new Set();
+
+    items.forEach((item, i) => {
+        if (seen.has(item[field])) {
+            throw new FormatError(`duplicate ${field} ${item[field]}`, `${path}[${i}].${field}`);
+        }
+
+        seen.add(item[field]);
+    });
+}
+
+/**
+ * Functions that upgrade serialized genomes from one version of the format to the next, keyed by the version they
+ * upgrade from. Each migration takes the serialized genome and its path (for error messages) and returns the genome in
+ * the next version of the format.
+ * To change the format, bump `GENOME_FORMAT_VERSION` and add a migration from the previous version here.
+ *
+ * @type {Object<number, function(Object, string): Object>}
+ */
+export const genomeMigrations = {
+    /**
+     * Version 0 is the format that genomes had before they were versioned, i.e. plain copies of `CreatureGenome`
+     * instances where muscles refer to nodes by their index and there are no historical markings.
+     * The nodes are given the IDs that random genomes start with and the muscles are given innovation numbers from the
+     * shared innovation tracker.
+     */
+    0: (json, path) => {
+        expectFields(json, {nodeGenotypes: 'array', muscleGenotypes: 'array'}, path);
+
+        const nodeIds = json.nodeGenotypes.map((nodeGenotype, i) => innovationTracker.getNodeId(`initial-${i}`));
+        const getNodeId = (index, indexPath) => {
+            expectType(index, 'integer', indexPath);
+
+            if (index < 0 || index >= nodeIds.length) {
+                throw new FormatError(`refers to node ${index} but there are only ${nodeIds.length} nodes`, indexPath);
+            }
+
+            return nodeIds[index];
+        };
+
+        // Old genomes could connect the same pair of nodes more than once, which historical markings do not allow.
+        let muscleGenotypes = new Map();
+
+        json.muscleGenotypes.forEach((muscleGenotype, i) => {
+            const musclePath = `${path}.muscleGenotypes[${i}]`;
+            const bodyA = getNodeId(muscleGenotype.bodyA, `${musclePath}.bodyA`);
+            const bodyB = getNodeId(muscleGenotype.bodyB, `${musclePath}.bodyB`);
+            const innovation = innovationTracker.getMuscleInnovation(bodyA, bodyB);
+
+            if (!muscleGenotypes.has(innovation)) {
+                muscleGenotypes.set(innovation, Object.assign({}, muscleGenotype, {
+                    bodyA: bodyA,
+                    bodyB: bodyB,
+                    innovation: innovation,
+                    isExpressed: true
+                }));
+            }
+        });
+
+        return {
+            version: 1,
+            nodeGenotypes: json.nodeGenotypes.map((nodeGenotype, i) =>
+                Object.assign({}, nodeGenotype, {id: nodeIds[i]})),
+            muscleGenotypes: [...muscleGenotypes.values()],
+            brainGenome: null
+        };
+    },
+    /**
+     * Version 1 genomes have no names, so each is given a placeholder name. Unlike the migration from version 0, which
+     * has to record its node IDs and innovation numbers in the shared innovation tracker, this does not change shared
+     * state: the genome is only named as the founder of a new lineage once it joins a run (see `NameRegistry.adopt`).
+     */
+    1: json => Object.assign({}, json, {version: 2, name: CreatureName.createPlaceholder().toJSON()})
+};
+
+/**
+ * Upgrade a serialized genome to the current version of the format.
+ * Genomes without a `version` field are assumed to be version 0.
+ *
+ * @param json The serialized genome.
+ * @param path Where the genome is in the data being loaded, used in error messages.
+ * @returns {Object} The serialized genome in the current version of the format.
+ * @throws {FormatError} If the version is not supported.
+ * @see genomeMigrations
+ */
+export function migrateGenome(json, path = 'genome') {
+    expectType(json, 'object', path);
+
+    let version = json.hasOwnProperty('version') ? json.version : 0;
+    expectType(version, 'integer', `${path}.version`);
+
+    if (version > GENOME_FORMAT_VERSION) {
+        throw new FormatError(`version ${version} is newer than the latest supported version ` +
+            `(${GENOME_FORMAT_VERSION})`, `${path}.version`);
+    }
+
+    while (version < GENOME_FORMAT_VERSION) {
+        if (!genomeMigrations.hasOwnProperty(version)) {
+            throw new FormatError(`there is no migration from version ${version}`, `${path}.version`);
+        }
+
+        json = genomeMigrations[version](json, path);
+        version++;
+    }
+
+    return json;
+}
@@ -0,0 +1,163 @@
+/** Species for protecting new topologies in the genetic algorithm, as described in the NEAT paper. */
+
+import {CreatureGenome} from "./creature";
+import {expectFields, expectType} from "./serialization";
+import {randomChoice} from "./utils";
+
+/** A group of genomes that are similar enough to each other that they only compete amongst themselves. */
+export class Species {
+    /**
+     * Create a new species.
+     *
+     * @param id The unique ID of the species.
+     * @param representative The genome that new genomes are compared against to decide whether they belong to this
+     *                       species.
+     */
+    constructor(id, representative) {
+        /**
+         * The unique ID of the species.
+         * @type {number}
+         */
+        this.id = id;
+        /**
+         * The genome that new genomes are compared against to decide whether they belong to this species.
+         * This is a random member of the species from the previous generation.
+         * @type {CreatureGenome}
+         */
+        this.representative = representative;
+        /**
+         * The indices of the genomes in the population that belong to this species.
+         * @type {[number]}
+         */
+        this.members = [];
+        /**
+         * The highest fitness that any member of the species has ever achieved. In multi-objective mode this is the
+         * highest score in the first objective instead.
+         * @type {number}
+         */
+        this.bestFitness = -Infinity;
+        /**
+         * How many generations it has been since `bestFitness` last improved.
+         * @type {number}
+         */
+        this.stagnation = 0;
+        /**
+         * How many generations the species has existed for.
+         * @type {number}
+         */
+        this.age = 0;
+        /**
+         * The sum of the shared fitness of the members of the species.
+         * @type {number}
+         */
+        this.adjustedFitness = 0;
+        /**
+         * How many offspring the species is allowed to produce for the next generation.
+         * @type {number}
+         */
+        this.offspring = 0;
+    }
+
+    /**
+     * Update the bookkeeping of the species after the members for the current generation have been assigned.
+     *
+     * @param population The genomes of the current generation.
+     * @param fitness The fitness scores of the genomes in the current generation.
+     * @param baseline The fitness that is considered to be zero for fitness sharing. This should be no greater than the
+     *                 lowest fitness in the population so that shared fitness is never negative.
+     * @param rng The random number generator to pick the new representative with.
+     * @param progress The scores that decide whether the species is still improving. These are the fitness scores
+     *                 unless the fitness scores are only relative to the rest of the generation, e.g. Pareto ranks.
+     */
+    update(population, fitness, baseline, rng, progress = fitness) {
+        const memberFitness = this.members.map(i => fitness[i]);
+        const maxFitness = Math.max(...this.members.map(i => progress[i]));
+
+        if (maxFitness > this.bestFitness) {
+            this.bestFitness = maxFitness;
+            this.stagnation = 0;
+        } else {
+            this.stagnation++;
+        }
+
+        this.age++;
+
+        // Explicit fitness sharing: every member's fitness is divided by the number of genomes in its species.
+        this.adjustedFitness = memberFitness.reduce((sum, x) => sum + (x - baseline), 0) / this.members.length;
+        this.representative = population[randomChoice(this.members, rng)];
+    }
+
+    /**
+     * Get a summary of the species for the current generation.
+     *
+     * @param fitness The fitness scores of the genomes in the current generation.
+     * @returns {{id: number, size: number, age: number, stagnation: number, maxFitness: number, meanFitness: number,
+     *     bestFitness: number, adjustedFitness: number, offspring: number, members: [number]}}
+     */
+    getStats(fitness) {
+        const memberFitness = this.members.map(i => fitness[i]);
+
+        return {
+            id: this.id,
+            size: this.members.length,
+            age: this.age,
+            stagnation: this.stagnation,
+            maxFitness: Math.max(...memberFitness),
+            meanFitness: memberFitness.reduce((sum, x) => sum + x, 0) / this.members.length,
+            bestFitness: this.bestFitness,
+            adjustedFitness: this.adjustedFitness,
+            offspring: this.offspring,
+            members: [...this.members]
+        };
+    }
+
+    /**
+     * Convert the species to a plain object that can be serialized.
+     * @returns {Object} The serialized species.
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            representative: this.representative.toJSON(),
+            members: [...this.members],
+            bestFitness: this.bestFitness,
+            stagnation: this.stagnation,
+            age: this.age,
+            adjustedFitness: this.adjustedFitness,
+            offspring: this.offspring
+        };
+    }
+
+    /**
+     * Create a species from a plain object made by `toJSON()`.
+     *
+     * @param json The serialized species.
+     * @param path Where the species is in the data being loaded, used in error messages.
+     * @returns {Species} The species.
+     * @throws {FormatError} If `json` is not a valid serialized species.
+     */
+    static fromJSON(json, path = 'species') {
+        expectFields(json, {
+            id: 'integer',
+            representative: 'object',
+            members: 'array',
+            bestFitness: 'number',
+            stagnation: 'integer',
+            age: 'integer',
+            adjustedFitness: 'number',
+            offspring: 'integer'
+        }, path);
+
+        json.members.forEach((member, i) => expectType(member, 'integer', `${path}.members[${i}]`));
+
+        const species = new Species(json.id, CreatureGenome.fromJSON(json.representative, `${path}.representative`));
+        species.members = [...json.members];
+        species.bestFitness = json.bestFitness;
+        species.stagnation = json.stagnation;
+        species.age = json.age;
+        species.adjustedFitness = json.adjustedFitness;
+        species.offspring = json.offspring;
+
+        return species;
+    }
+}
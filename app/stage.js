@@ -0,0 +1,489 @@
+/**
+ * Stages: the terrain that creatures are evaluated on.
+ *
+ * Stages are stored as versioned JSON files (see `stages/stage.schema.json`) so that the same stage can be shared,
+ * sent to workers and saved in snapshots. The current format (version 1) looks like this:
+ *
+ *     {
+ *         version: 1,
+ *         name: string,
+ *         description: string (optional),
+ *         gravity: {x: number, y: number},
+ *         friction: number,
+ *         bounds: {min: {x: number, y: number?}, max: {x: number, y: number?}},
+ *         start: {x: number, y: number},
+ *         finish: null | {x: number},
+ *         ground: {start: {x: number, y: number}, thickness: number, segments: [Object]},
+ *         obstacles: [Object]
+ *     }
+ *
+ * `start` is where creatures are placed and `ground.start` is where the surface of the ground starts. The ground is a
+ * sequence of segments laid out from left to right, each starting where the last one ended:
+ *
+ * - `{type: 'flat', length}`: level ground.
+ * - `{type: 'ramp', length, rise}`: a straight slope that climbs `rise` pixels (a negative rise goes down).
+ * - `{type: 'bumps', length, amplitude, spacing, seed}`: a random heightfield with bumps up to `amplitude` pixels high,
+ *   sampled every `spacing` pixels. The same seed always gives the same bumps.
+ * - `{type: 'stairs', steps, stepWidth, stepHeight}`: a staircase that climbs `stepHeight` pixels per step (a negative
+ *   height goes down).
+ * - `{type: 'gap', length}`: a hole in the ground.
+ *
+ * Obstacles are static bodies placed anywhere: `{type: 'rectangle', x, y, width, height, angle}` or
+ * `{type: 'circle', x, y, radius}`. Segments and obstacles can override the friction of the stage with their own
+ * `friction`.
+ */
+
+import {Bodies, Body, Common, Vertices} from "matter-js";
+
+import {Random} from "./random";
+import {expectFields, expectType, FormatError} from "./serialization";
+import flat from "./stages/flat.json";
+import hills from "./stages/hills.json";
+import stairs from "./stages/stairs.json";
+
+/**
+ * The version of the stage format that `loadStage()` produces.
+ * @type {number}
+ */
+export const STAGE_FORMAT_VERSION = 1;
+
+/**
+ * The properties of each type of ground segment that do not have to be given.
+ * @type {Object<string, Object>}
+ */
+export const segmentDefaults = {
+    flat: {length: 100},
+    ramp: {length: 100, rise: 0},
+    bumps: {length: 100, amplitude: 10, spacing: 20, seed: 0},
+    stairs: {steps: 1, stepWidth: 50, stepHeight: 10},
+    gap: {length: 100}
+};
+
+/**
+ * The properties of each type of obstacle that do not have to be given.
+ * @type {Object<string, Object>}
+ */
+export const obstacleDefaults = {
+    rectangle: {width: 50, height: 50, angle: 0},
+    circle: {radius: 25}
+};
+
+/**
+ * The type of each property of the ground segments and obstacles.
+ * @type {Object<string, string>}
+ */
+const propertyTypes = {
+    length: 'number',
+    rise: 'number',
+    amplitude: 'number',
+    spacing: 'number',
+    seed: 'integer',
+    steps: 'integer',
+    stepWidth: 'number',
+    stepHeight: 'number',
+    x: 'number',
+    y: 'number',
+    width: 'number',
+    height: 'number',
+    angle: 'number',
+    radius: 'number',
+    friction: 'number'
+};
+
+/**
+ * The properties of the ground segments and obstacles that must be greater than zero.
+ * @type {Set<string>}
+ */
+const positiveProperties = new Set(['length', 'spacing', 'steps', 'stepWidth', 'width', 'height', 'radius']);
+
+/**
+ * The properties of the ground segments and obstacles that cannot be negative.
+ * @type {Set<string>}
+ */
+const nonNegativeProperties = new Set(['amplitude', 'friction']);
+
+/**
+ * Functions that upgrade stages from one version of the format to the next, keyed by the version they upgrade from.
+ * To change the format, bump `STAGE_FORMAT_VERSION` and add a migration from the previous version here.
+ *
+ * @type {Object<number, function(Object, string): Object>}
+ * @see genomeMigrations
+ */
+export const stageMigrations = {
+    /**
+     * Version 0 is the format that stages had before they were versioned: only the ground and obstacles. These stages
+     * were always used with the default physics and creatures started 140 pixels above where the ground starts.
+     */
+    0: (json, path) => {
+        expectFields(json, {ground: 'object'}, path);
+        expectFields(json.ground, {start: 'object'}, `${path}.ground`);
+        expectFields(json.ground.start, {x: 'number', y: 'number'}, `${path}.ground.start`);
+
+        return {
+            version: 1,
+            name: 'custom',
+            gravity: {x: 0, y: 1},
+            friction: 0.1,
+            bounds: {min: {x: -10000}, max: {x: 10000}},
+            start: {x: 0, y: json.ground.start.y - 140},
+            finish: null,
+            ground: Object.assign({thickness: 60}, json.ground),
+            obstacles: json.obstacles !== undefined ? json.obstacles : []
+        };
+    }
+};
+
+/**
+ * Check that an object has an `x` and a `y` coordinate.
+ *
+ * @param json The object to check.
+ * @param path Where the object is in the stage, used in error messages.
+ * @param isYOptional Whether the `y` coordinate can be left out.
+ * @returns {{x: number, y: number?}} A copy of the point.
+ * @throws {FormatError} If the object is not a point.
+ */
+function loadPoint(json, path, isYOptional = false) {
+    expectFields(json, isYOptional ? {x: 'number'} : {x: 'number', y: 'number'}, path);
+
+    if (isYOptional && json.hasOwnProperty('y')) {
+        expectType(json.y, 'number', `${path}.y`);
+    }
+
+    return isYOptional && !json.hasOwnProperty('y') ? {x: json.x} : {x: json.x, y: json.y};
+}
+
+/**
+ * Check a ground segment or obstacle and fill in the properties that were left out.
+ *
+ * @param json The segment or obstacle.
+ * @param defaults The defaults for each type of segment or obstacle.
+ * @param required The properties that have no default.
+ * @param path Where the segment or obstacle is in the stage, used in error messages.
+ * @returns {Object} A copy of the segment or obstacle with every property filled in.
+ * @throws {FormatError} If the type is not recognised or a property has the wrong type or is out of range.
+ */
+function loadPart(json, defaults, required, path) {
+    expectFields(json, {type: 'string'}, path);
+
+    if (!defaults.hasOwnProperty(json.type)) {
+        throw new FormatError(`unknown type '${json.type}' (expected one of ${Object.keys(defaults).join(', ')})`,
+            `${path}.type`);
+    }
+
+    const part = Object.assign({type: json.type}, defaults[json.type]);
+
+    for (const property of [...required, ...Object.keys(defaults[json.type]), 'friction']) {
+        if (!json.hasOwnProperty(property)) {
+            if (required.includes(property)) {
+                throw new FormatError(`missing field '${property}'`, path);
+            }
+
+            continue;
+        }
+
+        const value = json[property];
+        expectType(value, propertyTypes[property], `${path}.${property}`);
+
+        if (positiveProperties.has(property) && value <= 0) {
+            throw new FormatError(`expected a positive number but got ${value}`, `${path}.${property}`);
+        } else if (nonNegativeProperties.has(property) && value < 0) {
+            throw new FormatError(`expected a non-negative number but got ${value}`, `${path}.${property}`);
+        }
+
+        part[property] = value;
+    }
+
+    return part;
+}
+
+/**
+ * Load a stage, e.g. from a file, checking that it is valid and upgrading it to the current version of the format.
+ * Stages without a `version` field are assumed to be version 0.
+ *
+ * @param json The stage as a plain object.
+ * @param path Where the stage is in the data being loaded, used in error messages.
+ * @returns {Object} A copy of the stage in the current version of the format, with the defaults of every segment and
+ *     obstacle filled in.
+ * @throws {FormatError} If `json` is not a valid stage.
+ * @see stageMigrations
+ */
+export function loadStage(json, path = 'stage') {
+    expectType(json, 'object', path);
+
+    let version = json.hasOwnProperty('version') ? json.version : 0;
+    expectType(version, 'integer', `${path}.version`);
+
+    if (version > STAGE_FORMAT_VERSION) {
+        throw new FormatError(`version ${version} is newer than the latest supported version ` +
+            `(${STAGE_FORMAT_VERSION})`, `${path}.version`);
+    }
+
+    while (version < STAGE_FORMAT_VERSION) {
+        if (!stageMigrations.hasOwnProperty(version)) {
+            throw new FormatError(`there is no migration from version ${version}`, `${path}.version`);
+        }
+
+        json = stageMigrations[version](json, path);
+        version++;
+    }
+
+    expectFields(json, {
+        name: 'string',
+        gravity: 'object',
+        friction: 'number',
+        bounds: 'object',
+        start: 'object',
+        ground: 'object',
+        obstacles: 'array'
+    }, path);
+
+    if (json.friction < 0) {
+        throw new FormatError(`expected a non-negative number but got ${json.friction}`, `${path}.friction`);
+    }
+
+    if (json.hasOwnProperty('description')) {
+        expectType(json.description, 'string', `${path}.description`);
+    }
+
+    if (!json.hasOwnProperty('finish')) {
+        throw new FormatError(`missing field 'finish'`, path);
+    } else if (json.finish !== null) {
+        expectFields(json.finish, {x: 'number'}, `${path}.finish`);
+    }
+
+    expectFields(json.bounds, {min: 'object', max: 'object'}, `${path}.bounds`);
+    expectFields(json.ground, {start: 'object', thickness: 'number', segments: 'array'}, `${path}.ground`);
+
+    if (json.ground.thickness <= 0) {
+        throw new FormatError(`expected a positive number but got ${json.ground.thickness}`,
+            `${path}.ground.thickness`);
+    }
+
+    let stage = {
+        version: STAGE_FORMAT_VERSION,
+        name: json.name,
+        gravity: loadPoint(json.gravity, `${path}.gravity`),
+        friction: json.friction,
+        bounds: {
+            min: loadPoint(json.bounds.min, `${path}.bounds.min`, true),
+            max: loadPoint(json.bounds.max, `${path}.bounds.max`, true)
+        },
+        start: loadPoint(json.start, `${path}.start`),
+        finish: json.finish !== null ? {x: json.finish.x} : null,
+        ground: {
+            start: loadPoint(json.ground.start, `${path}.ground.start`),
+            thickness: json.ground.thickness,
+            segments: json.ground.segments.map((segment, i) =>
+                loadPart(segment, segmentDefaults, [], `${path}.ground.segments[${i}]`))
+        },
+        obstacles: json.obstacles.map((obstacle, i) =>
+            loadPart(obstacle, obstacleDefaults, ['x', 'y'], `${path}.obstacles[${i}]`))
+    };
+
+    if (json.hasOwnProperty('description')) {
+        stage.description = json.description;
+    }
+
+    return stage;
+}
+
+/**
+ * The stages that ship with the app, keyed by name. These are benchmarks that results can be compared on.
+ * @type {Object<string, Object>}
+ */
+export const standardStages = {
+    flat: loadStage(flat, 'stages/flat.json'),
+    hills: loadStage(hills, 'stages/hills.json'),
+    stairs: loadStage(stairs, 'stages/stairs.json')
+};
+
+/**
+ * Create a static body for a piece of ground whose top surface runs in a straight line between two points.
+ * The body reaches `thickness` pixels below the lowest of the two points.
+ *
+ * @param from The left end of the surface.
+ * @param to The right end of the surface.
+ * @param thickness How thick the ground is.
+ * @param options The options to create the body with.
+ * @returns {body} The body.
+ */
+function createGroundPiece(from, to, thickness, options) {
+    const bottom = Math.max(from.y, to.y) + thickness;
+
+    // Each body gets its own copy of the options since matter-js does not copy nested objects like the render style.
+    options = Object.assign({label: 'Ground'}, Common.clone(options, true));
+
+    if (from.y === to.y) {
+        return Bodies.rectangle(0.5 * (from.x + to.x), from.y + 0.5 * thickness, to.x - from.x, thickness, options);
+    }
+
+    const vertices = [from, to, {x: to.x, y: bottom}, {x: from.x, y: bottom}];
+
+    return Body.create(Object.assign({
+        position: Vertices.centre(vertices),
+        vertices: vertices
+    }, options));
+}
+
+/**
+ * Create the static bodies for a ground segment.
+ *
+ * @param segment The segment, with all of its properties filled in.
+ * @param start Where the surface of the segment starts.
+ * @param thickness How thick the ground is.
+ * @param options The options to create the bodies with.
+ * @returns {{bodies: [body], end: {x: number, y: number}}} The bodies and where the surface of the segment ends.
+ */
+function buildSegment(segment, start, thickness, options) {
+    let bodies = [];
+    let end;
+
+    switch (segment.type) {
+        case 'flat':
+            end = {x: start.x + segment.length, y: start.y};
+            bodies.push(createGroundPiece(start, end, thickness, options));
+            break;
+        case 'ramp':
+            // The y-axis points down, so climbing means decreasing y.
+            end = {x: start.x + segment.length, y: start.y - segment.rise};
+            bodies.push(createGroundPiece(start, end, thickness, options));
+            break;
+        case 'bumps': {
+            const rng = new Random(segment.seed);
+            const nPieces = Math.max(1, Math.round(segment.length / segment.spacing));
+            let from = start;
+
+            for (let i = 1; i <= nPieces; i++) {
+                // The heightfield meets the neighbouring segments at the height that it started at.
+                const height = i < nPieces ? segment.amplitude * rng.random() : 0;
+                const to = {x: start.x + segment.length * i / nPieces, y: start.y - height};
+
+                bodies.push(createGroundPiece(from, to, thickness, options));
+                from = to;
+            }
+
+            end = from;
+            break;
+        }
+        case 'stairs':
+            end = start;
+
+            for (let i = 0; i < segment.steps; i++) {
+                const from = {x: end.x, y: end.y - (i > 0 ? segment.stepHeight : 0)};
+                end = {x: from.x + segment.stepWidth, y: from.y};
+
+                bodies.push(createGroundPiece(from, end, thickness, options));
+            }
+            break;
+        case 'gap':
+            end = {x: start.x + segment.length, y: start.y};
+            break;
+    }
+
+    return {bodies, end};
+}
+
+/**
+ * Work out where each ground segment of a stage starts without building it.
+ *
+ * @param stage The stage, as returned by `loadStage()`.
+ * @returns {[{x: number, y: number}]} Where the surface of each segment starts, followed by where the last one ends.
+ */
+export function layOutGround(stage) {
+    let points = [stage.ground.start];
+
+    for (const segment of stage.ground.segments) {
+        const start = points[points.length - 1];
+
+        switch (segment.type) {
+            case 'ramp':
+                points.push({x: start.x + segment.length, y: start.y - segment.rise});
+                break;
+            case 'stairs':
+                points.push({
+                    x: start.x + segment.steps * segment.stepWidth,
+                    y: start.y - (segment.steps - 1) * segment.stepHeight
+                });
+                break;
+            default:
+                // Flat ground, gaps and bumps all end at the height they started at.
+                points.push({x: start.x + segment.length, y: start.y});
+        }
+    }
+
+    return points;
+}
+
+/**
+ * Create a static body for an obstacle.
+ *
+ * @param obstacle The obstacle, with all of its properties filled in.
+ * @param options The options to create the body with.
+ * @returns {body} The body.
+ */
+function buildObstacle(obstacle, options) {
+    options = Object.assign({label: 'Obstacle'}, Common.clone(options, true));
+
+    switch (obstacle.type) {
+        case 'rectangle':
+            return Bodies.rectangle(obstacle.x, obstacle.y, obstacle.width, obstacle.height,
+                Object.assign({angle: obstacle.angle}, options));
+        case 'circle':
+            return Bodies.circle(obstacle.x, obstacle.y, obstacle.radius, options);
+    }
+}
+
+/**
+ * Create the bodies that make up a stage.
+ *
+ * @param stage The stage, as returned by `loadStage()`.
+ * @param options The options to create every body with, e.g. a collision filter or render style. The bodies are always
+ *                static.
+ * @returns {[body]} The static bodies of the ground followed by those of the obstacles.
+ */
+export function buildStage(stage, options = {}) {
+    options = Object.assign({}, options, {isStatic: true});
+
+    // Segments and obstacles can have their own friction.
+    const withFriction = part => Object.assign({}, options, {
+        friction: part.hasOwnProperty('friction') ? part.friction : stage.friction
+    });
+
+    let bodies = [];
+    let start = stage.ground.start;
+
+    for (const segment of stage.ground.segments) {
+        const built = buildSegment(segment, start, stage.ground.thickness, withFriction(segment));
+
+        bodies.push(...built.bodies);
+        start = built.end;
+    }
+
+    for (const obstacle of stage.obstacles) {
+        bodies.push(buildObstacle(obstacle, withFriction(obstacle)));
+    }
+
+    return bodies;
+}
+
+/**
+ * Create a body that shows where the finish line of a stage is. The body does not collide with anything, so it is only
+ * for rendering.
+ *
+ * @param stage The stage, as returned by `loadStage()`.
+ * @param height How tall to make the finish line. It reaches from the top of the world down to this height.
+ * @param options The options to create the body with, e.g. its render style.
+ * @returns {body|null} The body, or null if the stage has no finish line.
+ */
+export function createFinishLine(stage, height, options = {}) {
+    if (stage.finish === null) {
+        return null;
+    }
+
+    return Bodies.rectangle(stage.finish.x, 0.5 * height, 4, height, Object.assign({
+        label: 'Finish Line',
+        isStatic: true,
+        isSensor: true,
+        collisionFilter: {mask: 0}
+    }, options));
+}
@@ -1,6 +1,8 @@
 /** A collection of miscellaneous functions. */
 
-import {Engine} from "matter-js";
+import {Engine, Events} from "matter-js";
+
+import {random} from "./random";
 
 /**
  * Generate a random gaussian number.
@@ -8,12 +10,13 @@ import {Engine} from "matter-js";
  *
  * @param mu The mean of the gaussian distribution to sample from.
  * @param sigma The standard deviation of the gaussian distribution to sample from.
+ * @param rng The random number generator to draw from.
  * @returns {number} A number sampled from the specified gaussian distribution.
  */
-export function randomGaussian(mu = 0, sigma = 1) {
+export function randomGaussian(mu = 0, sigma = 1, rng = random) {
     let u = 0, v = 0;
-    while (u === 0) u = Math.random(); //Converting [0,1) to (0,1)
-    while (v === 0) v = Math.random();
+    while (u === 0) u = rng.random(); //Converting [0,1) to (0,1)
+    while (v === 0) v = rng.random();
     let n = Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
 
     return n * Math.abs(sigma) + mu;
@@ -24,12 +27,24 @@ export function randomGaussian(mu = 0, sigma = 1) {
  *
  * @param min The smallest integer allowed.
  * @param max The largest integer allowed plus one.
+ * @param rng The random number generator to draw from.
  * @returns {number} An integer in the range [`min`, `max`)
  */
-export function randomInt(min = 0, max = 1) {
+export function randomInt(min = 0, max = 1, rng = random) {
     min = Math.ceil(min);
     max = Math.floor(max);
-    return Math.floor(Math.random() * (max - min)) + min; //The maximum is exclusive and the minimum is inclusive
+    return Math.floor(rng.random() * (max - min)) + min; //The maximum is exclusive and the minimum is inclusive
+}
+
+/**
+ * Pick an element from a list at random.
+ *
+ * @param items The list to pick from.
+ * @param rng The random number generator to draw from.
+ * @returns {*} An element of `items`, or undefined if `items` is empty.
+ */
+export function randomChoice(items, rng = random) {
+    return items[randomInt(0, items.length, rng)];
 }
 
 /**
@@ -46,16 +61,21 @@ export function clip(x, min = -Infinity, max = Infinity) {
 /**
  * A clipped version of `randomGaussian()`.
  * @param options A dictionary containing the parameters `mu`, `sigma`, `min` and `max`.
+ * @param rng The random number generator to draw from.
  * @see randomGaussian
  * @see clip
  * @returns {number} A number sampled from the specified gaussian distribution clipped to the range [`min`, `max`].
  */
-export function clippedRandomGaussian(options) {
-    return clip(randomGaussian(options.mu, options.sigma), options.min, options.max);
+export function clippedRandomGaussian(options, rng = random) {
+    return clip(randomGaussian(options.mu, options.sigma, rng), options.min, options.max);
 }
 
 /**
  * Create a new Matter.Engine instance.
+ *
+ * The engine keeps count of how many other bodies each body is touching in the `contactCount` property of the body.
+ * This lets creatures sense when their nodes are touching the ground.
+ *
  * @param bounds {{min: {x: number?, y: number?}?, max: {x: number?, y: number?}?}} The bounds of the world.
  * @returns {{worldWidth: *, engine: *}} The engine and world width (max extent along the x-axis).
  */
@@ -65,5 +85,82 @@ export function createEngine(bounds) {
     engine.world.bounds = Object.assign(engine.world.bounds, bounds);
     const worldWidth = Math.abs(engine.world.bounds.max.x) + Math.abs(engine.world.bounds.min.x);
 
+    Events.on(engine, 'collisionStart', event => {
+        for (const pair of event.pairs) {
+            pair.bodyA.contactCount = (pair.bodyA.contactCount || 0) + 1;
+            pair.bodyB.contactCount = (pair.bodyB.contactCount || 0) + 1;
+        }
+    });
+
+    Events.on(engine, 'collisionEnd', event => {
+        for (const pair of event.pairs) {
+            pair.bodyA.contactCount = Math.max(0, (pair.bodyA.contactCount || 0) - 1);
+            pair.bodyB.contactCount = Math.max(0, (pair.bodyB.contactCount || 0) - 1);
+        }
+    });
+
     return {engine, worldWidth};
-}
\ No newline at end of file
+}
+
+/**
+ * Create a button and add it to the end of an element.
+ * @param parent The element to add the button to.
+ * @param text The text on the button.
+ * @param onClick What to do when the button is clicked.
+ * @returns {HTMLButtonElement} The button.
+ */
+export function addButton(parent, text, onClick) {
+    const button = document.createElement('button');
+
+    button.textContent = text;
+    button.onclick = onClick;
+    parent.append(button);
+
+    return button;
+}
+
+/**
+ * Let the user download some data as a file.
+ * @param blob The data.
+ * @param filename The name to save the file as.
+ */
+export function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Create a hidden file input that reads the file that the user picks as text.
+ * Call `click()` on the input to let the user pick a file. The user is told if the file cannot be read.
+ *
+ * @param onLoad Called with the text and the file once a file has been picked and read.
+ * @param accept The types of file that can be picked.
+ * @returns {HTMLInputElement} The file input. This should be added to the page.
+ */
+export function createFilePicker(onLoad, accept = '.json,application/json') {
+    const input = document.createElement('input');
+
+    input.type = 'file';
+    input.accept = accept;
+    input.style.display = 'none';
+    input.onchange = () => {
+        const file = input.files[0];
+
+        if (file === undefined) {
+            return;
+        }
+
+        file.text()
+            .then(text => onLoad(text, file))
+            .catch(error => window.alert(`Could not load ${file.name}: ${error.message}`));
+
+        // Clear the selection so that the same file can be picked again.
+        input.value = '';
+    };
+
+    return input;
+}
@@ -1,51 +1,95 @@
-import {Bodies, Engine, Events, World} from "matter-js";
-import {NodeGenotype} from "./creature";
+import {Engine} from "matter-js";
+import {CreatureGenome} from "./creature";
 import {GeneticAlgorithm} from "./ga";
-import {FINISHED_GENERATION, GET_POPULATION, GET_PROGRESS, QUIT, START, STARTED_GENERATION} from "./messages";
-import {createEngine} from "./utils";
+import {WorkerPool} from "./pool";
+import {
+    FINISHED_GENERATION,
+    GET_POPULATION,
+    GET_PROGRESS,
+    INJECT_GENOMES,
+    LOAD_STATE,
+    QUIT,
+    SAVE_STATE,
+    SET_STAGE,
+    SET_TURBO,
+    START,
+    STARTED_GENERATION
+} from "./messages";
+import {createWorld, geneticAlgorithmDefaults} from "./world";
 
 // TODO: Refactor this into a class
 export function main() {
-    const {engine, worldWidth} = createEngine({
-        min: {x: -10000},
-        max: {x: 10000},
-    });
+    /** The physics engine that the creatures are simulated in. It is rebuilt whenever the stage may have changed. */
+    let engine = null;
 
-    const viewportHeight = 600;
-
-    /** The `delta` or frames per second which dictates how the physics engine is updated. */
-    const fps = 1000 / 60;
-    /** How long to spend evaluating each generation in the genetic algorithm. */
-    const evaluationTime = 6000; // in milliseconds
     /** How often to log the time step. */
     const timestepLogFrequency = 1000;
+    /** How long to step the simulation for between checking for messages in turbo mode. */
+    const turboBatchTime = 50; // in milliseconds
+    /**
+     * The most steps to run at once to catch up with real time, e.g. after the browser has throttled the worker while
+     * the tab was in the background.
+     */
+    const maxCatchUpSteps = 10;
     const getLogPrefix = () => `[${new Date().toLocaleString()}][Worker]`;
 
-    // Collision groups.
-    const defaultCategory = 0x0001;
-    const creatureCategory = 0x0002;
+    // Message handling.
+    let hasStarted = false;
+    let shouldQuit = false;
+    let shouldSendPopulation = false;
+    let shouldSendProgress = false;
+    let shouldSaveState = false;
+    let snapshotToLoad = null;
+    let stageToSet = null;
+    let injectionToApply = null;
+    let turboToSet = null;
+    let isTurbo = false;
+    /**
+     * The workers that evaluate the creatures in turbo mode, or null if the creatures are always evaluated in this
+     * worker's world.
+     * @type {WorkerPool|null}
+     */
+    let pool = null;
+    let isEvaluating = false;
+
+    /**
+     * Whether the creatures are evaluated by the pool rather than in this worker's world.
+     * The pool evaluates whole generations as fast as it can, so it is only used in turbo mode.
+     * @returns {boolean}
+     */
+    const isUsingPool = () => pool !== null && isTurbo;
 
-    // Create the ground.
-    const ground = Bodies.rectangle(0, viewportHeight - 30, worldWidth, 60,
-        {
-            isStatic: true,
-            collisionFilter: {
-                category: defaultCategory
-            }
+    /**
+     * Evaluate the creatures with a pool of workers instead of in this worker while in turbo mode.
+     * @param numWorkers How many workers to create.
+     */
+    const createPool = (numWorkers) => {
+        let workers = [];
+
+        for (let i = 0; i < numWorkers; i++) {
+            workers.push(new Worker('evaluator.js'));
+        }
+
+        pool = new WorkerPool(workers, (worker, onMessage, onError) => {
+            worker.onmessage = message => onMessage(message.data);
+            worker.onerror = event => onError(new Error(event.message));
         });
 
-    World.add(engine.world, ground);
+        if (isUsingPool()) {
+            GA.setWorld(null);
+        }
 
-    NodeGenotype.collisionFilter = {
-        category: creatureCategory, // put creatures in their own category
-        mask: defaultCategory // only allow creatures to collide with the environment and not each other.
+        console.info(`${getLogPrefix()} Evaluating creatures with ${numWorkers} workers`);
     };
 
-    // Message handling.
-    let hasStarted = false;
-    let shouldQuit = false;
-    let shouldSendPopulation = false;
-    let shouldSendProgress = false;
+    /**
+     * Build a world with the stage of the genetic algorithm and move the creatures into it, unless they are evaluated
+     * by a pool of workers.
+     */
+    const buildWorld = () => {
+        engine = createWorld(GA.stage).engine;
+        GA.setWorld(isUsingPool() ? null : engine.world);
+    };
 
     onmessage = (message) => {
         if (message.data.hasOwnProperty('command')) {
@@ -55,6 +99,10 @@ export function main() {
                 case START:
                     console.log(messagePrefix, 'Received START message');
                     hasStarted = true;
+
+                    if (message.data.numWorkers > 1 && pool === null) {
+                        createPool(message.data.numWorkers);
+                    }
                     break;
                 case GET_POPULATION:
                     console.log(messagePrefix, 'Received GET_POPULATION message');
@@ -64,9 +112,36 @@ export function main() {
                     console.log(messagePrefix, 'Received GET_PROGRESS message');
                     shouldSendProgress = true;
                     break;
+                case SAVE_STATE:
+                    console.log(messagePrefix, 'Received SAVE_STATE message');
+                    shouldSaveState = true;
+                    break;
+                case LOAD_STATE:
+                    console.log(messagePrefix, 'Received LOAD_STATE message');
+                    snapshotToLoad = message.data.snapshot;
+                    break;
+                case SET_STAGE:
+                    console.log(messagePrefix, 'Received SET_STAGE message');
+                    stageToSet = message.data.stage;
+                    break;
+                case INJECT_GENOMES:
+                    console.log(messagePrefix, 'Received INJECT_GENOMES message');
+                    injectionToApply = {
+                        genomes: message.data.genomes,
+                        options: {mode: message.data.mode, isElite: message.data.isElite}
+                    };
+                    break;
+                case SET_TURBO:
+                    console.log(messagePrefix, 'Received SET_TURBO message');
+                    turboToSet = message.data.turbo;
+                    break;
                 case QUIT:
                     console.log(messagePrefix, 'Received QUIT message');
                     shouldQuit = true;
+
+                    if (pool !== null) {
+                        pool.terminate();
+                    }
                     break;
                 default:
                     console.warn(`${messagePrefix} Unrecognised message: ${message.data.command}`);
@@ -79,7 +154,8 @@ export function main() {
         postMessage({
             command: GET_POPULATION,
             generation: GA.generation,
-            population: GA.population
+            population: GA.population.map(genome => genome.toJSON()),
+            settings: GA.getEvaluationSettings()
         });
 
         shouldSendPopulation = false;
@@ -95,11 +171,117 @@ export function main() {
         shouldSendProgress = false;
     };
 
+    const saveState = () => {
+        postMessage({
+            command: SAVE_STATE,
+            generation: GA.generation,
+            snapshot: GA.toJSON()
+        });
+
+        shouldSaveState = false;
+    };
+
+    const loadState = () => {
+        try {
+            // The snapshot may be of a run on another stage, so the world is built once the snapshot is loaded.
+            const restored = GeneticAlgorithm.fromJSON(null, snapshotToLoad, {
+                onGenerationStart: onGenerationStart,
+                onGenerationEnd: onGenerationEnd
+            });
+
+            GA.removeCreatures();
+            GA = restored;
+            buildWorld();
+
+            postMessage({
+                command: LOAD_STATE,
+                generation: GA.generation,
+                population: GA.population.map(genome => genome.toJSON()),
+                settings: GA.getEvaluationSettings()
+            });
+        } catch (error) {
+            console.error(`${getLogPrefix()} Could not load the snapshot:`, error);
+
+            postMessage({
+                command: LOAD_STATE,
+                error: error.message
+            });
+        }
+
+        snapshotToLoad = null;
+    };
+
+    const setStage = () => {
+        try {
+            GA.setStage(stageToSet);
+            buildWorld();
+
+            console.info(`${getLogPrefix()} Evaluating creatures on stage '${GA.stage.name}'`);
+
+            postMessage({
+                command: SET_STAGE,
+                generation: GA.generation,
+                population: GA.population.map(genome => genome.toJSON()),
+                settings: GA.getEvaluationSettings()
+            });
+        } catch (error) {
+            console.error(`${getLogPrefix()} Could not change the stage:`, error);
+
+            postMessage({
+                command: SET_STAGE,
+                error: error.message
+            });
+        }
+
+        stageToSet = null;
+    };
+
+    /**
+     * Switch turbo mode on or off. If this switches between evaluating the creatures in the pool and in this worker's
+     * world, the evaluation of the current generation starts again.
+     */
+    const setTurbo = () => {
+        const wasUsingPool = isUsingPool();
+
+        isTurbo = turboToSet;
+        turboToSet = null;
+
+        if (isUsingPool() !== wasUsingPool) {
+            GA.setWorld(isUsingPool() ? null : engine.world);
+        }
+    };
+
+    const injectGenomes = () => {
+        try {
+            const genomes = injectionToApply.genomes.map((genome, i) =>
+                CreatureGenome.fromJSON(genome, `genomes[${i}]`));
+
+            GA.injectGenomes(genomes, injectionToApply.options);
+
+            postMessage({
+                command: INJECT_GENOMES,
+                generation: GA.generation,
+                population: GA.population.map(genome => genome.toJSON()),
+                settings: GA.getEvaluationSettings()
+            });
+        } catch (error) {
+            console.error(`${getLogPrefix()} Could not add the genomes to the population:`, error);
+
+            postMessage({
+                command: INJECT_GENOMES,
+                error: error.message
+            });
+        }
+
+        injectionToApply = null;
+    };
+
     const onGenerationStart = () => {
         postMessage({
             command: STARTED_GENERATION,
             generation: GA.generation,
-            population: GA.population
+            population: GA.population.map(genome => genome.toJSON()),
+            settings: GA.getEvaluationSettings()
         });
     };
 
@@ -107,38 +289,68 @@ export function main() {
         postMessage({
             command: FINISHED_GENERATION,
             generation: GA.generation,
-            population: GA.population,
-            results: GA.generationResults
+            population: GA.population.map(genome => genome.toJSON()),
+            results: GA.generationResults,
+            settings: GA.getEvaluationSettings()
         });
     };
 
-    const GA = new GeneticAlgorithm(engine.world, {
-        evaluationTime: evaluationTime,
-        tournamentSize: 3,
-        maxGenotypesPerCreature: 4,
-        startingPosition: {y: viewportHeight - 200},
+    let GA = new GeneticAlgorithm(null, Object.assign({}, geneticAlgorithmDefaults, {
         onGenerationStart: onGenerationStart,
         onGenerationEnd: onGenerationEnd
-    });
+    }));
 
     GA.reset();
+    buildWorld();
+
+    // The creatures are only ever updated here so that each physics step updates them exactly once. The amount of
+    // simulated time per step is fixed, so the results are the same no matter how fast the simulation is run.
+    const step = () => {
+        if (GA.timeStep % timestepLogFrequency === 0) {
+            console.info(`${getLogPrefix()} Time Step: ${GA.timeStep}`);
+        }
+
+        GA.update();
+        Engine.update(engine, GA.stepSize);
+    };
 
-    // Make the 'creatures' move to the right... really slowly...
-    Events.on(engine, 'beforeUpdate', function (event) {
-        GA.update(event.timestamp);
-    });
+    let lastLoopTime = performance.now();
+    let stepsOwed = 0;
 
     // main loop
-    setInterval(() => {
+    const loop = () => {
         if (shouldQuit) {
-            clearInterval();
-        } else if (hasStarted) {
-            if (GA.timeStep % timestepLogFrequency === 0) {
-                console.info(`${getLogPrefix()} Time Step: ${GA.timeStep}`);
-            }
+            return;
+        }
+
+        const loopTime = performance.now();
+
+        if (hasStarted) {
+            if (isUsingPool()) {
+                // The pool evaluates a whole generation at a time as fast as it can.
+                // A new evaluation is held back while a snapshot, stage, injection or change of mode is waiting to be
+                // applied.
+                if (!isEvaluating && snapshotToLoad === null && stageToSet === null && injectionToApply === null &&
+                    turboToSet === null) {
+                    isEvaluating = true;
 
-            GA.update(engine.timing.timestamp);
-            Engine.update(engine, fps);
+                    GA.evaluateWith(pool)
+                        .catch(error => console.error(`${getLogPrefix()} Could not evaluate the generation:`, error))
+                        .then(() => isEvaluating = false);
+                }
+            } else if (isTurbo) {
+                while (performance.now() - loopTime < turboBatchTime) {
+                    step();
+                }
+            } else {
+                // Run however many steps it takes to keep simulated time in line with real time.
+                stepsOwed = Math.min(stepsOwed + (loopTime - lastLoopTime) / GA.stepSize, maxCatchUpSteps);
+
+                while (stepsOwed >= 1) {
+                    step();
+                    stepsOwed--;
+                }
+            }
 
             if (shouldSendPopulation) {
                 sendPopulation();
@@ -147,8 +359,37 @@ export function main() {
             if (shouldSendProgress) {
                 sendProgress();
             }
+
+            if (shouldSaveState) {
+                saveState();
+            }
+
+            // Wait for the pool to finish so that its results are not applied to the restored genetic algorithm or
+            // scored on the wrong stage.
+            if (snapshotToLoad !== null && !isEvaluating) {
+                loadState();
+            }
+
+            if (stageToSet !== null && !isEvaluating) {
+                setStage();
+            }
+
+            // Injected genomes would be missing from the results of an evaluation that is already running.
+            if (injectionToApply !== null && !isEvaluating) {
+                injectGenomes();
+            }
+
+            // Wait for the pool to finish so that its generation is not also evaluated in this worker's world.
+            if (turboToSet !== null && !isEvaluating) {
+                setTurbo();
+            }
         }
-    });
+
+        lastLoopTime = loopTime;
+        setTimeout(loop, isTurbo ? 0 : GA.stepSize);
+    };
+
+    loop();
 }
 
 main();
@@ -0,0 +1,77 @@
+/** The simulated world that creatures are evaluated in, shared by the web worker and the command line interface. */
+
+import {World} from "matter-js";
+
+import {NodeGenotype} from "./creature";
+import {buildStage, standardStages} from "./stage";
+import {createEngine} from "./utils";
+
+/**
+ * The height of the area that the main thread shows. The ground of the standard stages sits at the bottom of this area.
+ */
+export const viewportHeight = 600;
+
+/** The `delta` or frames per second which dictates how the physics engine is updated. */
+export const fps = 1000 / 60;
+
+/** Collision groups. */
+export const defaultCategory = 0x0001;
+export const creatureCategory = 0x0002;
+
+/**
+ * The stage that is used when no other stage is chosen: flat ground across the whole world.
+ * @see standardStages
+ */
+export const defaultStage = standardStages.flat;
+
+/**
+ * The options for the genetic algorithm that are the same wherever it is run.
+ * @see GeneticAlgorithm
+ */
+export const geneticAlgorithmDefaults = {
+    evaluationTime: 6000, // in milliseconds
+    stepSize: fps,
+    tournamentSize: 3,
+    initialGenotypesPerCreature: 3,
+    maxGenotypesPerCreature: 10,
+    controllerType: 'neural',
+    stage: defaultStage
+};
+
+/**
+ * Create a physics engine with a stage added to its world.
+ * This also puts creatures in their own collision category so that they only collide with the environment and not
+ * each other.
+ *
+ * @param stage The stage as returned by `loadStage()`, or null for the default stage. This sets the gravity and bounds
+ *              of the world as well as the bodies in it.
+ * @param bodyOptions Extra options to create the bodies of the stage with, e.g. how to render them.
+ * @returns {{engine: *, worldWidth: number, ground: [*]}} The engine, the width of the world and the static bodies of
+ *     the stage.
+ */
+export function createWorld(stage = null, bodyOptions = {}) {
+    stage = stage !== null ? stage : defaultStage;
+
+    const {engine, worldWidth} = createEngine({
+        min: Object.assign({}, stage.bounds.min),
+        max: Object.assign({}, stage.bounds.max)
+    });
+
+    engine.world.gravity.x = stage.gravity.x;
+    engine.world.gravity.y = stage.gravity.y;
+
+    const ground = buildStage(stage, Object.assign({}, bodyOptions, {
+        collisionFilter: {
+            category: defaultCategory
+        }
+    }));
+
+    World.add(engine.world, ground);
+
+    NodeGenotype.collisionFilter = {
+        category: creatureCategory, // put creatures in their own category
+        mask: defaultCategory // only allow creatures to collide with the environment and not each other.
+    };
+
+    return {engine, worldWidth, ground};
+}
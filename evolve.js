@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/** Run the genetic algorithm from the command line. See app/cli.js for the options. */
+
+// Compile the app with the project's Babel config, even when this is run from another directory.
+require('@babel/register')({cwd: __dirname});
+
+Promise.resolve(require('./app/cli').main(process.argv.slice(2)))
+    .then(exitCode => process.exitCode = exitCode);
@@ -0,0 +1,83 @@
+/** Tests for evaluating creatures on a pool of workers. */
+
+import assert from "assert";
+import {describe, it} from "node:test";
+
+import {EVALUATE} from "../app/messages";
+import {WorkerPool} from "../app/pool";
+
+console.warn = () => {};
+
+/** A worker that holds on to the messages it is sent until it is told to reply. */
+class FakeWorker {
+    /** Create a new fake worker. */
+    constructor() {
+        this.messages = [];
+        this.onMessage = null;
+    }
+
+    /**
+     * Receive a message.
+     * @param data The data of the message.
+     */
+    postMessage(data) {
+        this.messages.push(data);
+    }
+
+    /**
+     * Reply to the oldest message.
+     * @param reply The fields to reply with apart from the command and ID.
+     */
+    reply(reply) {
+        const {id} = this.messages.shift();
+
+        this.onMessage(Object.assign({command: EVALUATE, id: id}, reply));
+    }
+
+    /** Stop the worker. */
+    terminate() {
+    }
+}
+
+/**
+ * Create a pool of fake workers.
+ * @param numWorkers How many workers to create.
+ * @returns {{pool: WorkerPool, workers: [FakeWorker]}}
+ */
+function createPool(numWorkers) {
+    const workers = [...Array(numWorkers)].map(() => new FakeWorker());
+    const pool = new WorkerPool(workers, (worker, onMessage) => worker.onMessage = onMessage);
+
+    return {pool, workers};
+}
+
+describe('WorkerPool.evaluate', () => {
+    it('puts the scores from each worker back in order', () => {
+        const {pool, workers} = createPool(2);
+        const scores = pool.evaluate([{}, {}, {}], {});
+
+        workers[1].reply({objectives: [[3]]});
+        workers[0].reply({objectives: [[1], [2]]});
+
+        return scores.then(scores => {
+            assert.deepStrictEqual(scores, [[1], [2], [3]]);
+            assert.strictEqual(pool.pendingRequests.size, 0);
+        });
+    });
+
+    it('forgets the rest of the requests when one of them fails', () => {
+        const {pool, workers} = createPool(3);
+        const scores = pool.evaluate([{}, {}, {}], {});
+
+        workers[0].reply({objectives: [[1]]});
+        workers[1].reply({error: 'the creature exploded'});
+
+        return assert.rejects(scores, /the creature exploded/).then(() => {
+            assert.strictEqual(pool.pendingRequests.size, 0);
+
+            // The late reply is ignored.
+            workers[2].reply({objectives: [[3]]});
+            assert.strictEqual(pool.pendingRequests.size, 0);
+        });
+    });
+});
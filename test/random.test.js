@@ -0,0 +1,46 @@
+/** Tests for reproducing runs of the genetic algorithm from a seed. */
+
+import assert from "assert";
+import {describe, it} from "node:test";
+
+import {GeneticAlgorithm} from "../app/ga";
+import {geneticAlgorithmDefaults} from "../app/world";
+
+console.info = () => {};
+console.log = () => {};
+
+/**
+ * Get the genes of a population, leaving out the names since they come from the registry that every run shares.
+ * @param geneticAlgorithm The genetic algorithm.
+ * @returns {[Object]}
+ */
+function getGenes(geneticAlgorithm) {
+    return geneticAlgorithm.population.map(genome => {
+        const json = genome.toJSON();
+
+        delete json.name;
+
+        return json;
+    });
+}
+
+describe('GeneticAlgorithm', () => {
+    it('evolves the same way from the same seed while another genetic algorithm is running', () => {
+        const options = Object.assign({}, geneticAlgorithmDefaults, {populationSize: 20, seed: 42});
+        const geneticAlgorithm = new GeneticAlgorithm(null, options);
+        const other = new GeneticAlgorithm(null, options);
+
+        geneticAlgorithm.reset();
+        other.reset();
+
+        for (let generation = 0; generation < 3; generation++) {
+            // Scoring the genomes by their number of synapses keeps the runs the same as long as their genes are.
+            const scores = geneticAlgorithm.population.map(genome => [genome.brainGenome.synapseGenotypes.length]);
+
+            assert.deepStrictEqual(getGenes(other), getGenes(geneticAlgorithm));
+
+            geneticAlgorithm.endGeneration(geneticAlgorithm.evaluate(scores));
+            other.endGeneration(other.evaluate(scores));
+        }
+    });
+});
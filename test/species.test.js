@@ -0,0 +1,70 @@
+/** Tests for dividing the population into species. */
+
+import assert from "assert";
+import {describe, it} from "node:test";
+
+import {GeneticAlgorithm} from "../app/ga";
+import {geneticAlgorithmDefaults} from "../app/world";
+
+console.info = () => {};
+console.log = () => {};
+
+/**
+ * Create a genetic algorithm with the same options as the app and the command line interface.
+ * @param options Options that override the defaults.
+ * @returns {GeneticAlgorithm}
+ */
+function createGeneticAlgorithm(options = {}) {
+    return new GeneticAlgorithm(null, Object.assign({}, geneticAlgorithmDefaults, {seed: 1}, options));
+}
+
+describe('GeneticAlgorithm.speciate', () => {
+    it('divides a default population into more than one species', () => {
+        const geneticAlgorithm = createGeneticAlgorithm();
+
+        geneticAlgorithm.reset();
+
+        assert.ok(geneticAlgorithm.generationResults.species.length > 1,
+            `expected more than one species but got ${geneticAlgorithm.generationResults.species.length}`);
+    });
+
+    for (const controllerType of ['neural', 'timer']) {
+        it(`keeps more than one species in a ${controllerType} population as it evolves`, () => {
+            const geneticAlgorithm = createGeneticAlgorithm({controllerType});
+
+            geneticAlgorithm.reset();
+
+            for (let generation = 0; generation < 10; generation++) {
+                // Score the genomes by their number of muscles so that the population has somewhere to go.
+                const scores = geneticAlgorithm.population.map(genome => [genome.muscleGenotypes.length]);
+
+                geneticAlgorithm.endGeneration(geneticAlgorithm.evaluate(scores));
+            }
+
+            assert.ok(geneticAlgorithm.generationResults.species.length > 1,
+                `expected more than one species but got ${geneticAlgorithm.generationResults.species.length}`);
+        });
+    }
+
+    it('moves the compatibility threshold towards the target species count', () => {
+        const lowered = createGeneticAlgorithm({compatibilityThreshold: 100});
+        const raised = createGeneticAlgorithm({compatibilityThreshold: 0.001});
+
+        lowered.reset();
+        raised.reset();
+
+        assert.strictEqual(lowered.generationResults.species.length, 1);
+        assert.ok(lowered.compatibilityThreshold < 100);
+        assert.ok(raised.generationResults.species.length > raised.targetSpeciesCount);
+        assert.ok(raised.compatibilityThreshold > 0.001);
+    });
+
+    it('keeps the compatibility threshold fixed without a target species count', () => {
+        const geneticAlgorithm = createGeneticAlgorithm({compatibilityThreshold: 100, targetSpeciesCount: null});
+
+        geneticAlgorithm.reset();
+
+        assert.strictEqual(geneticAlgorithm.compatibilityThreshold, 100);
+        assert.strictEqual(geneticAlgorithm.generationResults.species.length, 1);
+    });
+});
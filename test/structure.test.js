@@ -0,0 +1,43 @@
+/** Tests for how the structure of the creatures evolves. */
+
+import assert from "assert";
+import {describe, it} from "node:test";
+
+import {evaluateGenomes} from "../app/evaluation";
+import {GeneticAlgorithm} from "../app/ga";
+import {geneticAlgorithmDefaults} from "../app/world";
+
+console.info = () => {};
+console.log = () => {};
+
+describe('GeneticAlgorithm', () => {
+    for (const controllerType of ['neural', 'timer']) {
+        it(`keeps new ${controllerType} topologies for long enough to be optimised`, () => {
+            const geneticAlgorithm = new GeneticAlgorithm(null, Object.assign({}, geneticAlgorithmDefaults, {
+                controllerType: controllerType,
+                evaluationTime: 1000,
+                seed: 1
+            }));
+            // Genomes that have been split at least twice, which takes a few generations.
+            const isGrown = genome =>
+                genome.nodeGenotypes.length >= geneticAlgorithm.initialGenotypesPerCreature + 2;
+
+            geneticAlgorithm.reset();
+
+            for (let generation = 0; generation < 8; generation++) {
+                const scores = evaluateGenomes(geneticAlgorithm.population.map(genome => genome.toJSON()),
+                    geneticAlgorithm.getEvaluationSettings());
+
+                geneticAlgorithm.endGeneration(geneticAlgorithm.evaluate(scores));
+
+                if (generation >= 6) {
+                    const numGrown = geneticAlgorithm.population.filter(isGrown).length;
+
+                    assert.ok(numGrown >= 0.05 * geneticAlgorithm.populationSize,
+                        `expected at least 5% of generation ${geneticAlgorithm.generation} to have grown but only ` +
+                        `${numGrown} genomes have`);
+                }
+            }
+        });
+    }
+});
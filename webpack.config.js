@@ -5,7 +5,8 @@ require("babel-register");
 const config = {
     entry: {
         bundle: path.join(__dirname, 'app/index.js'),
-        worker: path.join(__dirname, 'app/worker.js')
+        worker: path.join(__dirname, 'app/worker.js'),
+        evaluator: path.join(__dirname, 'app/evaluator.js')
     },
     output: {
         path: path.join(__dirname, 'dist'),
@@ -13,7 +14,7 @@ const config = {
     },
     module: {
         rules: [{
-            test: /\.js/,
+            test: /\.js$/,
             exclude: /(node_modules|bower_components)/,
             use: [{
                 loader: 'babel-loader'
@@ -28,7 +29,9 @@ const config = {
     plugins: [
         new HtmlWebpackPlugin({
             title: 'Genetic Algorithms',
-            template: "app/index.html"
+            template: "app/index.html",
+            // The other entry points are loaded as web workers.
+            chunks: ['bundle']
         })
     ],
     stats: {